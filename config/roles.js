@@ -0,0 +1,75 @@
+// Permissions checked by requirePermission() across the routes
+const PERMISSIONS = [
+  'designs:write',
+  'orders:read',
+  'orders:update',
+  'orders:refund',
+  'orders:stats',
+  'reviews:moderate',
+  'blog:write',
+  'blog:moderate',
+  'custom-requests:read',
+  'custom-requests:manage',
+  'users:read',
+  'users:manage',
+  'users:roles',
+  'users:impersonate',
+  'api-keys:manage',
+  'audit:read',
+  'settings:manage'
+];
+
+// Permission matrix for each role, 'admin' holds every permission ('*')
+const ROLE_PERMISSIONS = {
+  user: [],
+  architect: [
+    'designs:write',
+    'custom-requests:read',
+    'custom-requests:manage'
+  ],
+  editor: [
+    'blog:write',
+    'blog:moderate',
+    'reviews:moderate'
+  ],
+  support: [
+    'orders:read',
+    'orders:update',
+    'custom-requests:read',
+    'custom-requests:manage',
+    'reviews:moderate',
+    'users:read',
+    'users:manage',
+    'users:impersonate'
+  ],
+  finance: [
+    'orders:read',
+    'orders:refund',
+    'orders:stats'
+  ],
+  admin: ['*']
+};
+
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+// Check whether a role grants a permission
+const roleHasPermission = (role, permission) => {
+  const permissions = ROLE_PERMISSIONS[role] || [];
+  return permissions.includes('*') || permissions.includes(permission);
+};
+
+// Check whether a role holds every permission of another role, so staff cannot act on
+// accounts more privileged than their own
+const roleCovers = (role, otherRole) => {
+  const permissions = ROLE_PERMISSIONS[otherRole] || [];
+  if (permissions.includes('*')) return (ROLE_PERMISSIONS[role] || []).includes('*');
+  return permissions.every(permission => roleHasPermission(role, permission));
+};
+
+module.exports = {
+  ROLES,
+  ROLE_PERMISSIONS,
+  PERMISSIONS,
+  roleHasPermission,
+  roleCovers
+};
@@ -1,15 +1,19 @@
+require('dotenv').config();
+
 const express = require('express');
 const mongoose = require('mongoose');
 const cors = require('cors');
 const helmet = require('helmet');
 const morgan = require('morgan');
 const path = require('path');
-
-
-require('dotenv').config();
+const { processScheduledDeletions } = require('./utils/accountDeletion');
+const { getDriver, isPrivateKey } = require('./utils/storage');
+const { getTransport } = require('./utils/mailer');
 
 const app = express();
 
+// Refuse to start without a usable mail transport
+getTransport();
 
 // Middleware
 app.use(helmet());
@@ -18,15 +22,36 @@ app.use(cors());
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
-// Serve static files from uploads directory
-app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
+// Serve public files from local storage (private files need a signed /api/files URL)
+const storage = getDriver();
+if (storage.name === 'local') {
+  app.use('/uploads', (req, res, next) => {
+    let key;
+    try {
+      key = path.posix.normalize(decodeURIComponent(req.path)).replace(/^\/+/, '');
+    } catch (error) {
+      return res.status(400).end();
+    }
+    if (isPrivateKey(key)) {
+      return res.status(404).end();
+    }
+    next();
+  }, express.static(storage.root));
+}
 
 // Database connection
 mongoose.connect(process.env.MONGODB_URI || '', {
   useNewUrlParser: true,
   useUnifiedTopology: true,
 })
-.then(() => console.log('Connected to MongoDB'))
+.then(() => {
+  console.log('Connected to MongoDB');
+
+  // Anonymize accounts whose deletion grace period has ended, hourly
+  setInterval(() => {
+    processScheduledDeletions().catch(err => console.error('Scheduled deletion error:', err));
+  }, 60 * 60 * 1000);
+})
 .catch(err => console.error('MongoDB connection error:', err));
 
 // Routes
@@ -37,6 +62,12 @@ app.use('/api/orders', require('./routes/orders'));
 app.use('/api/reviews', require('./routes/reviews'));
 app.use('/api/blog', require('./routes/blog'));
 app.use('/api/custom-requests', require('./routes/customRequests'));
+app.use('/api/api-keys', require('./routes/apiKeys'));
+app.use('/api/organizations', require('./routes/organizations'));
+app.use('/api/boards', require('./routes/boards'));
+app.use('/api/notifications', require('./routes/notifications'));
+app.use('/api/admin', require('./routes/admin'));
+app.use('/api/files', require('./routes/files'));
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
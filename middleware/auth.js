@@ -1,5 +1,20 @@
 const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const ApiKey = require('../models/ApiKey');
+const { roleHasPermission, roleCovers } = require('../config/roles');
+
+// Resolve the session an access token belongs to, null if it was revoked or has expired
+const getActiveSession = async (decoded) => {
+  if (!decoded.sessionId) return null;
+
+  const session = await Session.findById(decoded.sessionId);
+  if (!session || !session.isActive || session.user.toString() !== decoded.userId) {
+    return null;
+  }
+  return session;
+};
 
 // Middleware to verify JWT token
 const auth = async (req, res, next) => {
@@ -11,13 +26,31 @@ const auth = async (req, res, next) => {
     }
 
     const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
+    const session = await getActiveSession(decoded);
+
+    if (!session) {
+      return res.status(401).json({ message: 'Invalid token. Session has expired or been revoked.' });
+    }
+
     const user = await User.findById(decoded.userId).select('-password');
     
     if (!user) {
       return res.status(401).json({ message: 'Invalid token. User not found.' });
     }
 
+    if (user.isAccessBlocked()) {
+      return res.status(403).json(user.getBlockedResponse());
+    }
+
+    // Impersonation lets support see what the customer sees, but not act as them
+    if (session.impersonator && !['GET', 'HEAD', 'OPTIONS'].includes(req.method)) {
+      return res.status(403).json({ message: 'Impersonation sessions are read-only.' });
+    }
+
+    await session.touch(req.ip);
+
     req.user = user;
+    req.authSession = session;
     next();
   } catch (error) {
     console.error('Auth middleware error:', error);
@@ -25,28 +58,82 @@ const auth = async (req, res, next) => {
   }
 };
 
-// Middleware to check if user is admin
-const adminAuth = async (req, res, next) => {
+// Respond with 403 if an admin has not enrolled in two-factor authentication while it is required
+const rejectAdminWithout2FA = (req, res) => {
+  if (req.user.role === 'admin' && process.env.REQUIRE_ADMIN_2FA === 'true' && !req.user.twoFactor?.enabled) {
+    res.status(403).json({
+      message: 'Access denied. Two-factor authentication must be enabled for admin accounts.',
+      twoFactorSetupRequired: true
+    });
+    return true;
+  }
+  return false;
+};
+
+// Authenticate a server-to-server request by its X-API-Key header. The key must grant one of the
+// permissions for the request's read/write scope, and its creator must still hold that permission.
+const apiKeyAuth = async (req, res, next, permissions) => {
+  const apiKey = await ApiKey.findActiveByKey(req.header('X-API-Key'));
+  if (!apiKey) {
+    return res.status(401).json({ message: 'Invalid or revoked API key.' });
+  }
+
+  const user = await User.findById(apiKey.createdBy).select('-password');
+  const isAllowed = user && !user.isAccessBlocked() && permissions.some(permission =>
+    apiKey.allows(permission, req.method) && roleHasPermission(user.role, permission)
+  );
+  if (!isAllowed) {
+    return res.status(403).json({ message: 'Access denied. API key lacks the required permission or scope.' });
+  }
+
+  await apiKey.recordUsage(req.ip);
+
+  req.user = user;
+  req.apiKey = apiKey;
+  next();
+};
+
+// Middleware factory to check if the user's role (or the API key) grants any of the given permissions
+const requirePermission = (...permissions) => async (req, res, next) => {
+  try {
+    if (req.header('X-API-Key')) {
+      return await apiKeyAuth(req, res, next, permissions);
+    }
+
+    await auth(req, res, () => {
+      if (!permissions.some(permission => roleHasPermission(req.user.role, permission))) {
+        return res.status(403).json({ message: 'Access denied. Insufficient permissions.' });
+      }
+      if (rejectAdminWithout2FA(req, res)) return;
+      next();
+    });
+  } catch (error) {
+    console.error('Permission middleware error:', error);
+    res.status(500).json({ message: 'Server error.' });
+  }
+};
+
+// Middleware to check if user has verified their email address
+const verifiedAuth = async (req, res, next) => {
   try {
     await auth(req, res, () => {
-      if (req.user.role !== 'admin') {
-        return res.status(403).json({ message: 'Access denied. Admin privileges required.' });
+      if (!req.user.isVerified) {
+        return res.status(403).json({ message: 'Please verify your email address to continue.' });
       }
       next();
     });
   } catch (error) {
-    console.error('Admin auth middleware error:', error);
+    console.error('Verified auth middleware error:', error);
     res.status(500).json({ message: 'Server error.' });
   }
 };
 
-// Middleware to check if user owns the resource or is admin
+// Middleware for routes on /:id that act on a user account: the user themselves or staff who
+// may manage users
 const ownerOrAdminAuth = async (req, res, next) => {
   try {
     await auth(req, res, () => {
-      const resourceUserId = req.params.userId || req.body.userId;
-      
-      if (req.user.role === 'admin' || req.user._id.toString() === resourceUserId) {
+      if (req.user._id.toString() === req.params.id || req.user.hasPermission('users:manage')) {
         next();
       } else {
         return res.status(403).json({ message: 'Access denied. You can only access your own resources.' });
@@ -58,6 +145,34 @@ const ownerOrAdminAuth = async (req, res, next) => {
   }
 };
 
+// Look up the account a request acts on. Staff may only act on accounts whose role grants nothing
+// theirs does not, so they cannot take over or lock out more privileged accounts.
+// Responds 404 or 403 and resolves to null when the account is missing or out of reach.
+const findManagedUser = async (req, res, userId) => {
+  const user = mongoose.isValidObjectId(userId) && await User.findById(userId).select('-password');
+  if (!user) {
+    res.status(404).json({ message: 'User not found' });
+    return null;
+  }
+  if (!user._id.equals(req.user._id) && !roleCovers(req.user.role, user.role)) {
+    res.status(403).json({ message: 'You cannot manage an account with permissions you do not have' });
+    return null;
+  }
+  return user;
+};
+
+// Middleware loading the account of a /:id user route into req.targetUser, after
+// ownerOrAdminAuth or requirePermission
+const loadManagedUser = async (req, res, next) => {
+  try {
+    req.targetUser = await findManagedUser(req, res, req.params.id);
+    if (req.targetUser) next();
+  } catch (error) {
+    console.error('Load managed user middleware error:', error);
+    res.status(500).json({ message: 'Server error.' });
+  }
+};
+
 // Optional auth middleware (doesn't fail if no token)
 const optionalAuth = async (req, res, next) => {
   try {
@@ -65,10 +180,13 @@ const optionalAuth = async (req, res, next) => {
     
     if (token) {
       const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
-      const user = await User.findById(decoded.userId).select('-password');
+      const session = await getActiveSession(decoded);
+      const user = session && await User.findById(decoded.userId).select('-password');
       
-      if (user) {
+      if (user && !user.isAccessBlocked()) {
+        await session.touch(req.ip);
         req.user = user;
+        req.authSession = session;
       }
     }
     
@@ -81,7 +199,10 @@ const optionalAuth = async (req, res, next) => {
 
 module.exports = {
   auth,
-  adminAuth,
+  requirePermission,
+  verifiedAuth,
   ownerOrAdminAuth,
+  findManagedUser,
+  loadManagedUser,
   optionalAuth
 }; 
\ No newline at end of file
@@ -0,0 +1,132 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const multer = require('multer');
+const { TEMP_DIR } = require('../utils/uploads');
+
+const MAX_FILE_SIZE = parseInt(process.env.MAX_FILE_SIZE) || 10 * 1024 * 1024;
+
+const IMAGE_TYPES = {
+  '.jpg': ['image/jpeg'],
+  '.jpeg': ['image/jpeg'],
+  '.png': ['image/png'],
+  '.webp': ['image/webp'],
+  '.gif': ['image/gif']
+};
+
+// Accepted MIME types per Design.model3d.format (browsers often send octet-stream for 3D files)
+const MODEL_TYPES = {
+  glb: ['model/gltf-binary', 'application/octet-stream'],
+  gltf: ['model/gltf+json', 'application/json', 'application/octet-stream'],
+  obj: ['model/obj', 'text/plain', 'application/octet-stream'],
+  fbx: ['application/octet-stream'],
+  dae: ['model/vnd.collada+xml', 'application/xml', 'text/xml', 'application/octet-stream']
+};
+
+// Extensions accepted as custom-request attachments and deliverables
+const DOCUMENT_EXTENSIONS = [
+  '.pdf', '.doc', '.docx', '.xls', '.xlsx', '.txt', '.zip',
+  '.dwg', '.dxf', '.skp', '.rvt', '.ifc',
+  ...Object.keys(IMAGE_TYPES),
+  ...Object.keys(MODEL_TYPES).map(format => `.${format}`)
+];
+
+// Store files in a temp directory with random names until the route moves them into storage
+const tempStorage = multer.diskStorage({
+  destination: (req, file, cb) => {
+    fs.promises.mkdir(TEMP_DIR, { recursive: true })
+      .then(() => cb(null, TEMP_DIR))
+      .catch(cb);
+  },
+  filename: (req, file, cb) => {
+    cb(null, `${crypto.randomBytes(16).toString('hex')}${path.extname(file.originalname).toLowerCase()}`);
+  }
+});
+
+const rejectFile = (cb, message) => {
+  const error = new multer.MulterError('LIMIT_UNEXPECTED_FILE');
+  error.message = message;
+  cb(error);
+};
+
+const imageFilter = (req, file, cb) => {
+  const allowed = IMAGE_TYPES[path.extname(file.originalname).toLowerCase()];
+  if (!allowed || !allowed.includes(file.mimetype)) {
+    return rejectFile(cb, 'Images must be JPEG, PNG, WebP or GIF');
+  }
+  cb(null, true);
+};
+
+// The extension decides the format; a format sent along with the file must agree with it
+// (multipart text fields are only visible here when they come before the file)
+const modelFilter = (req, file, cb) => {
+  const format = path.extname(file.originalname).slice(1).toLowerCase();
+  const declared = req.body.format || (req.body.model3d && req.body.model3d.format);
+  if (!MODEL_TYPES[format]) {
+    return rejectFile(cb, `3D models must be one of: ${Object.keys(MODEL_TYPES).join(', ')}`);
+  }
+  if (declared && declared !== format) {
+    return rejectFile(cb, `File extension .${format} does not match format ${declared}`);
+  }
+  if (!MODEL_TYPES[format].includes(file.mimetype)) {
+    return rejectFile(cb, `Unexpected content type ${file.mimetype} for a .${format} file`);
+  }
+  cb(null, true);
+};
+
+// Design uploads: "images" (up to 10) and/or a single "model"
+const designFileFilter = (req, file, cb) =>
+  (file.fieldname === 'model' ? modelFilter : imageFilter)(req, file, cb);
+
+const documentFilter = (req, file, cb) => {
+  if (!DOCUMENT_EXTENSIONS.includes(path.extname(file.originalname).toLowerCase())) {
+    return rejectFile(cb, `Attachments must be one of: ${DOCUMENT_EXTENSIONS.join(', ')}`);
+  }
+  cb(null, true);
+};
+
+const createUpload = (fileFilter) => multer({
+  storage: tempStorage,
+  limits: { fileSize: MAX_FILE_SIZE },
+  fileFilter
+});
+
+const designUpload = createUpload(designFileFilter);
+const imageUpload = createUpload(imageFilter);
+const documentUpload = createUpload(documentFilter);
+
+// Run a multer middleware and turn its errors into 400 responses
+const handleUpload = (middleware) => (req, res, next) => {
+  middleware(req, res, (error) => {
+    if (!error) return next();
+    if (error instanceof multer.MulterError) {
+      const message = error.code === 'LIMIT_FILE_SIZE'
+        ? `File too large (max ${MAX_FILE_SIZE} bytes)`
+        : error.message;
+      return res.status(400).json({ message });
+    }
+    next(error);
+  });
+};
+
+const designFiles = handleUpload(designUpload.fields([
+  { name: 'images', maxCount: 10 },
+  { name: 'model', maxCount: 1 }
+]));
+const designImages = handleUpload(designUpload.array('images', 10));
+const designModel = handleUpload(designUpload.single('model'));
+const reviewImages = handleUpload(imageUpload.array('images', 5));
+const watermarkLogo = handleUpload(imageUpload.single('logo'));
+const attachments = handleUpload(documentUpload.array('attachments', 10));
+const deliverableFiles = handleUpload(documentUpload.array('files', 20));
+
+module.exports = {
+  MAX_FILE_SIZE,
+  designFiles,
+  designImages,
+  designModel,
+  reviewImages,
+  watermarkLogo,
+  attachments,
+  deliverableFiles
+};
@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+const Design = require('./models/Design');
+const { getDesignWatermark } = require('./utils/watermark');
+const { regenerateImages, hasOutdatedImages, removeOrphanedUploads } = require('./utils/designFiles');
+require('dotenv').config();
+
+// One-off backfill: re-render the previews of paid designs whose images were stored before
+// watermarking (published clean) or before previews were downscaled. Safe to run again,
+// designs that are already up to date are skipped. Usage: node migrateImagePreviews.js
+
+async function migrate() {
+  await mongoose.connect(process.env.MONGODB_URI, {
+    useNewUrlParser: true,
+    useUnifiedTopology: true,
+  });
+  console.log('Connected to MongoDB');
+
+  const cursor = Design.find({ price: { $gt: 0 }, 'images.0': { $exists: true } }).cursor();
+  for (let design = await cursor.next(); design; design = await cursor.next()) {
+    const watermark = await getDesignWatermark(design);
+    if (!watermark || !hasOutdatedImages(design, watermark)) continue;
+
+    const before = design.toObject();
+    const failed = await regenerateImages(design);
+    await design.save();
+    await removeOrphanedUploads(before, design);
+    console.log(`Updated: ${design.title}${failed.length ? ` (${failed.length} image(s) failed)` : ''}`);
+  }
+  await mongoose.disconnect();
+  console.log('Done!');
+}
+
+migrate().catch(console.error);
@@ -0,0 +1,105 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const { PERMISSIONS } = require('../config/roles');
+
+const KEY_PREFIX = 'adp_';
+
+const apiKeySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  keyHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // First characters of the key, shown in listings so keys can be told apart
+  keyPreview: {
+    type: String,
+    required: true
+  },
+  permissions: [{
+    type: String,
+    enum: PERMISSIONS
+  }],
+  scopes: [{
+    type: String,
+    enum: ['read', 'write']
+  }],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  lastUsedAt: Date,
+  lastUsedIp: String,
+  expiresAt: Date,
+  revokedAt: Date
+}, {
+  timestamps: true
+});
+
+// Virtual for whether the key can still be used
+apiKeySchema.virtual('isActive').get(function() {
+  return !this.revokedAt && (!this.expiresAt || this.expiresAt > new Date());
+});
+
+// Static method to hash a plain key (only hashes are stored)
+apiKeySchema.statics.hashKey = function(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+};
+
+// Static method to create a key, returns the document and the plain key (shown once)
+apiKeySchema.statics.createKey = async function({ name, permissions, scopes, createdBy, expiresAt }) {
+  const key = `${KEY_PREFIX}${crypto.randomBytes(24).toString('hex')}`;
+  const apiKey = await this.create({
+    name,
+    keyHash: this.hashKey(key),
+    keyPreview: key.slice(0, KEY_PREFIX.length + 6),
+    permissions,
+    scopes,
+    createdBy,
+    expiresAt
+  });
+  return { apiKey, key };
+};
+
+// Static method to find an active key by its plain value
+apiKeySchema.statics.findActiveByKey = async function(key) {
+  const apiKey = await this.findOne({ keyHash: this.hashKey(key) });
+  return apiKey && apiKey.isActive ? apiKey : null;
+};
+
+// Method to check whether the key may call a route needing a permission with an HTTP method
+apiKeySchema.methods.allows = function(permission, method) {
+  const scope = ['GET', 'HEAD', 'OPTIONS'].includes(method) ? 'read' : 'write';
+  return this.permissions.includes(permission) && this.scopes.includes(scope);
+};
+
+// Method to record usage
+apiKeySchema.methods.recordUsage = function(ipAddress) {
+  this.lastUsedAt = new Date();
+  this.lastUsedIp = ipAddress;
+  return this.constructor.updateOne(
+    { _id: this._id },
+    { lastUsedAt: this.lastUsedAt, lastUsedIp: this.lastUsedIp }
+  );
+};
+
+// Method to revoke the key
+apiKeySchema.methods.revoke = function() {
+  this.revokedAt = new Date();
+  return this.save();
+};
+
+// Remove key hash from JSON response
+apiKeySchema.methods.toJSON = function() {
+  const apiKey = this.toObject();
+  delete apiKey.keyHash;
+  return apiKey;
+};
+
+module.exports = mongoose.model('ApiKey', apiKeySchema);
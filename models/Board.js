@@ -0,0 +1,122 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// Named collection of saved designs. Each user has one default board that mirrors User.favorites.
+const boardSchema = new mongoose.Schema({
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  description: {
+    type: String,
+    maxlength: 500
+  },
+  isDefault: {
+    type: Boolean,
+    default: false
+  },
+  isShared: {
+    type: Boolean,
+    default: false
+  },
+  shareToken: String, // set while the board is shared, anyone with the link can view it
+  items: [{
+    _id: false,
+    design: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Design',
+      required: true
+    },
+    note: {
+      type: String,
+      maxlength: 1000
+    },
+    addedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }]
+}, {
+  timestamps: true
+});
+
+// Index for efficient querying
+boardSchema.index({ owner: 1, isDefault: -1, createdAt: 1 });
+boardSchema.index({ shareToken: 1 }, { unique: true, sparse: true });
+boardSchema.index({ owner: 1 }, { unique: true, partialFilterExpression: { isDefault: true } });
+
+// Set or clear the share token when sharing changes
+boardSchema.pre('save', function(next) {
+  if (this.isModified('isShared')) {
+    this.shareToken = this.isShared ? crypto.randomBytes(16).toString('hex') : undefined;
+  }
+  this.$locals.itemsChanged = this.isModified('items');
+  next();
+});
+
+// Keep User.favorites in step with the default board
+boardSchema.post('save', async function() {
+  if (this.isDefault && this.$locals.itemsChanged) {
+    await mongoose.model('User').updateOne(
+      { _id: this.owner },
+      { favorites: this.items.map(item => item.design) }
+    );
+  }
+});
+
+// Method to check whether a design is on the board
+boardSchema.methods.hasDesign = function(designId) {
+  return this.items.some(item => item.design.toString() === designId.toString());
+};
+
+// Method to add a design (no-op if already present)
+boardSchema.methods.addDesign = function(designId, note) {
+  if (!this.hasDesign(designId)) {
+    this.items.push({ design: designId, note });
+  }
+  return this;
+};
+
+// Method to remove a design
+boardSchema.methods.removeDesign = function(designId) {
+  this.items = this.items.filter(item => item.design.toString() !== designId.toString());
+  return this;
+};
+
+// Method to reorder items to match a list of design IDs (unlisted items keep their order at the end)
+boardSchema.methods.reorder = function(designIds) {
+  const position = new Map(designIds.map((id, index) => [id.toString(), index]));
+  this.items = [...this.items].sort((a, b) =>
+    (position.get(a.design.toString()) ?? Infinity) - (position.get(b.design.toString()) ?? Infinity));
+  return this;
+};
+
+// Static method to get (or create, seeded from the legacy favorites array) a user's default board
+boardSchema.statics.getDefaultForUser = async function(user) {
+  const existing = await this.findOne({ owner: user._id, isDefault: true });
+  if (existing) return existing;
+
+  try {
+    return await this.create({
+      owner: user._id,
+      name: 'Favorites',
+      isDefault: true,
+      items: (user.favorites || []).map(design => ({ design }))
+    });
+  } catch (error) {
+    // Another request created it first
+    if (error.code === 11000) {
+      return this.findOne({ owner: user._id, isDefault: true });
+    }
+    throw error;
+  }
+};
+
+module.exports = mongoose.model('Board', boardSchema);
@@ -72,9 +72,10 @@ const customRequestSchema = new mongoose.Schema({
   attachments: [{
     filename: String,
     originalName: String,
+    key: String, // storage key, downloads use signed URLs
     url: String,
     size: Number,
-    type: String
+    type: { type: String } // MIME type
   }],
   references: [{
     title: String,
@@ -126,8 +127,10 @@ const customRequestSchema = new mongoose.Schema({
     message: String,
     attachments: [{
       filename: String,
+      key: String,
       url: String,
-      type: String
+      size: Number,
+      type: { type: String }
     }],
     timestamp: {
       type: Date,
@@ -143,8 +146,9 @@ const customRequestSchema = new mongoose.Schema({
     description: String,
     files: [{
       filename: String,
+      key: String,
       url: String,
-      type: String,
+      type: { type: String },
       size: Number
     }],
     deliveredAt: Date,
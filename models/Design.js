@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const DesignRevision = require('./DesignRevision');
 
 const designSchema = new mongoose.Schema({
   title: {
@@ -35,6 +36,26 @@ const designSchema = new mongoose.Schema({
     isPrimary: {
       type: Boolean,
       default: false
+    },
+    width: Number,
+    height: Number,
+    webpUrl: String,
+    // Resized copies generated on upload (see utils/imageVariants IMAGE_SIZES)
+    variants: {
+      thumbnail: { url: String, webpUrl: String, width: Number, height: Number },
+      medium: { url: String, webpUrl: String, width: Number, height: Number },
+      large: { url: String, webpUrl: String, width: Number, height: Number }
+    },
+    // Paid designs only show watermarked previews; the clean upload is stored privately
+    // and handed to purchasers through signed links
+    watermarked: {
+      type: Boolean,
+      default: false
+    },
+    original: {
+      key: String,
+      width: Number,
+      height: Number
     }
   }],
   model3d: {
@@ -51,7 +72,46 @@ const designSchema = new mongoose.Schema({
     previewUrl: String, // Screenshot or preview image
     cloudinaryUrl: String, // Cloudinary 3D viewer URL
     cloudinaryAssetId: String, // Cloudinary asset ID for 3D viewer
-    cloudinaryCloudName: String // Cloudinary cloud name
+    cloudinaryCloudName: String, // Cloudinary cloud name
+    original: { // Uploaded file before conversion to GLB, private to purchasers
+      key: String,
+      filename: String,
+      format: {
+        type: String,
+        enum: ['gltf', 'obj', 'dae']
+      },
+      size: Number
+    },
+    conversion: {
+      status: {
+        type: String,
+        enum: ['converted', 'not-needed', 'unsupported', 'failed']
+      },
+      error: String,
+      convertedAt: Date
+    },
+    inspection: { // Derived from the model file by utils/modelInspection
+      triangles: Number,
+      vertices: Number,
+      meshes: Number,
+      materials: Number,
+      boundingBox: {
+        min: { x: Number, y: Number, z: Number },
+        max: { x: Number, y: Number, z: Number },
+        size: { x: Number, y: Number, z: Number } // metres
+      },
+      inspectedAt: Date,
+      error: String
+    },
+    dimensionCheck: { // Bounding box compared with specifications.dimensions
+      status: {
+        type: String,
+        enum: ['ok', 'mismatch', 'unknown']
+      },
+      ratio: Number, // model size / listed size on the worst axis
+      message: String,
+      checkedAt: Date
+    }
   },
   specifications: {
     dimensions: {
@@ -114,13 +174,118 @@ const designSchema = new mongoose.Schema({
   relatedDesigns: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Design'
-  }]
+  }],
+  // Bumped whenever the content below changes, see DesignRevision
+  version: {
+    type: Number,
+    default: 1
+  }
 }, {
   timestamps: true
 });
 
 // Index for search functionality
 designSchema.index({ title: 'text', description: 'text', tags: 'text' });
+designSchema.index({ 'model3d.dimensionCheck.status': 1, status: 1 });
+
+// Content paths whose changes create a new revision (views, ratings and status do not)
+const REVISION_PATHS = [
+  'title', 'description', 'category', 'style', 'price', 'currency', 'images',
+  'model3d.file', 'model3d.format', 'model3d.original', 'model3d.previewUrl',
+  'specifications', 'tags', 'license', 'usageRights'
+];
+
+// Raised when a save loses a race with another edit of the same design
+const versionConflict = () => Object.assign(new Error('The design was changed by someone else'), { name: 'VersionConflictError' });
+
+// Bump the version when content changes and record its revision before the design is written.
+// The unique { design, version } index lets only one concurrent edit take a version number, and
+// the save only applies over the version it was based on, so a saved version always has its
+// revision. A lost race fails with a VersionConflictError.
+// Routes set $locals.revisionBy (and $locals.rolledBackFrom) to describe the change.
+designSchema.pre('save', async function(next) {
+  this.$where = undefined;
+  this.$locals.revision = null;
+  let previousVersion = null;
+  try {
+    if (!this.isNew) {
+      if (!REVISION_PATHS.some(path => this.isModified(path))) return next();
+
+      let latest = await DesignRevision.latest(this._id);
+      if (!latest) {
+        // Designs created before revisions existed: keep their stored state as the first version
+        const stored = await this.constructor.findById(this._id).lean();
+        latest = await DesignRevision.record(this.constructor.hydrate(stored));
+      }
+      // Assigning unchanged values still marks paths as modified
+      if (JSON.stringify(latest.snapshot) === JSON.stringify(DesignRevision.snapshotOf(this))) return next();
+      previousVersion = latest.version;
+    }
+
+    this.version = previousVersion === null ? 1 : previousVersion + 1;
+    this.$locals.revision = await DesignRevision.record(this, {
+      changedBy: this.$locals.revisionBy,
+      rolledBackFrom: this.$locals.rolledBackFrom
+    });
+    if (previousVersion !== null) {
+      this.$where = { version: previousVersion };
+    }
+    this.$locals.previousVersion = previousVersion;
+    next();
+  } catch (error) {
+    if (previousVersion !== null) this.version = previousVersion;
+    next(error.code === 11000 ? versionConflict() : error);
+  }
+});
+
+designSchema.post('save', function() {
+  this.$where = undefined;
+  this.$locals.revision = null;
+});
+
+// A failed save drops the revision it reserved
+designSchema.post('save', function(error, doc, next) {
+  const revision = this.$locals.revision;
+  this.$where = undefined;
+  this.$locals.revision = null;
+  if (!revision) {
+    return next(error.name === 'DocumentNotFoundError' ? versionConflict() : error);
+  }
+  if (this.$locals.previousVersion !== null) this.version = this.$locals.previousVersion;
+  DesignRevision.deleteOne({ _id: revision._id })
+    .catch(removeError => console.error('Remove design revision error:', removeError))
+    .then(() => next(error.name === 'DocumentNotFoundError' ? versionConflict() : error));
+});
+
+// Lower bounds of the price ranges counted by getFacets
+const PRICE_BUCKETS = [0, 100, 250, 500, 1000, 2500, 5000];
+// Most common values returned for free-form facets (materials, features, tags)
+const FACET_VALUE_LIMIT = 20;
+
+// Count of designs per value of a field, most common first
+const countValues = (field, { unwind = false } = {}) => [
+  ...(unwind ? [{ $unwind: `$${field}` }] : []),
+  { $group: { _id: `$${field}`, count: { $sum: 1 } } },
+  { $match: { _id: { $nin: [null, ''] } } },
+  { $sort: { count: -1, _id: 1 } },
+  ...(unwind ? [{ $limit: FACET_VALUE_LIMIT }] : [])
+];
+
+const FACETS = {
+  category: countValues('category'),
+  style: countValues('style'),
+  license: countValues('license'),
+  price: [{
+    $bucket: {
+      groupBy: '$price',
+      boundaries: [...PRICE_BUCKETS, Infinity],
+      output: { count: { $sum: 1 } }
+    }
+  }],
+  materials: countValues('specifications.materials', { unwind: true }),
+  features: countValues('specifications.features', { unwind: true }),
+  tags: countValues('tags', { unwind: true })
+};
 
 // Virtual for formatted price
 designSchema.virtual('formattedPrice').get(function() {
@@ -147,4 +312,32 @@ designSchema.methods.updateRating = function(newRating) {
   return this.save();
 };
 
+// Static method to count designs per facet value. `match` applies to every facet; each entry of
+// `filters` (keyed by facet name) applies to every facet but its own, so the counts for a facet
+// show what each of its options would give alongside the other active filters.
+designSchema.statics.getFacets = async function(match, filters = {}) {
+  const facets = {};
+  Object.entries(FACETS).forEach(([name, stages]) => {
+    const others = Object.entries(filters)
+      .filter(([key, condition]) => key !== name && condition)
+      .map(([, condition]) => condition);
+    facets[name] = [...(others.length ? [{ $match: { $and: others } }] : []), ...stages];
+  });
+
+  const [result] = await this.aggregate([{ $match: match }, { $facet: facets }]);
+  const values = (counts) => counts.map(({ _id, count }) => ({ value: _id, count }));
+  return {
+    category: values(result.category),
+    style: values(result.style),
+    license: values(result.license),
+    price: result.price.map(({ _id, count }) => {
+      const next = PRICE_BUCKETS[PRICE_BUCKETS.indexOf(_id) + 1];
+      return { min: _id, max: next === undefined ? null : next, count };
+    }),
+    materials: values(result.materials),
+    features: values(result.features),
+    tags: values(result.tags)
+  };
+};
+
 module.exports = mongoose.model('Design', designSchema); 
\ No newline at end of file
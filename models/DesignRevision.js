@@ -0,0 +1,91 @@
+const mongoose = require('mongoose');
+const { diff } = require('../utils/audit');
+const { getDesignUploads } = require('../utils/uploads');
+
+// Design fields captured in each revision and restored on rollback
+const SNAPSHOT_FIELDS = [
+  'title',
+  'description',
+  'category',
+  'style',
+  'price',
+  'currency',
+  'images',
+  'model3d',
+  'specifications',
+  'tags',
+  'license',
+  'usageRights'
+];
+
+const designRevisionSchema = new mongoose.Schema({
+  design: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Design',
+    required: true
+  },
+  version: {
+    type: Number,
+    required: true
+  },
+  snapshot: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  // Fields that differ from the previous version
+  changes: [{
+    _id: false,
+    path: String,
+    before: mongoose.Schema.Types.Mixed,
+    after: mongoose.Schema.Types.Mixed
+  }],
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Set when this version was created by rolling back to an earlier one
+  rolledBackFrom: Number
+}, {
+  timestamps: true
+});
+
+designRevisionSchema.index({ design: 1, version: -1 }, { unique: true });
+
+// Static method to get the versioned fields of a design as a plain object
+designRevisionSchema.statics.snapshotOf = function(design) {
+  const plain = typeof design.toObject === 'function' ? design.toObject() : design;
+  const snapshot = {};
+  SNAPSHOT_FIELDS.forEach((field) => {
+    if (plain[field] !== undefined) snapshot[field] = plain[field];
+  });
+  return JSON.parse(JSON.stringify(snapshot));
+};
+
+// Static method to get the latest revision of a design
+designRevisionSchema.statics.latest = function(designId) {
+  return this.findOne({ design: designId }).sort({ version: -1 });
+};
+
+// Static method to record a design's current state as its current version
+designRevisionSchema.statics.record = async function(design, { changedBy, rolledBackFrom } = {}) {
+  const previous = await this.latest(design._id);
+  const snapshot = this.snapshotOf(design);
+  return this.create({
+    design: design._id,
+    version: design.version,
+    snapshot,
+    changes: diff(previous ? previous.snapshot : {}, snapshot),
+    changedBy,
+    rolledBackFrom
+  });
+};
+
+// Static method to list every stored file referenced by a design's revisions
+designRevisionSchema.statics.getReferencedUploads = async function(designId) {
+  const revisions = await this.find({ design: designId }).select('snapshot').lean();
+  return revisions.flatMap(revision => getDesignUploads(revision.snapshot));
+};
+
+designRevisionSchema.statics.SNAPSHOT_FIELDS = SNAPSHOT_FIELDS;
+
+module.exports = mongoose.model('DesignRevision', designRevisionSchema);
@@ -0,0 +1,124 @@
+const mongoose = require('mongoose');
+
+const MAX_ACCOUNT_FAILURES = parseInt(process.env.LOGIN_MAX_ACCOUNT_FAILURES) || 10;
+const MAX_IP_FAILURES = parseInt(process.env.LOGIN_MAX_IP_FAILURES) || 50;
+const LOCKOUT_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15;
+// Failures allowed before delays start, each further failure doubles the delay
+const FREE_ATTEMPTS = 3;
+const MAX_DELAY_SECONDS = 60;
+
+const loginThrottleSchema = new mongoose.Schema({
+  key: {
+    type: String, // 'account:<email>' or 'ip:<address>'
+    required: true,
+    unique: true
+  },
+  failures: {
+    type: Number,
+    default: 0
+  },
+  lastFailureAt: Date,
+  nextAttemptAt: Date,
+  lockedUntil: Date,
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Forget failure counters once the lockout window has passed
+loginThrottleSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Static method to build the throttle key for an account
+loginThrottleSchema.statics.accountKey = function(email) {
+  return `account:${email.toLowerCase()}`;
+};
+
+// Static method to build the throttle key for an IP address
+loginThrottleSchema.statics.ipKey = function(ipAddress) {
+  return `ip:${ipAddress}`;
+};
+
+// Static method to check whether a login may be attempted,
+// returns { allowed, locked, retryAfter } (retryAfter in seconds)
+loginThrottleSchema.statics.check = async function(keys) {
+  const now = new Date();
+  const throttles = await this.find({ key: { $in: keys } });
+
+  let retryAt = null;
+  let locked = false;
+  for (const throttle of throttles) {
+    if (throttle.lockedUntil && throttle.lockedUntil > now) {
+      locked = true;
+      if (!retryAt || throttle.lockedUntil > retryAt) retryAt = throttle.lockedUntil;
+    } else if (throttle.nextAttemptAt && throttle.nextAttemptAt > now) {
+      if (!retryAt || throttle.nextAttemptAt > retryAt) retryAt = throttle.nextAttemptAt;
+    }
+  }
+
+  return {
+    allowed: !retryAt,
+    locked,
+    retryAfter: retryAt ? Math.ceil((retryAt - now) / 1000) : 0
+  };
+};
+
+// Static method to record a failed attempt atomically, so parallel guesses cannot overwrite each
+// other's counts. Returns { failures, lockedUntil, lockedNow, overLimit }: lockedNow when this
+// failure triggered the lockout, overLimit when it came after the limit was already reached.
+loginThrottleSchema.statics.registerFailure = async function(key) {
+  const now = new Date();
+  const maxFailures = key.startsWith('ip:') ? MAX_IP_FAILURES : MAX_ACCOUNT_FAILURES;
+  const expiresAt = new Date(now.getTime() + LOCKOUT_MINUTES * 60 * 1000);
+
+  // A lockout that has run out starts a fresh count
+  await this.updateOne(
+    { key, lockedUntil: { $lte: now } },
+    { $set: { failures: 0 }, $unset: { lockedUntil: 1, nextAttemptAt: 1 } }
+  );
+
+  const increment = () => this.findOneAndUpdate(
+    { key },
+    { $inc: { failures: 1 }, $set: { lastFailureAt: now, expiresAt } },
+    { upsert: true, new: true }
+  );
+  let throttle;
+  try {
+    throttle = await increment();
+  } catch (error) {
+    // Two first failures at once: the other upsert inserted the record, this one now finds it
+    if (error.code !== 11000) throw error;
+    throttle = await increment();
+  }
+
+  const { failures } = throttle;
+  let lockedUntil = throttle.lockedUntil;
+  if (failures === maxFailures) {
+    lockedUntil = expiresAt;
+    await this.updateOne({ key }, { $set: { lockedUntil }, $unset: { nextAttemptAt: 1 } });
+  } else if (failures >= FREE_ATTEMPTS && failures < maxFailures) {
+    const delaySeconds = Math.min(2 ** (failures - FREE_ATTEMPTS), MAX_DELAY_SECONDS);
+    await this.updateOne({ key }, { $max: { nextAttemptAt: new Date(now.getTime() + delaySeconds * 1000) } });
+  }
+
+  return {
+    failures,
+    lockedUntil,
+    lockedNow: failures === maxFailures,
+    overLimit: failures > maxFailures
+  };
+};
+
+// Static method to take back one counted failure (an attempt counted up front that succeeded)
+loginThrottleSchema.statics.forgive = function(key) {
+  return this.updateOne({ key, failures: { $gt: 0 } }, { $inc: { failures: -1 } });
+};
+
+// Static method to clear the counters for a key
+loginThrottleSchema.statics.reset = function(key) {
+  return this.deleteOne({ key });
+};
+
+module.exports = mongoose.model('LoginThrottle', loginThrottleSchema);
@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+
+const notificationSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    required: true,
+    enum: [
+      'order.status',
+      'order.tracking',
+      'order.refund',
+      'review.approved',
+      'review.rejected',
+      'blog.comment.approved',
+      'custom-request.status',
+      'custom-request.message',
+      'custom-request.deliverable'
+    ]
+  },
+  title: {
+    type: String,
+    required: true,
+    maxlength: 200
+  },
+  message: {
+    type: String,
+    maxlength: 1000
+  },
+  link: String, // client-side path to the related page
+  data: mongoose.Schema.Types.Mixed, // IDs of the related records
+  readAt: Date
+}, {
+  timestamps: true
+});
+
+// Index for efficient querying
+notificationSchema.index({ user: 1, readAt: 1, createdAt: -1 });
+
+// Method to mark notification as read
+notificationSchema.methods.markRead = function() {
+  if (!this.readAt) {
+    this.readAt = new Date();
+  }
+  return this.save();
+};
+
+// Static method to mark all of a user's notifications as read
+notificationSchema.statics.markAllRead = function(userId) {
+  return this.updateMany({ user: userId, readAt: null }, { readAt: new Date() });
+};
+
+// Static method to count unread notifications
+notificationSchema.statics.countUnread = function(userId) {
+  return this.countDocuments({ user: userId, readAt: null });
+};
+
+module.exports = mongoose.model('Notification', notificationSchema);
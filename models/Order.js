@@ -11,6 +11,11 @@ const orderSchema = new mongoose.Schema({
     ref: 'User',
     required: true
   },
+  // Set when the order was placed on behalf of an organization (shared with its members)
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization'
+  },
   items: [{
     design: {
       type: mongoose.Schema.Types.ObjectId,
@@ -25,6 +30,8 @@ const orderSchema = new mongoose.Schema({
       type: Number,
       required: true
     },
+    // Design version bought, downloads serve this revision (absent on orders placed before versioning)
+    designVersion: Number,
     license: {
       type: String,
       enum: ['personal', 'commercial', 'exclusive'],
@@ -124,6 +131,9 @@ const orderSchema = new mongoose.Schema({
   timestamps: true
 });
 
+// Index for efficient querying
+orderSchema.index({ organization: 1, createdAt: -1 });
+
 // Generate order number before saving
 orderSchema.pre('save', async function(next) {
   if (this.isNew) {
@@ -183,4 +193,24 @@ orderSchema.methods.processRefund = function(amount, reason, processedBy) {
   return this.save();
 };
 
+// Static method to get the order item of a user's (or one of their organizations') most recent
+// completed order for a design, null if they never bought it
+orderSchema.statics.getPurchasedItem = async function(userId, designId) {
+  const organizations = await mongoose.model('Organization').find({ 'members.user': userId }).select('_id');
+  const order = await this.findOne({
+    status: 'completed',
+    'items.design': designId,
+    $or: [
+      { customer: userId },
+      { organization: { $in: organizations.map(organization => organization._id) } }
+    ]
+  }).sort({ createdAt: -1 });
+  return order ? order.items.find(item => String(item.design) === String(designId)) : null;
+};
+
+// Static method to check whether a user (or one of their organizations) has a completed order for a design
+orderSchema.statics.hasPurchased = async function(userId, designId) {
+  return Boolean(await this.getPurchasedItem(userId, designId));
+};
+
 module.exports = mongoose.model('Order', orderSchema); 
\ No newline at end of file
@@ -0,0 +1,103 @@
+const mongoose = require('mongoose');
+
+const organizationSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 200
+  },
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  members: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    role: {
+      type: String,
+      enum: ['owner', 'admin', 'member'],
+      default: 'member'
+    },
+    addedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  seats: {
+    type: Number, // maximum number of members, including the owner
+    default: 5,
+    min: 1
+  },
+  billingAddress: {
+    name: String,
+    email: String,
+    phone: String,
+    street: String,
+    city: String,
+    state: String,
+    zipCode: String,
+    country: String,
+    taxId: String
+  }
+}, {
+  timestamps: true
+});
+
+// Index for efficient querying
+organizationSchema.index({ 'members.user': 1 });
+
+// Virtual for remaining seats
+organizationSchema.virtual('availableSeats').get(function() {
+  return Math.max(this.seats - this.members.length, 0);
+});
+
+// Method to get a member entry by user ID
+organizationSchema.methods.getMember = function(userId) {
+  return this.members.find(member => member.user.toString() === userId.toString());
+};
+
+// Method to check whether a user is a member, optionally with one of the given roles
+organizationSchema.methods.hasMember = function(userId, roles) {
+  const member = this.getMember(userId);
+  return Boolean(member && (!roles || roles.includes(member.role)));
+};
+
+// Method to add a member (callers check availableSeats first)
+organizationSchema.methods.addMember = function(userId, role = 'member') {
+  this.members.push({ user: userId, role });
+  return this.save();
+};
+
+// Method to remove a member
+organizationSchema.methods.removeMember = function(userId) {
+  this.members = this.members.filter(member => member.user.toString() !== userId.toString());
+  return this.save();
+};
+
+// Method to get the admin who takes over when the owner leaves (the longest-standing one), if any
+organizationSchema.methods.getSuccessor = function() {
+  return this.members
+    .filter(member => member.role === 'admin')
+    .sort((a, b) => a.addedAt - b.addedAt)[0] || null;
+};
+
+// Method to make the successor the owner and drop the previous owner's seat
+organizationSchema.methods.transferToSuccessor = function() {
+  const successor = this.getSuccessor();
+  this.members = this.members.filter(member => member.user.toString() !== this.owner.toString());
+  successor.role = 'owner';
+  this.owner = successor.user;
+  return this.save();
+};
+
+// Static method to get organizations a user belongs to
+organizationSchema.statics.findForUser = function(userId) {
+  return this.find({ 'members.user': userId }).sort({ name: 1 });
+};
+
+module.exports = mongoose.model('Organization', organizationSchema);
@@ -0,0 +1,159 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS) || 30;
+
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  refreshTokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Kept after rotation so a replayed old token can be detected
+  previousRefreshTokenHash: {
+    type: String,
+    index: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  // Set when support staff opened this session to see the site as the user
+  impersonator: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  userAgent: String,
+  ipAddress: String,
+  lastSeenAt: {
+    type: Date,
+    default: Date.now
+  },
+  revokedAt: Date,
+  revokedReason: String
+}, {
+  timestamps: true
+});
+
+// Index for efficient querying
+sessionSchema.index({ user: 1, revokedAt: 1 });
+
+// Let MongoDB remove sessions once the refresh token has expired
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Virtual for whether the session can still be used
+sessionSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+// Static method to hash a refresh token (only hashes are stored)
+sessionSchema.statics.hashToken = function(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// Static method to generate a random refresh token
+sessionSchema.statics.generateRefreshToken = function() {
+  return crypto.randomBytes(48).toString('hex');
+};
+
+// Static method to open a new session, returns the session and its plain refresh token
+sessionSchema.statics.createForUser = async function(userId, { userAgent, ipAddress } = {}) {
+  const refreshToken = this.generateRefreshToken();
+  const session = await this.create({
+    user: userId,
+    userAgent,
+    ipAddress,
+    refreshTokenHash: this.hashToken(refreshToken),
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000)
+  });
+  return { session, refreshToken };
+};
+
+// Static method to open a short, read-only session on behalf of a user for support staff.
+// No refresh token is handed out, so it ends when expiresAt passes.
+sessionSchema.statics.createImpersonation = function(userId, impersonatorId, { userAgent, ipAddress, minutes = 30 } = {}) {
+  return this.create({
+    user: userId,
+    impersonator: impersonatorId,
+    userAgent,
+    ipAddress,
+    refreshTokenHash: this.hashToken(this.generateRefreshToken()),
+    expiresAt: new Date(Date.now() + minutes * 60 * 1000)
+  });
+};
+
+// Static method to find a session by its plain refresh token
+sessionSchema.statics.findByRefreshToken = function(refreshToken) {
+  return this.findOne({ refreshTokenHash: this.hashToken(refreshToken) });
+};
+
+// Static method to find a session whose rotated-out refresh token was presented again
+sessionSchema.statics.findByReusedRefreshToken = function(refreshToken) {
+  return this.findOne({ previousRefreshTokenHash: this.hashToken(refreshToken) });
+};
+
+// Static method to revoke every active session of a user, optionally all but one (`except`)
+sessionSchema.statics.revokeAllForUser = function(userId, reason = 'revoked', { except } = {}) {
+  const filter = { user: userId, revokedAt: null };
+  if (except) filter._id = { $ne: except };
+  return this.updateMany(filter, { revokedAt: new Date(), revokedReason: reason });
+};
+
+// Method to replace the refresh token, returns the new plain token
+sessionSchema.methods.rotateRefreshToken = async function() {
+  const refreshToken = this.constructor.generateRefreshToken();
+  this.previousRefreshTokenHash = this.refreshTokenHash;
+  this.refreshTokenHash = this.constructor.hashToken(refreshToken);
+  this.expiresAt = new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+  await this.save();
+  return refreshToken;
+};
+
+// Method to sign a short-lived JWT access token bound to this session
+sessionSchema.methods.generateAccessToken = function() {
+  const expiresIn = this.impersonator
+    ? Math.max(Math.floor((this.expiresAt - Date.now()) / 1000), 1)
+    : process.env.JWT_EXPIRES_IN || '15m';
+  return jwt.sign(
+    { userId: this.user.toString(), sessionId: this._id.toString() },
+    process.env.JWT_SECRET || 'your-secret-key',
+    { expiresIn }
+  );
+};
+
+// Method to record activity, throttled so every request doesn't write to the database
+sessionSchema.methods.touch = function(ipAddress) {
+  const fiveMinutesAgo = new Date(Date.now() - 5 * 60 * 1000);
+  if (this.lastSeenAt && this.lastSeenAt > fiveMinutesAgo && this.ipAddress === ipAddress) {
+    return Promise.resolve(this);
+  }
+  this.lastSeenAt = new Date();
+  if (ipAddress) this.ipAddress = ipAddress;
+  return this.constructor.updateOne(
+    { _id: this._id },
+    { lastSeenAt: this.lastSeenAt, ipAddress: this.ipAddress }
+  );
+};
+
+// Method to revoke the session
+sessionSchema.methods.revoke = function(reason = 'logout') {
+  this.revokedAt = new Date();
+  this.revokedReason = reason;
+  return this.save();
+};
+
+// Remove token hashes from JSON response
+sessionSchema.methods.toJSON = function() {
+  const session = this.toObject();
+  delete session.refreshTokenHash;
+  delete session.previousRefreshTokenHash;
+  return session;
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+// Site-wide settings managed by admins, one document per key (e.g. 'watermark')
+const settingSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  value: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Static method to get a setting's value merged over its defaults
+settingSchema.statics.getValue = async function(key, defaults = {}) {
+  const setting = await this.findOne({ key }).lean();
+  return { ...defaults, ...(setting && setting.value) };
+};
+
+// Static method to update part of a setting's value, returns the updated setting
+settingSchema.statics.setValue = async function(key, changes, { defaults = {}, updatedBy } = {}) {
+  const value = { ...(await this.getValue(key, defaults)), ...changes };
+  return this.findOneAndUpdate(
+    { key },
+    { value, updatedBy },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+};
+
+module.exports = mongoose.model('Setting', settingSchema);
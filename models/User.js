@@ -1,5 +1,11 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+const totp = require('../utils/totp');
+const { ROLES, ROLE_PERMISSIONS, roleHasPermission } = require('../config/roles');
+
+// Tokens sent by email are only stored as SHA-256 hashes
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -21,7 +27,7 @@ const userSchema = new mongoose.Schema({
   },
   role: {
     type: String,
-    enum: ['user', 'admin'],
+    enum: ROLES,
     default: 'user'
   },
   avatar: {
@@ -43,6 +49,43 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  accountStatus: {
+    status: {
+      type: String,
+      enum: ['active', 'suspended', 'banned'],
+      default: 'active'
+    },
+    reason: String,
+    until: Date, // suspensions lift automatically after this date
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    changedAt: Date
+  },
+  emailVerificationToken: String, // SHA-256 hash, the plain token is only emailed
+  emailVerificationExpires: Date,
+  passwordResetToken: String, // SHA-256 hash, the plain token is only emailed
+  passwordResetExpires: Date,
+  passwordChangedAt: Date,
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    secret: String, // base32 TOTP secret
+    pendingSecret: String, // secret awaiting confirmation during enrollment
+    recoveryCodes: [String], // SHA-256 hashes of unused recovery codes
+    lastUsedStep: Number, // prevents the same code from being replayed
+    enabledAt: Date
+  },
+  // Lockouts not yet shown to the user, reported on their next successful login
+  lockoutNotices: [{
+    lockedAt: Date,
+    lockedUntil: Date,
+    ipAddress: String,
+    failedAttempts: Number
+  }],
   preferences: {
     newsletter: {
       type: Boolean,
@@ -53,6 +96,20 @@ const userSchema = new mongoose.Schema({
       default: true
     }
   },
+  // Pending deletion request, carried out once scheduledFor has passed
+  deletion: {
+    requestedAt: Date,
+    scheduledFor: Date,
+    requestedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reassignContentTo: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
+  deletedAt: Date, // set once personal data has been anonymized
   favorites: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Design'
@@ -69,6 +126,13 @@ const userSchema = new mongoose.Schema({
 userSchema.pre('save', async function(next) {
   if (!this.isModified('password')) return next();
   
+  // Any outstanding reset token is void once the password changes
+  if (!this.isNew) {
+    this.passwordResetToken = undefined;
+    this.passwordResetExpires = undefined;
+    this.passwordChangedAt = new Date();
+  }
+
   try {
     const salt = await bcrypt.genSalt(10);
     this.password = await bcrypt.hash(this.password, salt);
@@ -83,10 +147,121 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   return bcrypt.compare(candidatePassword, this.password);
 };
 
-// Remove password from JSON response
+// Method to check whether a suspension or ban currently blocks the account
+userSchema.methods.isAccessBlocked = function() {
+  const { status, until } = this.accountStatus || {};
+  if (status === 'banned') return true;
+  return status === 'suspended' && (!until || until > new Date());
+};
+
+// Method to check whether the user's role grants a permission
+userSchema.methods.hasPermission = function(permission) {
+  return roleHasPermission(this.role, permission);
+};
+
+// Virtual for the permissions granted by the user's role
+userSchema.virtual('permissions').get(function() {
+  return ROLE_PERMISSIONS[this.role] || [];
+});
+
+// Method to describe why the account is blocked, for error responses
+userSchema.methods.getBlockedResponse = function() {
+  const { status, reason, until } = this.accountStatus;
+  return {
+    message: status === 'banned' ? 'This account has been banned.' : 'This account has been suspended.',
+    accountStatus: status,
+    reason,
+    until: status === 'suspended' ? until : undefined
+  };
+};
+
+// Method to create an email verification token, returns the plain token
+userSchema.methods.createEmailVerificationToken = function() {
+  const token = crypto.randomBytes(32).toString('hex');
+  this.emailVerificationToken = hashToken(token);
+  this.emailVerificationExpires = new Date(Date.now() + 24 * 60 * 60 * 1000);
+  return token;
+};
+
+// Method to mark the email address as verified
+userSchema.methods.markEmailVerified = function() {
+  this.isVerified = true;
+  this.emailVerificationToken = undefined;
+  this.emailVerificationExpires = undefined;
+  return this.save();
+};
+
+// Static method to find a user by a plain, unexpired email verification token
+userSchema.statics.findByEmailVerificationToken = function(token) {
+  return this.findOne({
+    emailVerificationToken: hashToken(token),
+    emailVerificationExpires: { $gt: new Date() }
+  });
+};
+
+// Method to create a single-use password reset token, returns the plain token
+userSchema.methods.createPasswordResetToken = function() {
+  const token = crypto.randomBytes(32).toString('hex');
+  this.passwordResetToken = hashToken(token);
+  this.passwordResetExpires = new Date(Date.now() + 60 * 60 * 1000);
+  return token;
+};
+
+// Static method to find a user by a plain, unexpired password reset token
+userSchema.statics.findByPasswordResetToken = function(token) {
+  return this.findOne({
+    passwordResetToken: hashToken(token),
+    passwordResetExpires: { $gt: new Date() }
+  });
+};
+
+// Method to verify a TOTP code against the active (or pending) secret
+userSchema.methods.verifyTwoFactorCode = function(code, { pending = false } = {}) {
+  const secret = pending ? this.twoFactor.pendingSecret : this.twoFactor.secret;
+  if (!secret) return false;
+
+  const step = totp.verifyCode(secret, code);
+  if (step === null || (this.twoFactor.lastUsedStep && step <= this.twoFactor.lastUsedStep)) {
+    return false;
+  }
+  this.twoFactor.lastUsedStep = step;
+  return true;
+};
+
+// Method to replace the recovery codes, returns the plain codes
+userSchema.methods.generateRecoveryCodes = function(count = 10) {
+  const codes = Array.from({ length: count }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+  this.twoFactor.recoveryCodes = codes.map(hashToken);
+  return codes;
+};
+
+// Method to consume a recovery code, returns whether it was valid
+userSchema.methods.useRecoveryCode = function(code) {
+  const hash = hashToken(String(code || '').trim().toLowerCase());
+  const index = this.twoFactor.recoveryCodes.indexOf(hash);
+  if (index === -1) return false;
+  this.twoFactor.recoveryCodes.splice(index, 1);
+  return true;
+};
+
+// Remove password and token hashes from JSON response
 userSchema.methods.toJSON = function() {
   const user = this.toObject();
   delete user.password;
+  delete user.emailVerificationToken;
+  delete user.emailVerificationExpires;
+  delete user.passwordResetToken;
+  delete user.passwordResetExpires;
+  if (user.twoFactor) {
+    user.twoFactor = {
+      enabled: user.twoFactor.enabled,
+      enabledAt: user.twoFactor.enabledAt,
+      recoveryCodesRemaining: (user.twoFactor.recoveryCodes || []).length
+    };
+  }
   return user;
 };
 
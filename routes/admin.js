@@ -0,0 +1,184 @@
+const express = require('express');
+const fs = require('fs');
+const path = require('path');
+const { body, validationResult, query } = require('express-validator');
+const AuditLog = require('../models/AuditLog');
+const Design = require('../models/Design');
+const Setting = require('../models/Setting');
+const { requirePermission } = require('../middleware/auth');
+const { watermarkLogo } = require('../middleware/upload');
+const { recordAudit } = require('../utils/audit');
+const { storeBuffer, removeUploads, removeRequestFiles } = require('../utils/uploads');
+const { getDriver } = require('../utils/storage');
+const { WATERMARK_POSITIONS, WATERMARK_DEFAULTS, getWatermarkSettings, normalizeLogo } = require('../utils/watermark');
+
+const router = express.Router();
+
+// @route   GET /api/admin/audit
+// @desc    Get audit log entries (filter by actor, action, targetModel, targetId, from, to)
+// @access  Private (audit:read)
+router.get('/audit', requirePermission('audit:read'), [
+  query('actor').optional().isMongoId(),
+  query('targetId').optional().isMongoId(),
+  query('action').optional().isString(),
+  query('targetModel').optional().isString(),
+  query('from').optional().isISO8601(),
+  query('to').optional().isISO8601(),
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    const { actor, action, targetModel, targetId, from, to, page = 1, limit = 50 } = req.query;
+    const filter = {};
+    if (actor) filter.actor = actor;
+    // 'order' matches every order action, 'order.refund' only refunds
+    if (action) filter.action = action.includes('.') ? action : { $regex: `^${action.replace(/[^a-z-]/gi, '')}\\.` };
+    if (targetModel) filter.targetModel = targetModel;
+    if (targetId) filter.targetId = targetId;
+    if (from || to) {
+      filter.createdAt = {};
+      if (from) filter.createdAt.$gte = new Date(from);
+      if (to) filter.createdAt.$lte = new Date(to);
+    }
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const entries = await AuditLog.find(filter)
+      .populate('actor', 'name email role')
+      .populate('apiKey', 'name keyPreview')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+    const total = await AuditLog.countDocuments(filter);
+    res.json({
+      entries,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(total / parseInt(limit)),
+        totalItems: total,
+        itemsPerPage: parseInt(limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get audit log error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/admin/designs/flagged
+// @desc    Get designs whose 3D model size disagrees with their listed dimensions
+// @access  Private (designs:write)
+router.get('/designs/flagged', requirePermission('designs:write'), [
+  query('status').optional().isIn(['draft', 'published', 'archived']),
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    const { status, page = 1, limit = 50 } = req.query;
+    const filter = { 'model3d.dimensionCheck.status': 'mismatch' };
+    if (status) filter.status = status;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const designs = await Design.find(filter)
+      .select('title status author specifications.dimensions model3d.format model3d.inspection model3d.dimensionCheck')
+      .populate('author', 'name email')
+      .sort({ 'model3d.dimensionCheck.checkedAt': -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+    const total = await Design.countDocuments(filter);
+    res.json({
+      designs,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(total / parseInt(limit)),
+        totalItems: total,
+        itemsPerPage: parseInt(limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get flagged designs error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Watermark settings with a temporary link to the logo, for the admin UI
+const withLogoUrl = async (settings) => ({
+  ...settings,
+  logoUrl: settings.logoKey ? await getDriver().getSignedUrl(settings.logoKey) : null
+});
+
+// @route   GET /api/admin/settings/watermark
+// @desc    Get the watermark applied to paid designs' preview images
+// @access  Private (settings:manage)
+router.get('/settings/watermark', requirePermission('settings:manage'), async (req, res) => {
+  try {
+    res.json({ settings: await withLogoUrl(await getWatermarkSettings()) });
+  } catch (error) {
+    console.error('Get watermark settings error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/admin/settings/watermark
+// @desc    Update the watermark (JSON, or multipart with a "logo" image). Applies to new uploads;
+//          existing designs are re-rendered with POST /api/designs/:id/images/previews
+// @access  Private (settings:manage)
+router.put('/settings/watermark', requirePermission('settings:manage'), watermarkLogo, [
+  body('enabled').optional().isBoolean().toBoolean(),
+  body('text').optional().isString().trim().isLength({ max: 60 }).withMessage('Watermark text must be at most 60 characters'),
+  body('opacity').optional().isFloat({ min: 0.05, max: 1 }).withMessage('Opacity must be between 0.05 and 1').toFloat(),
+  body('position').optional().isIn(WATERMARK_POSITIONS),
+  body('removeLogo').optional().isBoolean().toBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      await removeRequestFiles(req);
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const before = await getWatermarkSettings();
+    const changes = {};
+    ['enabled', 'text', 'opacity', 'position'].forEach((field) => {
+      if (req.body[field] !== undefined) changes[field] = req.body[field];
+    });
+
+    if (req.file) {
+      let logo;
+      try {
+        logo = await normalizeLogo(await fs.promises.readFile(req.file.path));
+      } catch (error) {
+        await removeRequestFiles(req);
+        return res.status(400).json({ message: 'Logo is not a valid image' });
+      }
+      const stored = await storeBuffer(logo, 'settings/watermark', `${path.parse(req.file.filename).name}.png`, {
+        contentType: 'image/png',
+        isPrivate: true
+      });
+      changes.logoKey = stored.key;
+      await removeRequestFiles(req);
+    } else if (req.body.removeLogo) {
+      changes.logoKey = null;
+    }
+
+    const setting = await Setting.setValue('watermark', changes, { defaults: WATERMARK_DEFAULTS, updatedBy: req.user._id });
+    if (before.logoKey && before.logoKey !== setting.value.logoKey) {
+      await removeUploads([before.logoKey], 'private/settings/watermark/');
+    }
+
+    await recordAudit(req, { action: 'settings.watermark.update', targetModel: 'Setting', targetId: setting._id, before, after: setting.value });
+
+    res.json({ message: 'Watermark settings updated', settings: await withLogoUrl(setting.value) });
+  } catch (error) {
+    console.error('Update watermark settings error:', error);
+    await removeRequestFiles(req);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
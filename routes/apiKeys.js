@@ -0,0 +1,81 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const ApiKey = require('../models/ApiKey');
+const { requirePermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../config/roles');
+const { recordAudit } = require('../utils/audit');
+
+const router = express.Router();
+
+// @route   GET /api/api-keys
+// @desc    Get all API keys
+// @access  Private (api-keys:manage)
+router.get('/', requirePermission('api-keys:manage'), async (req, res) => {
+  try {
+    const apiKeys = await ApiKey.find()
+      .populate('createdBy', 'name email')
+      .sort({ createdAt: -1 });
+    res.json(apiKeys);
+  } catch (error) {
+    console.error('Get API keys error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/api-keys
+// @desc    Create an API key (the plain key is only returned in this response)
+// @access  Private (api-keys:manage)
+router.post('/', requirePermission('api-keys:manage'), [
+  body('name').trim().isLength({ min: 2, max: 100 }).withMessage('Name must be between 2 and 100 characters'),
+  body('permissions').isArray({ min: 1 }).withMessage('At least one permission is required'),
+  body('permissions.*').isIn(PERMISSIONS).withMessage('Invalid permission'),
+  body('scopes').optional().isArray({ min: 1 }),
+  body('scopes.*').isIn(['read', 'write']).withMessage('Scope must be read or write'),
+  body('expiresAt').optional().isISO8601().withMessage('Expiry must be a valid date')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    const { name, permissions, scopes = ['read'], expiresAt } = req.body;
+    const { apiKey, key } = await ApiKey.createKey({
+      name,
+      permissions,
+      scopes,
+      createdBy: req.user._id,
+      expiresAt
+    });
+    await recordAudit(req, { action: 'api-key.create', targetModel: 'ApiKey', targetId: apiKey._id, after: apiKey });
+    res.status(201).json({
+      message: 'API key created. Copy it now, it will not be shown again.',
+      key,
+      apiKey
+    });
+  } catch (error) {
+    console.error('Create API key error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/api-keys/:id
+// @desc    Revoke an API key
+// @access  Private (api-keys:manage)
+router.delete('/:id', requirePermission('api-keys:manage'), async (req, res) => {
+  try {
+    const apiKey = await ApiKey.findById(req.params.id);
+    if (!apiKey) {
+      return res.status(404).json({ message: 'API key not found' });
+    }
+    if (!apiKey.revokedAt) {
+      await apiKey.revoke();
+      await recordAudit(req, { action: 'api-key.revoke', targetModel: 'ApiKey', targetId: apiKey._id, after: { revokedAt: apiKey.revokedAt } });
+    }
+    res.json({ message: 'API key revoked' });
+  } catch (error) {
+    console.error('Revoke API key error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -3,15 +3,122 @@ const jwt = require('jsonwebtoken');
 const bcrypt = require('bcryptjs');
 const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
-const { auth } = require('../middleware/auth');
+const Session = require('../models/Session');
+const LoginThrottle = require('../models/LoginThrottle');
+const { auth, findManagedUser } = require('../middleware/auth');
+const { sendTemplate } = require('../utils/mailer');
+const totp = require('../utils/totp');
 
 const router = express.Router();
 
-// Generate JWT token
-const generateToken = (userId) => {
-  return jwt.sign({ userId }, process.env.JWT_SECRET || 'your-secret-key', {
-    expiresIn: '7d'
+// Open a session for the requesting device and issue its access and refresh tokens
+const startSession = async (userId, req) => {
+  const { session, refreshToken } = await Session.createForUser(userId, {
+    userAgent: req.get('User-Agent'),
+    ipAddress: req.ip
   });
+  return {
+    token: session.generateAccessToken(),
+    refreshToken
+  };
+};
+
+// Reject the request if the account or IP is throttled, returns whether it was rejected
+const rejectIfThrottled = async (email, req, res) => {
+  const throttle = await LoginThrottle.check([
+    LoginThrottle.accountKey(email),
+    LoginThrottle.ipKey(req.ip)
+  ]);
+  if (throttle.allowed) return false;
+
+  res.set('Retry-After', String(throttle.retryAfter));
+  res.status(429).json({
+    message: throttle.locked
+      ? 'Too many failed login attempts. Please try again later.'
+      : 'Too many failed login attempts. Please wait before trying again.',
+    retryAfter: throttle.retryAfter
+  });
+  return true;
+};
+
+// Count an attempt against the account and IP before its credentials are checked, so a burst of
+// parallel guesses cannot all get past the throttle; attempts that succeed are taken back.
+// Returns the account throttle, or null once it has responded 429 for an attempt over the limit.
+const beginLoginAttempt = async (email, req, res) => {
+  const [ipThrottle, accountThrottle] = await Promise.all([
+    LoginThrottle.registerFailure(LoginThrottle.ipKey(req.ip)),
+    LoginThrottle.registerFailure(LoginThrottle.accountKey(email))
+  ]);
+  if (!ipThrottle.overLimit && !accountThrottle.overLimit) return accountThrottle;
+
+  res.status(429).json({ message: 'Too many failed login attempts. Please try again later.' });
+  return null;
+};
+
+// Take back an attempt counted by beginLoginAttempt whose credentials turned out to be correct
+const forgiveLoginAttempt = (email, req) => Promise.all([
+  LoginThrottle.forgive(LoginThrottle.accountKey(email)),
+  LoginThrottle.forgive(LoginThrottle.ipKey(req.ip))
+]);
+
+// Note a lockout triggered by a failed attempt on the user, reported at their next login
+const recordLockout = async (user, accountThrottle, req) => {
+  if (!user || !accountThrottle.lockedNow) return;
+  user.lockoutNotices.push({
+    lockedAt: new Date(),
+    lockedUntil: accountThrottle.lockedUntil,
+    ipAddress: req.ip,
+    failedAttempts: accountThrottle.failures
+  });
+  await user.save();
+};
+
+// Start a session and send the standard login response
+const completeLogin = async (user, req, res) => {
+  await LoginThrottle.reset(LoginThrottle.accountKey(user.email));
+  await LoginThrottle.forgive(LoginThrottle.ipKey(req.ip));
+
+  // Report lockouts that happened since the last successful login, once
+  const securityNotices = user.lockoutNotices.map(notice => ({
+    type: 'account-locked',
+    lockedAt: notice.lockedAt,
+    lockedUntil: notice.lockedUntil,
+    ipAddress: notice.ipAddress,
+    failedAttempts: notice.failedAttempts
+  }));
+  if (securityNotices.length > 0) {
+    user.lockoutNotices = [];
+    await user.save();
+  }
+
+  const { token, refreshToken } = await startSession(user._id, req);
+
+  res.json({
+    message: 'Login successful',
+    token,
+    refreshToken,
+    securityNotices,
+    deletionScheduledFor: user.deletion?.scheduledFor,
+    twoFactorSetupRequired: user.role === 'admin' && process.env.REQUIRE_ADMIN_2FA === 'true' && !user.twoFactor.enabled,
+    user: {
+      id: user._id,
+      name: user.name,
+      email: user.email,
+      role: user.role,
+      permissions: user.permissions,
+      avatar: user.avatar,
+      isVerified: user.isVerified
+    }
+  });
+};
+
+// Create a fresh verification token and email the link to the user
+const sendVerificationEmail = async (user, { welcome = false } = {}) => {
+  const verificationToken = user.createEmailVerificationToken();
+  await user.save();
+
+  const verifyUrl = `${process.env.CLIENT_URL || 'http://localhost:3000'}/verify-email?token=${verificationToken}`;
+  await sendTemplate(user.email, 'verifyEmail', { name: user.name, verifyUrl, welcome });
 };
 
 // @route   POST /api/auth/register
@@ -48,17 +155,26 @@ router.post('/register', [
 
     await user.save();
 
-    // Generate token
-    const token = generateToken(user._id);
+    // Send verification email (registration still succeeds if delivery fails)
+    try {
+      await sendVerificationEmail(user, { welcome: true });
+    } catch (mailError) {
+      console.error('Verification email error:', mailError);
+    }
+
+    // Generate tokens
+    const { token, refreshToken } = await startSession(user._id, req);
 
     res.status(201).json({
-      message: 'User registered successfully',
+      message: 'User registered successfully. Please check your email to verify your account.',
       token,
+      refreshToken,
       user: {
         id: user._id,
         name: user.name,
         email: user.email,
-        role: user.role
+        role: user.role,
+        isVerified: user.isVerified
       }
     });
   } catch (error) {
@@ -83,6 +199,11 @@ router.post('/login', [
 
     const { email, password } = req.body;
 
+    // Refuse further guesses while the account or IP is throttled
+    if (await rejectIfThrottled(email, req, res)) return;
+    const accountThrottle = await beginLoginAttempt(email, req, res);
+    if (!accountThrottle) return;
+
     // Find user by email
     const user = await User.findOne({ email });
     if (!user) {
@@ -92,26 +213,333 @@ router.post('/login', [
     // Check password
     const isPasswordValid = await user.comparePassword(password);
     if (!isPasswordValid) {
+      await recordLockout(user, accountThrottle, req);
       return res.status(400).json({ message: 'Invalid credentials' });
     }
 
-    // Generate token
-    const token = generateToken(user._id);
+    // Suspended and banned accounts cannot sign in
+    if (user.isAccessBlocked()) {
+      await forgiveLoginAttempt(email, req);
+      return res.status(403).json(user.getBlockedResponse());
+    }
+
+    // Second step required: hand out a short-lived token for /login/2fa instead of a session.
+    // The account attempt stays counted until the second step succeeds.
+    if (user.twoFactor.enabled) {
+      await LoginThrottle.forgive(LoginThrottle.ipKey(req.ip));
+      const twoFactorToken = jwt.sign(
+        { userId: user._id, purpose: 'two-factor' },
+        process.env.JWT_SECRET || 'your-secret-key',
+        { expiresIn: '5m' }
+      );
+      return res.json({
+        message: 'Two-factor authentication required',
+        twoFactorRequired: true,
+        twoFactorToken
+      });
+    }
+
+    await completeLogin(user, req, res);
+  } catch (error) {
+    console.error('Login error:', error);
+    res.status(500).json({ message: 'Server error during login' });
+  }
+});
+
+// @route   POST /api/auth/login/2fa
+// @desc    Complete login with a TOTP or recovery code
+// @access  Public
+router.post('/login/2fa', [
+  body('twoFactorToken').notEmpty().withMessage('Two-factor token is required'),
+  body().custom(value => value.code || value.recoveryCode).withMessage('Authentication code or recovery code is required')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { twoFactorToken, code, recoveryCode } = req.body;
+
+    const decoded = jwt.verify(twoFactorToken, process.env.JWT_SECRET || 'your-secret-key');
+    if (decoded.purpose !== 'two-factor') {
+      return res.status(400).json({ message: 'Invalid or expired two-factor token' });
+    }
+
+    const user = await User.findById(decoded.userId);
+    if (!user || !user.twoFactor.enabled) {
+      return res.status(400).json({ message: 'Invalid or expired two-factor token' });
+    }
+
+    if (await rejectIfThrottled(user.email, req, res)) return;
+    const accountThrottle = await beginLoginAttempt(user.email, req, res);
+    if (!accountThrottle) return;
+
+    const isCodeValid = code ? user.verifyTwoFactorCode(code) : user.useRecoveryCode(recoveryCode);
+    if (!isCodeValid) {
+      await recordLockout(user, accountThrottle, req);
+      return res.status(400).json({ message: 'Invalid authentication code' });
+    }
+    await user.save();
+
+    // The account may have been suspended or banned since the first step
+    if (user.isAccessBlocked()) {
+      await forgiveLoginAttempt(user.email, req);
+      return res.status(403).json(user.getBlockedResponse());
+    }
+
+    await completeLogin(user, req, res);
+  } catch (error) {
+    console.error('Two-factor login error:', error);
+    if (error.name === 'JsonWebTokenError' || error.name === 'TokenExpiredError') {
+      return res.status(400).json({ message: 'Invalid or expired two-factor token' });
+    }
+    res.status(500).json({ message: 'Server error during login' });
+  }
+});
+
+// @route   POST /api/auth/2fa/setup
+// @desc    Start two-factor enrollment (returns secret and provisioning URI for a QR code)
+// @access  Private
+router.post('/2fa/setup', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is already enabled' });
+    }
+
+    const secret = totp.generateSecret();
+    user.twoFactor.pendingSecret = secret;
+    await user.save();
 
     res.json({
-      message: 'Login successful',
-      token,
-      user: {
-        id: user._id,
-        name: user.name,
-        email: user.email,
-        role: user.role,
-        avatar: user.avatar
+      secret,
+      otpauthUrl: totp.buildOtpauthUrl({
+        secret,
+        accountName: user.email,
+        issuer: process.env.TOTP_ISSUER || 'Architecture Design Portal'
+      })
+    });
+  } catch (error) {
+    console.error('Two-factor setup error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/auth/2fa/enable
+// @desc    Confirm enrollment with a code from the authenticator app
+// @access  Private
+router.post('/2fa/enable', auth, [
+  body('code').notEmpty().withMessage('Authentication code is required')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await User.findById(req.user._id);
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is already enabled' });
+    }
+    if (!user.twoFactor.pendingSecret) {
+      return res.status(400).json({ message: 'Start two-factor setup first' });
+    }
+
+    if (!user.verifyTwoFactorCode(req.body.code, { pending: true })) {
+      return res.status(400).json({ message: 'Invalid authentication code' });
+    }
+
+    user.twoFactor.secret = user.twoFactor.pendingSecret;
+    user.twoFactor.pendingSecret = undefined;
+    user.twoFactor.enabled = true;
+    user.twoFactor.enabledAt = new Date();
+    const recoveryCodes = user.generateRecoveryCodes();
+    await user.save();
+
+    res.json({
+      message: 'Two-factor authentication enabled. Store these recovery codes somewhere safe, they will not be shown again.',
+      recoveryCodes
+    });
+  } catch (error) {
+    console.error('Two-factor enable error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/auth/2fa/disable
+// @desc    Disable two-factor authentication
+// @access  Private
+router.post('/2fa/disable', auth, [
+  body('password').notEmpty().withMessage('Password is required'),
+  body('code').notEmpty().withMessage('Authentication code is required')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await User.findById(req.user._id);
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+    }
+    if (user.role === 'admin' && process.env.REQUIRE_ADMIN_2FA === 'true') {
+      return res.status(403).json({ message: 'Two-factor authentication is required for admin accounts' });
+    }
+
+    const isPasswordValid = await user.comparePassword(req.body.password);
+    if (!isPasswordValid || !user.verifyTwoFactorCode(req.body.code)) {
+      return res.status(400).json({ message: 'Invalid password or authentication code' });
+    }
+
+    user.twoFactor = { enabled: false };
+    await user.save();
+
+    res.json({ message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    console.error('Two-factor disable error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/auth/2fa/recovery-codes
+// @desc    Regenerate recovery codes (invalidates the old ones)
+// @access  Private
+router.post('/2fa/recovery-codes', auth, [
+  body('code').notEmpty().withMessage('Authentication code is required')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await User.findById(req.user._id);
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+    }
+
+    if (!user.verifyTwoFactorCode(req.body.code)) {
+      return res.status(400).json({ message: 'Invalid authentication code' });
+    }
+
+    const recoveryCodes = user.generateRecoveryCodes();
+    await user.save();
+
+    res.json({ recoveryCodes });
+  } catch (error) {
+    console.error('Regenerate recovery codes error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Verify an email address from a token in the query string or body
+const verifyEmail = async (req, res) => {
+  try {
+    const token = req.query.token || req.body.token;
+    if (!token) {
+      return res.status(400).json({ message: 'Verification token is required' });
+    }
+
+    const user = await User.findByEmailVerificationToken(token);
+    if (!user) {
+      return res.status(400).json({ message: 'Invalid or expired verification token' });
+    }
+
+    await user.markEmailVerified();
+
+    res.json({ message: 'Email verified successfully' });
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// @route   GET /api/auth/verify-email
+// @desc    Verify email address (link from the verification email)
+// @access  Public
+router.get('/verify-email', verifyEmail);
+
+// @route   POST /api/auth/verify-email
+// @desc    Verify email address
+// @access  Public
+router.post('/verify-email', verifyEmail);
+
+// @route   POST /api/auth/resend-verification
+// @desc    Send a new verification email
+// @access  Private
+router.post('/resend-verification', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    if (user.isVerified) {
+      return res.status(400).json({ message: 'Email is already verified' });
+    }
+
+    await sendVerificationEmail(user);
+
+    res.json({ message: 'Verification email sent' });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/auth/refresh
+// @desc    Exchange a refresh token for a new access token (rotates the refresh token)
+// @access  Public
+router.post('/refresh', [
+  body('refreshToken').notEmpty().withMessage('Refresh token is required')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { refreshToken } = req.body;
+
+    const session = await Session.findByRefreshToken(refreshToken);
+    if (!session) {
+      // A rotated-out token being replayed means it leaked, so kill the whole session
+      const reusedSession = await Session.findByReusedRefreshToken(refreshToken);
+      if (reusedSession && reusedSession.isActive) {
+        await reusedSession.revoke('refresh-token-reuse');
       }
+      return res.status(401).json({ message: 'Invalid or expired refresh token' });
+    }
+
+    if (!session.isActive) {
+      return res.status(401).json({ message: 'Invalid or expired refresh token' });
+    }
+
+    // Deleted, suspended and banned accounts cannot keep a session alive
+    const user = await User.findById(session.user).select('accountStatus deletedAt');
+    if (!user || user.deletedAt) {
+      await session.revoke('account-deleted');
+      return res.status(401).json({ message: 'Invalid or expired refresh token' });
+    }
+    if (user.isAccessBlocked()) {
+      return res.status(403).json(user.getBlockedResponse());
+    }
+
+    session.lastSeenAt = new Date();
+    session.ipAddress = req.ip;
+    const newRefreshToken = await session.rotateRefreshToken();
+    const token = session.generateAccessToken();
+
+    res.json({
+      token,
+      refreshToken: newRefreshToken
     });
   } catch (error) {
-    console.error('Login error:', error);
-    res.status(500).json({ message: 'Server error during login' });
+    console.error('Refresh token error:', error);
+    res.status(500).json({ message: 'Server error' });
   }
 });
 
@@ -165,12 +593,24 @@ router.put('/profile', auth, [
       }
     }
 
+    // A new email address has to be verified again
+    const emailChanged = email && email !== req.user.email;
+    if (emailChanged) updateFields.isVerified = false;
+
     const updatedUser = await User.findByIdAndUpdate(
       req.user._id,
       updateFields,
       { new: true, runValidators: true }
     ).select('-password');
 
+    if (emailChanged) {
+      try {
+        await sendVerificationEmail(updatedUser);
+      } catch (mailError) {
+        console.error('Verification email error:', mailError);
+      }
+    }
+
     res.json({
       message: 'Profile updated successfully',
       user: updatedUser
@@ -213,6 +653,9 @@ router.put('/change-password', auth, [
     user.password = newPassword;
     await user.save();
 
+    // Sign out every other device, the old password may have been used on them
+    await Session.revokeAllForUser(user._id, 'password-change', { except: req.authSession._id });
+
     res.json({ message: 'Password changed successfully' });
   } catch (error) {
     console.error('Change password error:', error);
@@ -241,22 +684,18 @@ router.post('/forgot-password', [
       return res.json({ message: 'If an account with that email exists, a password reset link has been sent' });
     }
 
-    // Generate reset token (in a real app, you'd send this via email)
-    const resetToken = jwt.sign(
-      { userId: user._id },
-      process.env.JWT_SECRET || 'your-secret-key',
-      { expiresIn: '1h' }
-    );
+    // Generate single-use reset token (only its hash is stored)
+    const resetToken = user.createPasswordResetToken();
+    await user.save();
 
-    // In a real application, you would:
-    // 1. Save the reset token to the user document
-    // 2. Send an email with the reset link
-    // 3. Use a proper email service like SendGrid or Nodemailer
+    const resetUrl = `${process.env.CLIENT_URL || 'http://localhost:3000'}/reset-password?token=${resetToken}`;
+    try {
+      await sendTemplate(user.email, 'passwordReset', { name: user.name, resetUrl });
+    } catch (mailError) {
+      console.error('Password reset email error:', mailError);
+    }
 
-    res.json({ 
-      message: 'If an account with that email exists, a password reset link has been sent',
-      resetToken // Remove this in production - only for development
-    });
+    res.json({ message: 'If an account with that email exists, a password reset link has been sent' });
   } catch (error) {
     console.error('Forgot password error:', error);
     res.status(500).json({ message: 'Server error' });
@@ -280,32 +719,131 @@ router.post('/reset-password', [
     const { token, newPassword } = req.body;
 
     // Verify token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
-    const user = await User.findById(decoded.userId);
+    const user = await User.findByPasswordResetToken(token);
 
     if (!user) {
       return res.status(400).json({ message: 'Invalid or expired reset token' });
     }
 
-    // Update password
+    // Update password (saving clears the reset token so it cannot be reused)
     user.password = newPassword;
     await user.save();
 
+    // Sign out every device that may have been using the old password
+    await Session.revokeAllForUser(user._id, 'password-reset');
+
     res.json({ message: 'Password reset successfully' });
   } catch (error) {
     console.error('Reset password error:', error);
-    if (error.name === 'JsonWebTokenError' || error.name === 'TokenExpiredError') {
-      return res.status(400).json({ message: 'Invalid or expired reset token' });
-    }
     res.status(500).json({ message: 'Server error' });
   }
 });
 
 // @route   POST /api/auth/logout
-// @desc    Logout user (client-side token removal)
+// @desc    Logout user (revokes the current session)
+// @access  Private
+router.post('/logout', auth, async (req, res) => {
+  try {
+    await req.authSession.revoke('logout');
+    res.json({ message: 'Logged out successfully' });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/auth/sessions
+// @desc    List active sessions (staff with users:manage may pass ?userId= to inspect another user)
 // @access  Private
-router.post('/logout', auth, (req, res) => {
-  res.json({ message: 'Logged out successfully' });
+router.get('/sessions', auth, async (req, res) => {
+  try {
+    let userId = req.user._id;
+    if (req.query.userId && req.query.userId !== req.user._id.toString()) {
+      if (!req.user.hasPermission('users:manage')) {
+        return res.status(403).json({ message: 'Access denied' });
+      }
+      const user = await findManagedUser(req, res, req.query.userId);
+      if (!user) return;
+      userId = user._id;
+    }
+
+    const sessions = await Session.find({
+      user: userId,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    }).sort({ lastSeenAt: -1 });
+
+    res.json({
+      sessions: sessions.map(session => ({
+        ...session.toJSON(),
+        isCurrent: session._id.toString() === req.authSession._id.toString()
+      }))
+    });
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/auth/sessions/:id
+// @desc    Revoke a single session (owner or staff)
+// @access  Private
+router.delete('/sessions/:id', auth, async (req, res) => {
+  try {
+    const session = await Session.findById(req.params.id);
+    if (!session) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+
+    const isOwner = session.user.toString() === req.user._id.toString();
+    if (!isOwner) {
+      if (!req.user.hasPermission('users:manage')) {
+        return res.status(403).json({ message: 'Access denied' });
+      }
+      if (!(await findManagedUser(req, res, session.user))) return;
+    }
+
+    if (session.isActive) {
+      await session.revoke(isOwner ? 'user' : 'admin');
+    }
+
+    res.json({ message: 'Session revoked' });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/auth/sessions
+// @desc    Sign out everywhere (?keepCurrent=true spares this session, staff may pass ?userId=)
+// @access  Private
+router.delete('/sessions', auth, async (req, res) => {
+  try {
+    const isAdminAction = req.user.hasPermission('users:manage') && req.query.userId;
+    const userId = isAdminAction ? req.query.userId : req.user._id;
+    if (isAdminAction && !(await findManagedUser(req, res, userId))) return;
+
+    const filter = { user: userId, revokedAt: null };
+    if (!isAdminAction && req.query.keepCurrent === 'true') {
+      filter._id = { $ne: req.authSession._id };
+    }
+
+    const result = await Session.updateMany(filter, {
+      revokedAt: new Date(),
+      revokedReason: isAdminAction ? 'admin' : 'sign-out-everywhere'
+    });
+
+    res.json({
+      message: 'Sessions revoked',
+      revokedCount: result.modifiedCount
+    });
+  } catch (error) {
+    console.error('Revoke all sessions error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
 });
 
 module.exports = router; 
\ No newline at end of file
@@ -1,7 +1,9 @@
 const express = require('express');
 const { body, validationResult, query } = require('express-validator');
 const Blog = require('../models/Blog');
-const { auth, adminAuth, optionalAuth } = require('../middleware/auth');
+const { auth, requirePermission, optionalAuth } = require('../middleware/auth');
+const { recordAudit } = require('../utils/audit');
+const { notify } = require('../utils/notifications');
 
 const router = express.Router();
 
@@ -61,8 +63,8 @@ router.get('/:id', async (req, res) => {
 
 // @route   POST /api/blog
 // @desc    Create a new blog post
-// @access  Private (Admin)
-router.post('/', adminAuth, [
+// @access  Private (blog:write)
+router.post('/', requirePermission('blog:write'), [
   body('title').trim().isLength({ min: 5, max: 200 }),
   body('excerpt').trim().isLength({ min: 10, max: 300 }),
   body('content').trim().isLength({ min: 20 }),
@@ -90,6 +92,7 @@ router.post('/', adminAuth, [
       isPublished: true
     });
     await post.save();
+    await recordAudit(req, { action: 'blog.create', targetModel: 'Blog', targetId: post._id, after: post });
     res.status(201).json({ message: 'Blog post created', post });
   } catch (error) {
     console.error('Create blog post error:', error);
@@ -99,8 +102,8 @@ router.post('/', adminAuth, [
 
 // @route   PUT /api/blog/:id
 // @desc    Update a blog post
-// @access  Private (Admin)
-router.put('/:id', adminAuth, [
+// @access  Private (blog:write)
+router.put('/:id', requirePermission('blog:write'), [
   body('title').optional().trim().isLength({ min: 5, max: 200 }),
   body('excerpt').optional().trim().isLength({ min: 10, max: 300 }),
   body('content').optional().trim().isLength({ min: 20 }),
@@ -116,8 +119,10 @@ router.put('/:id', adminAuth, [
     if (!post) {
       return res.status(404).json({ message: 'Blog post not found' });
     }
+    const before = post.toObject();
     Object.assign(post, req.body);
     await post.save();
+    await recordAudit(req, { action: 'blog.update', targetModel: 'Blog', targetId: post._id, before, after: post });
     res.json({ message: 'Blog post updated', post });
   } catch (error) {
     console.error('Update blog post error:', error);
@@ -127,14 +132,15 @@ router.put('/:id', adminAuth, [
 
 // @route   DELETE /api/blog/:id
 // @desc    Delete a blog post
-// @access  Private (Admin)
-router.delete('/:id', adminAuth, async (req, res) => {
+// @access  Private (blog:write)
+router.delete('/:id', requirePermission('blog:write'), async (req, res) => {
   try {
     const post = await Blog.findById(req.params.id);
     if (!post) {
       return res.status(404).json({ message: 'Blog post not found' });
     }
     await Blog.findByIdAndDelete(req.params.id);
+    await recordAudit(req, { action: 'blog.delete', targetModel: 'Blog', targetId: post._id, before: post });
     res.json({ message: 'Blog post deleted' });
   } catch (error) {
     console.error('Delete blog post error:', error);
@@ -173,9 +179,9 @@ router.post('/:id/comment', auth, [
 });
 
 // @route   PUT /api/blog/:id/comment/:commentId/approve
-// @desc    Approve a comment (admin only)
-// @access  Private (Admin)
-router.put('/:id/comment/:commentId/approve', adminAuth, async (req, res) => {
+// @desc    Approve a comment (moderator only)
+// @access  Private (blog:moderate)
+router.put('/:id/comment/:commentId/approve', requirePermission('blog:moderate'), async (req, res) => {
   try {
     const post = await Blog.findById(req.params.id);
     if (!post) {
@@ -185,8 +191,17 @@ router.put('/:id/comment/:commentId/approve', adminAuth, async (req, res) => {
     if (!comment) {
       return res.status(404).json({ message: 'Comment not found' });
     }
+    const before = post.toObject();
     comment.isApproved = true;
     await post.save();
+    await recordAudit(req, { action: 'blog.comment.approve', targetModel: 'Blog', targetId: post._id, before, after: post });
+    notify(comment.user, {
+      type: 'blog.comment.approved',
+      title: 'Your comment has been published',
+      message: `Your comment on "${post.title}" is now visible.`,
+      link: `/blog/${post.slug}`,
+      data: { post: post._id, comment: comment._id }
+    });
     res.json({ message: 'Comment approved' });
   } catch (error) {
     console.error('Approve comment error:', error);
@@ -195,7 +210,7 @@ router.put('/:id/comment/:commentId/approve', adminAuth, async (req, res) => {
 });
 
 // @route   DELETE /api/blog/:id/comment/:commentId
-// @desc    Delete a comment (admin or owner)
+// @desc    Delete a comment (moderator or owner)
 // @access  Private
 router.delete('/:id/comment/:commentId', auth, async (req, res) => {
   try {
@@ -207,7 +222,7 @@ router.delete('/:id/comment/:commentId', auth, async (req, res) => {
     if (!comment) {
       return res.status(404).json({ message: 'Comment not found' });
     }
-    if (comment.user.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+    if (comment.user.toString() !== req.user._id.toString() && !req.user.hasPermission('blog:moderate')) {
       return res.status(403).json({ message: 'Access denied' });
     }
     comment.remove();
@@ -0,0 +1,275 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Board = require('../models/Board');
+const Design = require('../models/Design');
+const { auth } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Load a board owned by the current user
+const loadOwnBoard = async (req, res, boardId = req.params.id) => {
+  const board = await Board.findById(boardId);
+  if (!board || board.owner.toString() !== req.user._id.toString()) {
+    res.status(404).json({ message: 'Board not found' });
+    return null;
+  }
+  return board;
+};
+
+// @route   GET /api/boards
+// @desc    Get the current user's boards (the default "Favorites" board comes first)
+// @access  Private
+router.get('/', auth, async (req, res) => {
+  try {
+    await Board.getDefaultForUser(req.user);
+    const boards = await Board.find({ owner: req.user._id })
+      .populate('items.design', 'title images price category')
+      .sort({ isDefault: -1, createdAt: 1 });
+    res.json(boards);
+  } catch (error) {
+    console.error('Get boards error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/boards/shared/:shareToken
+// @desc    View a shared board
+// @access  Public
+router.get('/shared/:shareToken', async (req, res) => {
+  try {
+    const board = await Board.findOne({ shareToken: req.params.shareToken, isShared: true })
+      .select('-shareToken')
+      .populate('owner', 'name avatar')
+      .populate('items.design', 'title images price category');
+    if (!board) {
+      return res.status(404).json({ message: 'Board not found' });
+    }
+    res.json(board);
+  } catch (error) {
+    console.error('Get shared board error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/boards
+// @desc    Create a board
+// @access  Private
+router.post('/', auth, [
+  body('name').trim().isLength({ min: 1, max: 100 }).withMessage('Name must be between 1 and 100 characters'),
+  body('description').optional().trim().isLength({ max: 500 }),
+  body('isShared').optional().isBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    const { name, description, isShared } = req.body;
+    const board = new Board({ owner: req.user._id, name, description, isShared });
+    await board.save();
+    res.status(201).json({ message: 'Board created', board });
+  } catch (error) {
+    console.error('Create board error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/boards/:id
+// @desc    Get one of the current user's boards
+// @access  Private
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const board = await loadOwnBoard(req, res);
+    if (!board) return;
+    await board.populate('items.design', 'title images price category');
+    res.json(board);
+  } catch (error) {
+    console.error('Get board error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/boards/:id
+// @desc    Rename a board, change its description or sharing
+// @access  Private
+router.put('/:id', auth, [
+  body('name').optional().trim().isLength({ min: 1, max: 100 }),
+  body('description').optional().trim().isLength({ max: 500 }),
+  body('isShared').optional().isBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    const board = await loadOwnBoard(req, res);
+    if (!board) return;
+    const { name, description, isShared } = req.body;
+    if (name) board.name = name;
+    if (description !== undefined) board.description = description;
+    if (isShared !== undefined) board.isShared = isShared;
+    await board.save();
+    res.json({ message: 'Board updated', board });
+  } catch (error) {
+    console.error('Update board error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/boards/:id
+// @desc    Delete a board (the default board cannot be deleted)
+// @access  Private
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const board = await loadOwnBoard(req, res);
+    if (!board) return;
+    if (board.isDefault) {
+      return res.status(400).json({ message: 'The default board cannot be deleted' });
+    }
+    await Board.findByIdAndDelete(board._id);
+    res.json({ message: 'Board deleted' });
+  } catch (error) {
+    console.error('Delete board error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/boards/:id/items
+// @desc    Add a design to a board
+// @access  Private
+router.post('/:id/items', auth, [
+  body('design').isMongoId().withMessage('Invalid design ID'),
+  body('note').optional().trim().isLength({ max: 1000 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    const board = await loadOwnBoard(req, res);
+    if (!board) return;
+    const design = await Design.findById(req.body.design);
+    if (!design) {
+      return res.status(404).json({ message: 'Design not found' });
+    }
+    if (board.hasDesign(design._id)) {
+      return res.status(400).json({ message: 'Design already on this board' });
+    }
+    board.addDesign(design._id, req.body.note);
+    await board.save();
+    res.status(201).json({ message: 'Design added to board', board });
+  } catch (error) {
+    console.error('Add board item error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/boards/:id/items/order
+// @desc    Reorder a board's designs
+// @access  Private
+router.put('/:id/items/order', auth, [
+  body('designs').isArray({ min: 1 }).withMessage('Design order is required'),
+  body('designs.*').isMongoId().withMessage('Invalid design ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    const board = await loadOwnBoard(req, res);
+    if (!board) return;
+    board.reorder(req.body.designs);
+    await board.save();
+    res.json({ message: 'Board reordered', board });
+  } catch (error) {
+    console.error('Reorder board error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/boards/:id/items/:designId
+// @desc    Update the note on a board item
+// @access  Private
+router.put('/:id/items/:designId', auth, [
+  body('note').trim().isLength({ max: 1000 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    const board = await loadOwnBoard(req, res);
+    if (!board) return;
+    const item = board.items.find(entry => entry.design.toString() === req.params.designId);
+    if (!item) {
+      return res.status(404).json({ message: 'Design not on this board' });
+    }
+    item.note = req.body.note;
+    await board.save();
+    res.json({ message: 'Note updated', board });
+  } catch (error) {
+    console.error('Update board item error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/boards/:id/items/:designId
+// @desc    Remove a design from a board
+// @access  Private
+router.delete('/:id/items/:designId', auth, async (req, res) => {
+  try {
+    const board = await loadOwnBoard(req, res);
+    if (!board) return;
+    board.removeDesign(req.params.designId);
+    await board.save();
+    res.json({ message: 'Design removed from board', board });
+  } catch (error) {
+    console.error('Remove board item error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/boards/:id/items/:designId/move
+// @desc    Move a design (with its note) to another board, merging the note if it is already there
+// @access  Private
+router.post('/:id/items/:designId/move', auth, [
+  body('targetBoard').isMongoId().withMessage('Invalid target board ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    const board = await loadOwnBoard(req, res);
+    if (!board) return;
+    const targetBoard = await loadOwnBoard(req, res, req.body.targetBoard);
+    if (!targetBoard) return;
+    if (targetBoard._id.equals(board._id)) {
+      return res.status(400).json({ message: 'Design is already on this board' });
+    }
+    const item = board.items.find(entry => entry.design.toString() === req.params.designId);
+    if (!item) {
+      return res.status(404).json({ message: 'Design not on this board' });
+    }
+    const existing = targetBoard.items.find(entry => entry.design.equals(item.design));
+    if (!existing) {
+      targetBoard.addDesign(item.design, item.note);
+    } else if (item.note && item.note !== existing.note) {
+      // Already on the target board: keep that entry and append the moved note to it
+      const note = existing.note ? `${existing.note}\n\n${item.note}` : item.note;
+      if (note.length > 1000) {
+        return res.status(409).json({ message: 'The design is already on the target board and the notes are too long to combine' });
+      }
+      existing.note = note;
+    }
+    board.removeDesign(item.design);
+    await targetBoard.save();
+    await board.save();
+    res.json({ message: 'Design moved', board, targetBoard });
+  } catch (error) {
+    console.error('Move board item error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -1,14 +1,56 @@
 const express = require('express');
 const { body, validationResult, query } = require('express-validator');
 const CustomRequest = require('../models/CustomRequest');
-const { auth, adminAuth } = require('../middleware/auth');
+const { auth, requirePermission, verifiedAuth } = require('../middleware/auth');
+const { recordAudit } = require('../utils/audit');
+const { notify, emailUser } = require('../utils/notifications');
+const { attachments, deliverableFiles } = require('../middleware/upload');
+const { storeUploads, removeUploads, removeRequestFiles, signFiles } = require('../utils/uploads');
 
 const router = express.Router();
 
+// Storage prefix for a request's private files
+const getFilePrefix = (customRequest) => `private/custom-requests/${customRequest._id}/`;
+
+// Attachments and deliverables are private, so responses carry short-lived signed URLs
+const withSignedFiles = async (customRequest) => {
+  const prefix = getFilePrefix(customRequest);
+  const data = customRequest.toObject();
+  data.attachments = await signFiles(data.attachments, prefix);
+  data.communications = await Promise.all(data.communications.map(async communication => ({
+    ...communication,
+    attachments: await signFiles(communication.attachments, prefix)
+  })));
+  data.deliverables = await Promise.all(data.deliverables.map(async deliverable => ({
+    ...deliverable,
+    files: await signFiles(deliverable.files, prefix)
+  })));
+  return data;
+};
+
+// Files are only added through the upload routes, never from a JSON body
+const withoutFiles = ({ attachments, communications, deliverables, ...data }) => data;
+
+// Storage keys of every file attached to a request
+const getRequestFileKeys = (customRequest) => [
+  ...customRequest.attachments,
+  ...customRequest.communications.flatMap(communication => communication.attachments),
+  ...customRequest.deliverables.flatMap(deliverable => deliverable.files)
+].map(file => file.key).filter(Boolean);
+
+// Stored attachment entry for a request's attachments array
+const toAttachment = (file) => ({
+  filename: file.key.split('/').pop(),
+  originalName: file.filename,
+  key: file.key,
+  size: file.size,
+  type: file.type
+});
+
 // @route   POST /api/custom-requests
-// @desc    Submit a new custom design request
-// @access  Private
-router.post('/', auth, [
+// @desc    Submit a new custom design request (optionally multipart with "attachments" files)
+// @access  Private (Verified)
+router.post('/', verifiedAuth, attachments, [
   body('title').trim().isLength({ min: 5, max: 200 }),
   body('description').trim().isLength({ min: 10, max: 2000 }),
   body('category').isString(),
@@ -19,27 +61,31 @@ router.post('/', auth, [
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
+      await removeRequestFiles(req);
       return res.status(400).json({ errors: errors.array() });
     }
-    const data = req.body;
+    const data = withoutFiles(req.body);
     data.client = req.user._id;
     const customRequest = new CustomRequest(data);
+    const stored = await storeUploads(req.files, `custom-requests/${customRequest._id}`, { isPrivate: true });
+    customRequest.attachments.push(...stored.map(toAttachment));
     await customRequest.save();
-    res.status(201).json({ message: 'Custom request submitted', customRequest });
+    res.status(201).json({ message: 'Custom request submitted', customRequest: await withSignedFiles(customRequest) });
   } catch (error) {
     console.error('Submit custom request error:', error);
+    await removeRequestFiles(req);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
 // @route   GET /api/custom-requests
-// @desc    Get all custom requests (admin) or own requests (user)
+// @desc    Get all custom requests (staff) or own requests (user)
 // @access  Private
 router.get('/', auth, async (req, res) => {
   try {
     const { page = 1, limit = 10, status, category } = req.query;
     const skip = (parseInt(page) - 1) * parseInt(limit);
-    const filter = req.user.role === 'admin' ? {} : { client: req.user._id };
+    const filter = req.user.hasPermission('custom-requests:read') ? {} : { client: req.user._id };
     if (status) filter.status = status;
     if (category) filter.category = category;
     const requests = await CustomRequest.find(filter)
@@ -73,10 +119,14 @@ router.get('/:id', auth, async (req, res) => {
     if (!customRequest) {
       return res.status(404).json({ message: 'Custom request not found' });
     }
-    if (req.user.role !== 'admin' && customRequest.client._id.toString() !== req.user._id.toString()) {
+    if (!req.user.hasPermission('custom-requests:read') && customRequest.client._id.toString() !== req.user._id.toString()) {
       return res.status(403).json({ message: 'Access denied' });
     }
-    res.json(customRequest);
+    // Internal staff messages are hidden from the client
+    if (!req.user.hasPermission('custom-requests:read')) {
+      customRequest.communications = customRequest.communications.filter(communication => !communication.isInternal);
+    }
+    res.json(await withSignedFiles(customRequest));
   } catch (error) {
     console.error('Get custom request error:', error);
     res.status(500).json({ message: 'Server error' });
@@ -84,7 +134,7 @@ router.get('/:id', auth, async (req, res) => {
 });
 
 // @route   PUT /api/custom-requests/:id
-// @desc    Update a custom request (owner or admin)
+// @desc    Update a custom request (owner or staff)
 // @access  Private
 router.put('/:id', auth, async (req, res) => {
   try {
@@ -92,12 +142,12 @@ router.put('/:id', auth, async (req, res) => {
     if (!customRequest) {
       return res.status(404).json({ message: 'Custom request not found' });
     }
-    if (req.user.role !== 'admin' && customRequest.client.toString() !== req.user._id.toString()) {
+    if (!req.user.hasPermission('custom-requests:manage') && customRequest.client.toString() !== req.user._id.toString()) {
       return res.status(403).json({ message: 'Access denied' });
     }
-    Object.assign(customRequest, req.body);
+    Object.assign(customRequest, withoutFiles(req.body));
     await customRequest.save();
-    res.json({ message: 'Custom request updated', customRequest });
+    res.json({ message: 'Custom request updated', customRequest: await withSignedFiles(customRequest) });
   } catch (error) {
     console.error('Update custom request error:', error);
     res.status(500).json({ message: 'Server error' });
@@ -105,7 +155,7 @@ router.put('/:id', auth, async (req, res) => {
 });
 
 // @route   DELETE /api/custom-requests/:id
-// @desc    Delete a custom request (owner or admin)
+// @desc    Delete a custom request (owner or staff)
 // @access  Private
 router.delete('/:id', auth, async (req, res) => {
   try {
@@ -113,10 +163,11 @@ router.delete('/:id', auth, async (req, res) => {
     if (!customRequest) {
       return res.status(404).json({ message: 'Custom request not found' });
     }
-    if (req.user.role !== 'admin' && customRequest.client.toString() !== req.user._id.toString()) {
+    if (!req.user.hasPermission('custom-requests:manage') && customRequest.client.toString() !== req.user._id.toString()) {
       return res.status(403).json({ message: 'Access denied' });
     }
     await CustomRequest.findByIdAndDelete(req.params.id);
+    await removeUploads(getRequestFileKeys(customRequest), getFilePrefix(customRequest));
     res.json({ message: 'Custom request deleted' });
   } catch (error) {
     console.error('Delete custom request error:', error);
@@ -125,9 +176,9 @@ router.delete('/:id', auth, async (req, res) => {
 });
 
 // @route   PUT /api/custom-requests/:id/status
-// @desc    Update status (admin only)
-// @access  Private (Admin)
-router.put('/:id/status', adminAuth, [
+// @desc    Update status (staff only)
+// @access  Private (custom-requests:manage)
+router.put('/:id/status', requirePermission('custom-requests:manage'), [
   body('status').isIn(['submitted', 'reviewing', 'quoted', 'accepted', 'in-progress', 'completed', 'cancelled'])
 ], async (req, res) => {
   try {
@@ -135,8 +186,19 @@ router.put('/:id/status', adminAuth, [
     if (!customRequest) {
       return res.status(404).json({ message: 'Custom request not found' });
     }
+    const before = customRequest.toObject();
     customRequest.status = req.body.status;
     await customRequest.save();
+    await recordAudit(req, { action: 'custom-request.status', targetModel: 'CustomRequest', targetId: customRequest._id, before, after: customRequest });
+    if (before.status !== customRequest.status) {
+      notify(customRequest.client, {
+        type: 'custom-request.status',
+        title: `Your request "${customRequest.title}" is ${customRequest.status}`,
+        message: `The status of your custom design request changed from ${before.status} to ${customRequest.status}.`,
+        link: `/custom-requests/${customRequest._id}`,
+        data: { customRequest: customRequest._id, status: customRequest.status }
+      });
+    }
     res.json({ message: 'Status updated', customRequest });
   } catch (error) {
     console.error('Update status error:', error);
@@ -144,4 +206,192 @@ router.put('/:id/status', adminAuth, [
   }
 });
 
-module.exports = router; 
\ No newline at end of file
+// @route   PUT /api/custom-requests/:id/quote
+// @desc    Send a quote to the client (staff only)
+// @access  Private (custom-requests:manage)
+router.put('/:id/quote', requirePermission('custom-requests:manage'), [
+  body('amount').isFloat({ min: 0 }).withMessage('Quote amount must be a positive number'),
+  body('currency').optional().trim().isLength({ min: 3, max: 3 }).withMessage('Currency must be a 3-letter code').toUpperCase(),
+  body('breakdown').optional().isArray(),
+  body('breakdown.*.item').trim().notEmpty().withMessage('Breakdown item is required'),
+  body('breakdown.*.description').optional().trim(),
+  body('breakdown.*.cost').isFloat({ min: 0 }).withMessage('Breakdown cost must be a positive number'),
+  body('validUntil').optional().isISO8601().withMessage('Valid until must be a valid date'),
+  body('terms').optional().trim().isLength({ max: 2000 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    const customRequest = await CustomRequest.findById(req.params.id);
+    if (!customRequest) {
+      return res.status(404).json({ message: 'Custom request not found' });
+    }
+    if (['accepted', 'in-progress', 'completed', 'cancelled'].includes(customRequest.status)) {
+      return res.status(400).json({ message: `Cannot quote a request that is ${customRequest.status}` });
+    }
+    const { amount, currency, breakdown = [], validUntil, terms } = req.body;
+    const before = customRequest.toObject();
+    customRequest.quote = {
+      amount,
+      currency: currency || customRequest.budget.currency,
+      breakdown,
+      validUntil,
+      terms
+    };
+    customRequest.status = 'quoted';
+    await customRequest.save();
+    await recordAudit(req, { action: 'custom-request.quote', targetModel: 'CustomRequest', targetId: customRequest._id, before, after: customRequest });
+    notify(customRequest.client, {
+      type: 'custom-request.status',
+      title: `Your request "${customRequest.title}" has been quoted`,
+      message: `We sent you a quote of ${customRequest.quote.currency} ${Number(amount).toFixed(2)}.`,
+      link: `/custom-requests/${customRequest._id}`,
+      data: { customRequest: customRequest._id, status: customRequest.status }
+    });
+    emailUser(customRequest.client, 'customRequestQuote', { customRequest });
+    res.json({ message: 'Quote sent', customRequest });
+  } catch (error) {
+    console.error('Send quote error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/custom-requests/:id/communications
+// @desc    Post a message on a custom request (owner or staff, internal notes are staff only).
+//          Multipart requests may include "attachments" files.
+// @access  Private
+router.post('/:id/communications', auth, attachments, [
+  body('message').trim().isLength({ min: 1, max: 5000 }).withMessage('Message is required'),
+  body('attachments').optional().isArray(),
+  body('isInternal').optional().isBoolean().toBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      await removeRequestFiles(req);
+      return res.status(400).json({ errors: errors.array() });
+    }
+    const customRequest = await CustomRequest.findById(req.params.id);
+    if (!customRequest) {
+      await removeRequestFiles(req);
+      return res.status(404).json({ message: 'Custom request not found' });
+    }
+    const isStaff = req.user.hasPermission('custom-requests:manage');
+    const isClient = customRequest.client.toString() === req.user._id.toString();
+    if (!isStaff && !isClient) {
+      await removeRequestFiles(req);
+      return res.status(403).json({ message: 'Access denied' });
+    }
+    const isInternal = isStaff && req.body.isInternal === true;
+    const stored = await storeUploads(req.files, `custom-requests/${customRequest._id}`, { isPrivate: true });
+    const messageAttachments = [
+      // Linked files only carry a URL, storage keys are set by uploads alone
+      ...(req.body.attachments || []).map(({ filename, url, type }) => ({ filename, url, type })),
+      ...stored.map(({ key, filename, size, type }) => ({ key, filename, size, type }))
+    ];
+    await customRequest.addCommunication(req.user._id, req.body.message, messageAttachments, isInternal);
+
+    // Let the other side know, internal notes stay between staff
+    if (!isInternal) {
+      const recipient = isClient ? customRequest.assignedTo : customRequest.client;
+      notify(recipient, {
+        type: 'custom-request.message',
+        title: `New message on "${customRequest.title}"`,
+        message: req.body.message.slice(0, 200),
+        link: `/custom-requests/${customRequest._id}`,
+        data: { customRequest: customRequest._id }
+      });
+    }
+
+    const communication = customRequest.communications[customRequest.communications.length - 1].toObject();
+    communication.attachments = await signFiles(communication.attachments, getFilePrefix(customRequest));
+    res.status(201).json({ message: 'Message sent', communication });
+  } catch (error) {
+    console.error('Add communication error:', error);
+    await removeRequestFiles(req);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/custom-requests/:id/attachments
+// @desc    Upload attachments to a custom request (multipart field "attachments")
+// @access  Private (owner or staff)
+router.post('/:id/attachments', auth, attachments, async (req, res) => {
+  try {
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({ message: 'No files uploaded' });
+    }
+    const customRequest = await CustomRequest.findById(req.params.id);
+    if (!customRequest) {
+      await removeRequestFiles(req);
+      return res.status(404).json({ message: 'Custom request not found' });
+    }
+    if (!req.user.hasPermission('custom-requests:manage') && customRequest.client.toString() !== req.user._id.toString()) {
+      await removeRequestFiles(req);
+      return res.status(403).json({ message: 'Access denied' });
+    }
+    const stored = await storeUploads(req.files, `custom-requests/${customRequest._id}`, { isPrivate: true });
+    customRequest.attachments.push(...stored.map(toAttachment));
+    await customRequest.save();
+    res.status(201).json({ message: 'Attachments uploaded', attachments: await signFiles(customRequest.attachments, getFilePrefix(customRequest)) });
+  } catch (error) {
+    console.error('Upload attachments error:', error);
+    await removeRequestFiles(req);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/custom-requests/:id/deliverables
+// @desc    Deliver files to the client (multipart field "files")
+// @access  Private (custom-requests:manage)
+router.post('/:id/deliverables', requirePermission('custom-requests:manage'), deliverableFiles, [
+  body('title').trim().isLength({ min: 1, max: 200 }).withMessage('Title is required'),
+  body('description').optional().trim().isLength({ max: 2000 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      await removeRequestFiles(req);
+      return res.status(400).json({ errors: errors.array() });
+    }
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({ message: 'No files uploaded' });
+    }
+    const customRequest = await CustomRequest.findById(req.params.id);
+    if (!customRequest) {
+      await removeRequestFiles(req);
+      return res.status(404).json({ message: 'Custom request not found' });
+    }
+    const stored = await storeUploads(req.files, `custom-requests/${customRequest._id}/deliverables`, { isPrivate: true });
+    await customRequest.addDeliverable(
+      req.body.title,
+      req.body.description,
+      stored.map(({ key, filename, size, type }) => ({ key, filename, size, type }))
+    );
+    const deliverable = customRequest.deliverables[customRequest.deliverables.length - 1];
+    deliverable.status = 'delivered';
+    deliverable.deliveredAt = new Date();
+    await customRequest.save();
+
+    await recordAudit(req, { action: 'custom-request.deliverable', targetModel: 'CustomRequest', targetId: customRequest._id, after: deliverable });
+    notify(customRequest.client, {
+      type: 'custom-request.deliverable',
+      title: `New delivery for "${customRequest.title}"`,
+      message: `${req.body.title} (${stored.length} file${stored.length === 1 ? '' : 's'}) is ready to download.`,
+      link: `/custom-requests/${customRequest._id}`,
+      data: { customRequest: customRequest._id, deliverable: deliverable._id }
+    });
+
+    const data = deliverable.toObject();
+    data.files = await signFiles(data.files, getFilePrefix(customRequest));
+    res.status(201).json({ message: 'Deliverable added', deliverable: data });
+  } catch (error) {
+    console.error('Add deliverable error:', error);
+    await removeRequestFiles(req);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -1,12 +1,277 @@
 const express = require('express');
+const fs = require('fs');
+const path = require('path');
 const { body, validationResult, query } = require('express-validator');
 const Design = require('../models/Design');
-const { auth, adminAuth, optionalAuth } = require('../middleware/auth');
+const DesignRevision = require('../models/DesignRevision');
+const Board = require('../models/Board');
+const Order = require('../models/Order');
+const { auth, requirePermission, optionalAuth } = require('../middleware/auth');
+const { designFiles, designImages, designModel } = require('../middleware/upload');
+const { recordAudit, diff } = require('../utils/audit');
+const { inspectDesignModel, applyDimensionCheck } = require('../utils/modelInspection');
+const { CONVERTIBLE_FORMATS, convertToGlb } = require('../utils/modelConversion');
+const { storeUpload, storeBuffer, removeUploads, removeRequestFiles, getDesignUploads, getStorageKey } = require('../utils/uploads');
+const { getDriver } = require('../utils/storage');
+const { IMAGE_SIZES, pickImageVariant } = require('../utils/imageVariants');
+const { getDesignWatermark } = require('../utils/watermark');
+const {
+  getDesignPrefixes,
+  getOwnStorageKey,
+  storeDesignImage,
+  regenerateImages,
+  hasOutdatedImages,
+  removeOrphanedUploads
+} = require('../utils/designFiles');
+const { UNIT_SCALE } = require('../utils/units');
 
 const router = express.Router();
 
+// Respond 409 when saving lost a race with a concurrent edit, returns whether it responded
+const rejectVersionConflict = (error, res) => {
+  if (error.name !== 'VersionConflictError') return false;
+  res.status(409).json({ message: 'The design was changed by someone else, reload it and try again' });
+  return true;
+};
+
+// Files only change through the upload routes. From a JSON update keep the design's existing files,
+// allow linking external URLs, and drop any storage key the design did not already reference.
+const withoutStorageKeys = (body, design) => {
+  const update = { ...body };
+  if (update.model3d && typeof update.model3d === 'object') {
+    const model3d = { ...update.model3d };
+    delete model3d.original;
+    ['file', 'previewUrl'].forEach((field) => {
+      if (getStorageKey(model3d[field]) && model3d[field] !== design.model3d[field]) {
+        model3d[field] = design.model3d[field];
+      }
+    });
+    update.model3d = model3d;
+  }
+  if (Array.isArray(update.images)) {
+    const current = new Map(design.images.map(image => [String(image._id), image.toObject()]));
+    update.images = update.images.flatMap((image) => {
+      if (!image || typeof image !== 'object') return [];
+      const existing = image._id && current.get(String(image._id));
+      if (existing) {
+        return [{ ...existing, alt: image.alt ?? existing.alt, isPrimary: image.isPrimary ?? existing.isPrimary }];
+      }
+      return image.url && !getStorageKey(image.url) ? [{ url: image.url, alt: image.alt, isPrimary: image.isPrimary }] : [];
+    });
+  }
+  return update;
+};
+
+// Store uploaded image files and add them to a design (the first image becomes primary if none is).
+// Returns the names of files that could not be read as images, which are discarded.
+const addUploadedImages = async (design, files = [], alt) => {
+  const watermark = files.length ? await getDesignWatermark(design) : null;
+  const rejected = [];
+  for (const file of files) {
+    let image;
+    try {
+      image = await storeDesignImage(design, await fs.promises.readFile(file.path), file.filename, watermark, file);
+    } catch (error) {
+      console.error('Design image error:', error);
+      await fs.promises.unlink(file.path).catch(() => {});
+      rejected.push(file.originalname);
+      continue;
+    }
+    design.images.push({
+      ...image,
+      alt: alt || design.title,
+      isPrimary: !design.images.some(existing => existing.isPrimary)
+    });
+  }
+  return rejected;
+};
+
+const getImageWarnings = (rejected) => rejected.map(name => `${name} is not a valid image and was skipped`);
+
+// Specification list filters (query name -> field) matched all-of, or any-of with <name>Match=any
+const LIST_FIELDS = {
+  materials: 'specifications.materials',
+  colors: 'specifications.colors',
+  features: 'specifications.features',
+  tags: 'tags'
+};
+
+// Comma-separated or repeated query values as a list
+const toList = (value) => [].concat(value)
+  .flatMap(item => String(item).split(','))
+  .map(item => item.trim())
+  .filter(Boolean);
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Aggregation expression for a stored dimension in metres (null if it or its unit is unknown)
+const dimensionInMetres = (axis) => ({
+  $let: {
+    vars: { unit: { $toLower: { $ifNull: ['$specifications.dimensions.unit', 'meters'] } } },
+    in: {
+      $multiply: [
+        `$specifications.dimensions.${axis}`,
+        {
+          $switch: {
+            branches: Object.entries(UNIT_SCALE).map(([unit, scale]) => ({ case: { $eq: ['$$unit', unit] }, then: scale })),
+            default: null
+          }
+        }
+      ]
+    }
+  }
+});
+
+// $expr conditions for the dimension and footprint ranges; query values are in `unit`
+// (metres by default) and areas in square units, stored dimensions are converted whatever their unit
+const buildDimensionFilter = (query) => {
+  const scale = UNIT_SCALE[query.unit || 'meters'];
+  const measures = {
+    Width: { expression: dimensionInMetres('width'), scale },
+    Depth: { expression: dimensionInMetres('depth'), scale },
+    Height: { expression: dimensionInMetres('height'), scale },
+    Area: { expression: { $multiply: [dimensionInMetres('width'), dimensionInMetres('depth')] }, scale: scale * scale }
+  };
+
+  const conditions = [];
+  Object.entries(measures).forEach(([name, { expression, scale: factor }]) => {
+    const min = query[`min${name}`];
+    const max = query[`max${name}`];
+    if (min === undefined && max === undefined) return;
+    // Designs missing the measure never match a range on it
+    conditions.push({ $isNumber: expression });
+    if (min !== undefined) conditions.push({ $gte: [expression, parseFloat(min) * factor] });
+    if (max !== undefined) conditions.push({ $lte: [expression, parseFloat(max) * factor] });
+  });
+  return conditions.length ? { $expr: { $and: conditions } } : null;
+};
+
+// Filters for the design list from its query: `match` always applies, `filters` holds one
+// condition per facet so Design.getFacets can leave each facet's own filter out
+const buildListFilters = (query) => {
+  const { category, style, license, minPrice, maxPrice, search } = query;
+  const match = { status: 'published' };
+  if (search) {
+    match.$text = { $search: search };
+  }
+
+  const filters = {};
+  if (category) filters.category = { category };
+  if (style) filters.style = { style };
+  if (license) filters.license = { license };
+  if (minPrice || maxPrice) {
+    const price = {};
+    if (minPrice) price.$gte = parseFloat(minPrice);
+    if (maxPrice) price.$lte = parseFloat(maxPrice);
+    filters.price = { price };
+  }
+
+  const dimensions = buildDimensionFilter(query);
+  if (dimensions) filters.dimensions = dimensions;
+
+  // Values match case-insensitively, as they are free text on the design
+  Object.entries(LIST_FIELDS).forEach(([name, field]) => {
+    const values = query[name];
+    if (!values || !values.length) return;
+    const patterns = values.map(value => new RegExp(`^${escapeRegex(value)}$`, 'i'));
+    filters[name] = { [field]: query[`${name}Match`] === 'any' ? { $in: patterns } : { $all: patterns } };
+  });
+  return { match, filters };
+};
+
+// Query options for list endpoints that return a single image size
+const imageSizeValidation = [
+  query('imageSize').optional().isIn(['original', ...Object.keys(IMAGE_SIZES)]),
+  query('imageFormat').optional().isIn(['original', 'webp'])
+];
+
+// Design JSON with each image reduced to the requested size, or unchanged if none was requested
+const withImageSize = (design, { imageSize, imageFormat } = {}) => {
+  const json = design.toJSON();
+  if (!imageSize && !imageFormat) return json;
+  json.images = (json.images || []).map(image =>
+    pickImageVariant(image, imageSize, { webp: imageFormat === 'webp' }));
+  return json;
+};
+
+// Store an uploaded 3D model and point the design at it. OBJ, glTF and Collada uploads are
+// converted to GLB for the viewer and the original is kept privately for purchasers.
+const setUploadedModel = async (design, file) => {
+  const format = path.extname(file.originalname).slice(1).toLowerCase();
+  let glb = null;
+  let conversion = { status: format === 'glb' ? 'not-needed' : 'unsupported' };
+
+  if (CONVERTIBLE_FORMATS.includes(format)) {
+    try {
+      glb = await convertToGlb(await fs.promises.readFile(file.path), format);
+      conversion = { status: 'converted', convertedAt: new Date() };
+    } catch (error) {
+      console.error('Model conversion error:', error);
+      conversion = { status: 'failed', error: error.message };
+    }
+  }
+
+  if (glb) {
+    const original = await storeUpload(file, `designs/${design._id}/originals`, { isPrivate: true });
+    const converted = await storeBuffer(glb, `designs/${design._id}/models`, `${path.parse(file.filename).name}.glb`, {
+      contentType: 'model/gltf-binary'
+    });
+    design.set({
+      'model3d.file': converted.url,
+      'model3d.format': 'glb',
+      'model3d.size': converted.size,
+      'model3d.original': { key: original.key, filename: file.originalname, format, size: file.size }
+    });
+  } else {
+    // Nothing to convert (or conversion failed): the upload itself is the viewer file
+    const stored = await storeUpload(file, `designs/${design._id}/models`);
+    design.set({
+      'model3d.file': stored.url,
+      'model3d.format': format,
+      'model3d.size': file.size,
+      'model3d.original': undefined
+    });
+  }
+  design.set('model3d.conversion', conversion);
+  await inspectDesignModel(design);
+};
+
+// Warnings shown to staff when a published design's model looks wrong
+const getModelWarnings = (design) => {
+  const check = design.model3d && design.model3d.dimensionCheck;
+  return check && check.status === 'mismatch' && design.status === 'published'
+    ? [`Published with a model that does not match its dimensions: ${check.message}`]
+    : [];
+};
+
+// Versioned fields of a design at a version, null if there is no such revision
+const getVersionSnapshot = async (design, version) => {
+  if (version === design.version) return DesignRevision.snapshotOf(design);
+  const revision = await DesignRevision.findOne({ design: design._id, version });
+  return revision ? revision.snapshot : null;
+};
+
+// Content a user may download: the version their order is pinned to, or for staff the current
+// version (or ?version=). Returns { status } when there is nothing to serve.
+const getDownloadContent = async (req, design) => {
+  let version = design.version;
+  if (req.user.hasPermission('designs:write')) {
+    if (req.query.version) version = parseInt(req.query.version);
+  } else {
+    const item = await Order.getPurchasedItem(req.user._id, design._id);
+    if (!item) return { status: 403 };
+    // Orders placed before versioning get the current version
+    if (item.designVersion) version = item.designVersion;
+  }
+  const content = await getVersionSnapshot(design, version);
+  return content ? { version, content } : { status: 404 };
+};
+
 // @route   GET /api/designs
-// @desc    Get all designs with filtering and pagination
+// @desc    Get all designs with filtering, pagination and facet counts (facets=false skips them;
+//          imageSize/imageFormat pick one image variant). Specification filters: min/max Width,
+//          Depth, Height and footprint Area in `unit`; materials, colors, features and tags match
+//          all listed values, or any with materialsMatch=any etc.
 // @access  Public
 router.get('/', [
   query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
@@ -15,9 +280,17 @@ router.get('/', [
   query('style').optional().isIn(['modern', 'classical', 'contemporary', 'traditional', 'minimalist', 'luxury', 'eco-friendly', 'industrial', 'mediterranean', 'scandinavian']),
   query('minPrice').optional().isFloat({ min: 0 }).withMessage('Min price must be a positive number'),
   query('maxPrice').optional().isFloat({ min: 0 }).withMessage('Max price must be a positive number'),
+  query('license').optional().isIn(['personal', 'commercial', 'exclusive']),
+  query(['minWidth', 'maxWidth', 'minDepth', 'maxDepth', 'minHeight', 'maxHeight', 'minArea', 'maxArea'])
+    .optional().isFloat({ min: 0 }).withMessage('Dimensions must be positive numbers'),
+  query('unit').optional().isIn(Object.keys(UNIT_SCALE)).withMessage(`Unit must be one of: ${Object.keys(UNIT_SCALE).join(', ')}`),
+  query(Object.keys(LIST_FIELDS)).optional().customSanitizer(toList),
+  query(Object.keys(LIST_FIELDS).map(name => `${name}Match`)).optional().isIn(['all', 'any']),
   query('search').optional().trim(),
+  query('facets').optional().isBoolean().toBoolean(),
   query('sortBy').optional().isIn(['price', 'createdAt', 'viewCount', 'downloadCount', 'rating']),
-  query('sortOrder').optional().isIn(['asc', 'desc'])
+  query('sortOrder').optional().isIn(['asc', 'desc']),
+  ...imageSizeValidation
 ], async (req, res) => {
   try {
     // Check for validation errors
@@ -29,28 +302,13 @@ router.get('/', [
     const {
       page = 1,
       limit = 12,
-      category,
-      style,
-      minPrice,
-      maxPrice,
-      search,
       sortBy = 'createdAt',
       sortOrder = 'desc'
     } = req.query;
 
     // Build filter object
-    const filter = { status: 'published' };
-    
-    if (category) filter.category = category;
-    if (style) filter.style = style;
-    if (minPrice || maxPrice) {
-      filter.price = {};
-      if (minPrice) filter.price.$gte = parseFloat(minPrice);
-      if (maxPrice) filter.price.$lte = parseFloat(maxPrice);
-    }
-    if (search) {
-      filter.$text = { $search: search };
-    }
+    const { match, filters } = buildListFilters(req.query);
+    const filter = Object.assign({}, match, ...Object.values(filters));
 
     // Build sort object
     const sort = {};
@@ -69,8 +327,11 @@ router.get('/', [
     // Get total count for pagination
     const total = await Design.countDocuments(filter);
 
+    const facets = req.query.facets === false ? undefined : await Design.getFacets(match, filters);
+
     res.json({
-      designs,
+      designs: designs.map(design => withImageSize(design, req.query)),
+      facets,
       pagination: {
         currentPage: parseInt(page),
         totalPages: Math.ceil(total / parseInt(limit)),
@@ -85,10 +346,15 @@ router.get('/', [
 });
 
 // @route   GET /api/designs/featured
-// @desc    Get featured designs
+// @desc    Get featured designs (imageSize/imageFormat pick one image variant)
 // @access  Public
-router.get('/featured', async (req, res) => {
+router.get('/featured', imageSizeValidation, async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
     const designs = await Design.find({ 
       status: 'published', 
       isFeatured: true 
@@ -97,7 +363,7 @@ router.get('/featured', async (req, res) => {
       .sort({ createdAt: -1 })
       .limit(6);
 
-    res.json(designs);
+    res.json(designs.map(design => withImageSize(design, req.query)));
   } catch (error) {
     console.error('Get featured designs error:', error);
     res.status(500).json({ message: 'Server error' });
@@ -133,21 +399,22 @@ router.get('/:id', optionalAuth, async (req, res) => {
 });
 
 // @route   POST /api/designs
-// @desc    Create a new design
-// @access  Private (Admin only)
-router.post('/', adminAuth, [
+// @desc    Create a new design (JSON, or multipart with "images" and "model" files)
+// @access  Private (designs:write)
+router.post('/', requirePermission('designs:write'), designFiles, [
   body('title').trim().isLength({ min: 3, max: 200 }).withMessage('Title must be between 3 and 200 characters'),
   body('description').trim().isLength({ min: 10 }).withMessage('Description must be at least 10 characters'),
   body('category').isIn(['residential', 'commercial', 'landscape', 'interior', 'urban-planning', 'sustainable', 'modern', 'classical', 'minimalist', 'luxury']).withMessage('Invalid category'),
   body('style').isIn(['modern', 'classical', 'contemporary', 'traditional', 'minimalist', 'luxury', 'eco-friendly', 'industrial', 'mediterranean', 'scandinavian']).withMessage('Invalid style'),
   body('price').isFloat({ min: 0 }).withMessage('Price must be a positive number'),
-  body('model3d.file').notEmpty().withMessage('3D model file is required'),
-  body('model3d.format').isIn(['gltf', 'glb', 'obj', 'fbx', 'dae']).withMessage('Invalid 3D model format')
+  body('model3d.file').if((value, { req }) => !(req.files && req.files.model)).notEmpty().withMessage('3D model file is required'),
+  body('model3d.format').if((value, { req }) => !(req.files && req.files.model)).isIn(['gltf', 'glb', 'obj', 'fbx', 'dae']).withMessage('Invalid 3D model format')
 ], async (req, res) => {
   try {
     // Check for validation errors
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
+      await removeRequestFiles(req);
       return res.status(400).json({ errors: errors.array() });
     }
 
@@ -157,25 +424,37 @@ router.post('/', adminAuth, [
     };
 
     const design = new Design(designData);
+    const files = req.files || {};
+    const rejected = await addUploadedImages(design, files.images, req.body.alt);
+    if (files.model) {
+      await setUploadedModel(design, files.model[0]);
+    } else {
+      await inspectDesignModel(design);
+    }
+    design.$locals.revisionBy = req.user._id;
     await design.save();
 
+    await recordAudit(req, { action: 'design.create', targetModel: 'Design', targetId: design._id, after: design });
+
     const populatedDesign = await Design.findById(design._id)
       .populate('author', 'name avatar');
 
     res.status(201).json({
       message: 'Design created successfully',
-      design: populatedDesign
+      design: populatedDesign,
+      warnings: [...getModelWarnings(design), ...getImageWarnings(rejected)]
     });
   } catch (error) {
     console.error('Create design error:', error);
+    await removeRequestFiles(req);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
 // @route   PUT /api/designs/:id
 // @desc    Update a design
-// @access  Private (Admin only)
-router.put('/:id', adminAuth, [
+// @access  Private (designs:write)
+router.put('/:id', requirePermission('designs:write'), [
   body('title').optional().trim().isLength({ min: 3, max: 200 }).withMessage('Title must be between 3 and 200 characters'),
   body('description').optional().trim().isLength({ min: 10 }).withMessage('Description must be at least 10 characters'),
   body('category').optional().isIn(['residential', 'commercial', 'landscape', 'interior', 'urban-planning', 'sustainable', 'modern', 'classical', 'minimalist', 'luxury']).withMessage('Invalid category'),
@@ -195,36 +474,68 @@ router.put('/:id', adminAuth, [
     }
 
     // Update design
-    Object.assign(design, req.body);
+    const before = design.toObject();
+    Object.assign(design, withoutStorageKeys(req.body, design));
+
+    // Inspection and conversion results are derived from the model file, never taken from the request
+    const previousModel = before.model3d || {};
+    if (design.model3d.file !== previousModel.file || design.model3d.format !== previousModel.format) {
+      design.set('model3d.original', undefined);
+      design.set('model3d.conversion', undefined);
+      await inspectDesignModel(design);
+    } else {
+      ['inspection', 'dimensionCheck', 'original', 'conversion'].forEach(field =>
+        design.set(`model3d.${field}`, previousModel[field]));
+      applyDimensionCheck(design);
+    }
+
+    // The version is only ever bumped by saving changed content
+    design.version = before.version;
+
+    // Paid designs show watermarked previews, free ones clean images
+    if ((before.price > 0) !== (design.price > 0)) {
+      await regenerateImages(design);
+    }
+    design.$locals.revisionBy = req.user._id;
     await design.save();
+    await removeOrphanedUploads(before, design);
+
+    await recordAudit(req, { action: 'design.update', targetModel: 'Design', targetId: design._id, before, after: design });
 
     const updatedDesign = await Design.findById(design._id)
       .populate('author', 'name avatar');
 
     res.json({
       message: 'Design updated successfully',
-      design: updatedDesign
+      design: updatedDesign,
+      warnings: getModelWarnings(design)
     });
   } catch (error) {
     console.error('Update design error:', error);
     if (error.kind === 'ObjectId') {
       return res.status(404).json({ message: 'Design not found' });
     }
+    if (rejectVersionConflict(error, res)) return;
     res.status(500).json({ message: 'Server error' });
   }
 });
 
 // @route   DELETE /api/designs/:id
 // @desc    Delete a design
-// @access  Private (Admin only)
-router.delete('/:id', adminAuth, async (req, res) => {
+// @access  Private (designs:write)
+router.delete('/:id', requirePermission('designs:write'), async (req, res) => {
   try {
     const design = await Design.findById(req.params.id);
     if (!design) {
       return res.status(404).json({ message: 'Design not found' });
     }
 
+    const revisionUploads = await DesignRevision.getReferencedUploads(design._id);
     await Design.findByIdAndDelete(req.params.id);
+    await removeUploads([...getDesignUploads(design), ...revisionUploads], getDesignPrefixes(design));
+    await DesignRevision.deleteMany({ design: design._id });
+
+    await recordAudit(req, { action: 'design.delete', targetModel: 'Design', targetId: design._id, before: design });
 
     res.json({ message: 'Design deleted successfully' });
   } catch (error) {
@@ -236,6 +547,443 @@ router.delete('/:id', adminAuth, async (req, res) => {
   }
 });
 
+// @route   POST /api/designs/:id/images
+// @desc    Upload images for a design (multipart field "images", up to 10)
+// @access  Private (designs:write)
+router.post('/:id/images', requirePermission('designs:write'), designImages, async (req, res) => {
+  try {
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({ message: 'No images uploaded' });
+    }
+
+    const design = await Design.findById(req.params.id);
+    if (!design) {
+      await removeRequestFiles(req);
+      return res.status(404).json({ message: 'Design not found' });
+    }
+
+    const before = design.toObject();
+    const rejected = await addUploadedImages(design, req.files, req.body.alt);
+    if (rejected.length === req.files.length) {
+      return res.status(400).json({ message: 'Uploaded files are not valid images', rejected });
+    }
+    design.$locals.revisionBy = req.user._id;
+    await design.save();
+
+    await recordAudit(req, { action: 'design.images.upload', targetModel: 'Design', targetId: design._id, before, after: design });
+
+    res.status(201).json({ message: 'Images uploaded successfully', images: design.images, warnings: getImageWarnings(rejected) });
+  } catch (error) {
+    console.error('Upload design images error:', error);
+    await removeRequestFiles(req);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Design not found' });
+    }
+    if (rejectVersionConflict(error, res)) return;
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/designs/:id/images/:imageId
+// @desc    Remove an image from a design (and its file, if uploaded)
+// @access  Private (designs:write)
+router.delete('/:id/images/:imageId', requirePermission('designs:write'), async (req, res) => {
+  try {
+    const design = await Design.findById(req.params.id);
+    if (!design) {
+      return res.status(404).json({ message: 'Design not found' });
+    }
+
+    const image = design.images.id(req.params.imageId);
+    if (!image) {
+      return res.status(404).json({ message: 'Image not found' });
+    }
+
+    const before = design.toObject();
+    design.images.pull(image._id);
+    // Keep a primary image if there are images left
+    if (image.isPrimary && design.images.length > 0) {
+      design.images[0].isPrimary = true;
+    }
+    design.$locals.revisionBy = req.user._id;
+    await design.save();
+    await removeOrphanedUploads(before, design);
+
+    await recordAudit(req, { action: 'design.images.delete', targetModel: 'Design', targetId: design._id, before, after: design });
+
+    res.json({ message: 'Image removed successfully', images: design.images });
+  } catch (error) {
+    console.error('Delete design image error:', error);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Design not found' });
+    }
+    if (rejectVersionConflict(error, res)) return;
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/designs/:id/images/previews
+// @desc    Re-render a design's image previews with the current watermark settings
+// @access  Private (designs:write)
+router.post('/:id/images/previews', requirePermission('designs:write'), async (req, res) => {
+  try {
+    const design = await Design.findById(req.params.id);
+    if (!design) {
+      return res.status(404).json({ message: 'Design not found' });
+    }
+
+    const before = design.toObject();
+    const failed = await regenerateImages(design);
+    design.$locals.revisionBy = req.user._id;
+    await design.save();
+    await removeOrphanedUploads(before, design);
+
+    await recordAudit(req, { action: 'design.images.regenerate', targetModel: 'Design', targetId: design._id, before, after: design });
+
+    res.json({ message: 'Image previews regenerated', images: design.images, failed });
+  } catch (error) {
+    console.error('Regenerate design images error:', error);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Design not found' });
+    }
+    if (rejectVersionConflict(error, res)) return;
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/designs/:id/images/originals
+// @desc    Get links to a design's full-resolution images without watermarks at the version purchased
+// @access  Private (customers with a completed order for the design, or designs:write with optional ?version=)
+router.get('/:id/images/originals', auth, [
+  query('version').optional().isInt({ min: 1 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const design = await Design.findById(req.params.id);
+    if (!design) {
+      return res.status(404).json({ message: 'Design not found' });
+    }
+
+    const { status, version, content } = await getDownloadContent(req, design);
+    if (status === 403) {
+      return res.status(403).json({ message: 'Purchase this design to get its original images' });
+    }
+    if (status === 404) {
+      return res.status(404).json({ message: 'Version not found' });
+    }
+
+    // Only originals stored under this design are signed, never keys copied from elsewhere
+    const images = await Promise.all((content.images || []).map(async (image) => {
+      const key = image.original && getOwnStorageKey(design, image.original.key);
+      const isOriginal = Boolean(key);
+      return {
+        _id: image._id,
+        alt: image.alt,
+        isPrimary: image.isPrimary,
+        url: isOriginal ? await getDriver().getSignedUrl(key, { filename: path.basename(key) }) : image.url,
+        width: isOriginal ? image.original.width : image.width,
+        height: isOriginal ? image.original.height : image.height
+      };
+    }));
+
+    res.json({ version, images });
+  } catch (error) {
+    console.error('Get original design images error:', error);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Design not found' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/designs/:id/model
+// @desc    Upload or replace a design's 3D model (multipart field "model")
+// @access  Private (designs:write)
+router.put('/:id/model', requirePermission('designs:write'), designModel, async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ message: 'No model uploaded' });
+    }
+
+    const design = await Design.findById(req.params.id);
+    if (!design) {
+      await removeRequestFiles(req);
+      return res.status(404).json({ message: 'Design not found' });
+    }
+
+    const before = design.toObject();
+    await setUploadedModel(design, req.file);
+    design.$locals.revisionBy = req.user._id;
+    await design.save();
+    await removeOrphanedUploads(before, design);
+
+    await recordAudit(req, { action: 'design.model.upload', targetModel: 'Design', targetId: design._id, before, after: design });
+
+    res.json({ message: 'Model uploaded successfully', model3d: design.model3d, warnings: getModelWarnings(design) });
+  } catch (error) {
+    console.error('Upload design model error:', error);
+    await removeRequestFiles(req);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Design not found' });
+    }
+    if (rejectVersionConflict(error, res)) return;
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/designs/:id/inspect
+// @desc    Re-inspect a design's 3D model and re-check it against the listed dimensions
+// @access  Private (designs:write)
+router.post('/:id/inspect', requirePermission('designs:write'), async (req, res) => {
+  try {
+    const design = await Design.findById(req.params.id);
+    if (!design) {
+      return res.status(404).json({ message: 'Design not found' });
+    }
+
+    await inspectDesignModel(design);
+    await design.save();
+
+    res.json({
+      inspection: design.model3d.inspection,
+      dimensionCheck: design.model3d.dimensionCheck,
+      warnings: getModelWarnings(design)
+    });
+  } catch (error) {
+    console.error('Inspect design model error:', error);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Design not found' });
+    }
+    if (rejectVersionConflict(error, res)) return;
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/designs/:id/download
+// @desc    Get download links for a design's model (GLB and original upload) at the version purchased
+// @access  Private (customers with a completed order for the design, or designs:write with optional ?version=)
+router.get('/:id/download', auth, [
+  query('version').optional().isInt({ min: 1 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const design = await Design.findById(req.params.id);
+    if (!design) {
+      return res.status(404).json({ message: 'Design not found' });
+    }
+
+    const isStaff = req.user.hasPermission('designs:write');
+    const { status, version, content } = await getDownloadContent(req, design);
+    if (status === 403) {
+      return res.status(403).json({ message: 'Purchase this design to download it' });
+    }
+    if (status === 404) {
+      return res.status(404).json({ message: 'Version not found' });
+    }
+
+    // Stored files get expiring links, externally hosted ones are returned as they are.
+    // Keys stored under any other record are never signed.
+    const { file, format, size, original } = content.model3d || {};
+    const modelKey = getOwnStorageKey(design, file);
+    if (!file || (!modelKey && getStorageKey(file))) {
+      return res.status(404).json({ message: 'This design has no model file' });
+    }
+
+    const driver = getDriver();
+    const originalKey = original && getOwnStorageKey(design, original.key);
+    const downloads = {
+      version,
+      model: {
+        url: modelKey ? await driver.getSignedUrl(modelKey, { filename: `${content.title}.${format}` }) : file,
+        format,
+        size
+      }
+    };
+    if (originalKey) {
+      downloads.original = {
+        url: await driver.getSignedUrl(originalKey, { filename: original.filename }),
+        filename: original.filename,
+        format: original.format,
+        size: original.size
+      };
+    }
+
+    if (!isStaff) {
+      await design.incrementDownload();
+    }
+
+    res.json(downloads);
+  } catch (error) {
+    console.error('Download design error:', error);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Design not found' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/designs/:id/revisions
+// @desc    Get a design's version history (newest first)
+// @access  Private (designs:write)
+router.get('/:id/revisions', requirePermission('designs:write'), [
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const design = await Design.findById(req.params.id).select('version');
+    if (!design) {
+      return res.status(404).json({ message: 'Design not found' });
+    }
+
+    const { page = 1, limit = 20 } = req.query;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const revisions = await DesignRevision.find({ design: design._id })
+      .select('-snapshot')
+      .populate('changedBy', 'name')
+      .sort({ version: -1 })
+      .skip(skip)
+      .limit(parseInt(limit))
+      .lean();
+    const total = await DesignRevision.countDocuments({ design: design._id });
+
+    res.json({
+      currentVersion: design.version,
+      // The list only names the changed fields, GET /revisions/:version has the values
+      revisions: revisions.map(revision => ({
+        ...revision,
+        changes: revision.changes.map(change => change.path)
+      })),
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(total / parseInt(limit)),
+        totalItems: total,
+        itemsPerPage: parseInt(limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get design revisions error:', error);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Design not found' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/designs/:id/revisions/diff
+// @desc    Compare two versions of a design (from, and to which defaults to the current version)
+// @access  Private (designs:write)
+router.get('/:id/revisions/diff', requirePermission('designs:write'), [
+  query('from').isInt({ min: 1 }).withMessage('From must be a version number'),
+  query('to').optional().isInt({ min: 1 }).withMessage('To must be a version number')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const design = await Design.findById(req.params.id);
+    if (!design) {
+      return res.status(404).json({ message: 'Design not found' });
+    }
+
+    const from = parseInt(req.query.from);
+    const to = req.query.to ? parseInt(req.query.to) : design.version;
+    const [before, after] = await Promise.all([getVersionSnapshot(design, from), getVersionSnapshot(design, to)]);
+    if (!before || !after) {
+      return res.status(404).json({ message: 'Version not found' });
+    }
+
+    res.json({ from, to, changes: diff(before, after) });
+  } catch (error) {
+    console.error('Diff design revisions error:', error);
+    if (error.kind === 'ObjectId') {
+      return res.status(404).json({ message: 'Design not found' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/designs/:id/revisions/:version
+// @desc    Get a single version of a design
+// @access  Private (designs:write)
+router.get('/:id/revisions/:version', requirePermission('designs:write'), async (req, res) => {
+  try {
+    const revision = await DesignRevision.findOne({ design: req.params.id, version: parseInt(req.params.version) })
+      .populate('changedBy', 'name');
+    if (!revision) {
+      return res.status(404).json({ message: 'Revision not found' });
+    }
+
+    res.json(revision);
+  } catch (error) {
+    console.error('Get design revision error:', error);
+    if (error.kind === 'ObjectId' || error.kind === 'Number') {
+      return res.status(404).json({ message: 'Revision not found' });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/designs/:id/revisions/:version/rollback
+// @desc    Restore a design to an earlier version (recorded as a new version)
+// @access  Private (designs:write)
+router.post('/:id/revisions/:version/rollback', requirePermission('designs:write'), async (req, res) => {
+  try {
+    const design = await Design.findById(req.params.id);
+    if (!design) {
+      return res.status(404).json({ message: 'Design not found' });
+    }
+
+    const revision = await DesignRevision.findOne({ design: design._id, version: parseInt(req.params.version) });
+    if (!revision) {
+      return res.status(404).json({ message: 'Revision not found' });
+    }
+    if (revision.version === design.version) {
+      return res.status(400).json({ message: 'This is already the current version' });
+    }
+
+    const before = design.toObject();
+    DesignRevision.SNAPSHOT_FIELDS.forEach(field => design.set(field, revision.snapshot[field]));
+    // The restored images were rendered for that version's price and the watermark settings of the time
+    if (hasOutdatedImages(design, await getDesignWatermark(design))) {
+      await regenerateImages(design);
+    }
+    design.$locals.revisionBy = req.user._id;
+    design.$locals.rolledBackFrom = revision.version;
+    await design.save();
+    await removeOrphanedUploads(before, design);
+
+    await recordAudit(req, { action: 'design.rollback', targetModel: 'Design', targetId: design._id, before, after: design });
+
+    res.json({
+      message: `Design restored to version ${revision.version}`,
+      design,
+      warnings: getModelWarnings(design)
+    });
+  } catch (error) {
+    console.error('Rollback design error:', error);
+    if (error.kind === 'ObjectId' || error.kind === 'Number') {
+      return res.status(404).json({ message: 'Design not found' });
+    }
+    if (rejectVersionConflict(error, res)) return;
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // @route   POST /api/designs/:id/favorite
 // @desc    Add design to favorites
 // @access  Private
@@ -246,13 +994,14 @@ router.post('/:id/favorite', auth, async (req, res) => {
       return res.status(404).json({ message: 'Design not found' });
     }
 
-    const user = req.user;
-    if (user.favorites.includes(design._id)) {
+    // Favorites live on the user's default board
+    const board = await Board.getDefaultForUser(req.user);
+    if (board.hasDesign(design._id)) {
       return res.status(400).json({ message: 'Design already in favorites' });
     }
 
-    user.favorites.push(design._id);
-    await user.save();
+    board.addDesign(design._id);
+    await board.save();
 
     res.json({ message: 'Design added to favorites' });
   } catch (error) {
@@ -271,9 +1020,9 @@ router.delete('/:id/favorite', auth, async (req, res) => {
       return res.status(404).json({ message: 'Design not found' });
     }
 
-    const user = req.user;
-    user.favorites = user.favorites.filter(id => id.toString() !== design._id.toString());
-    await user.save();
+    const board = await Board.getDefaultForUser(req.user);
+    board.removeDesign(design._id);
+    await board.save();
 
     res.json({ message: 'Design removed from favorites' });
   } catch (error) {
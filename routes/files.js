@@ -0,0 +1,40 @@
+const express = require('express');
+const path = require('path');
+const { getDriver, verifyLocalSignature } = require('../utils/storage');
+
+const router = express.Router();
+
+// @route   GET /api/files/*
+// @desc    Download a stored file through a signed URL (local storage driver)
+// @access  Public (signed URL)
+router.get('/*', async (req, res) => {
+  try {
+    const key = req.params[0];
+    const { expires, signature, filename } = req.query;
+    const driver = getDriver();
+    if (driver.name !== 'local' || !verifyLocalSignature(key, expires, signature)) {
+      return res.status(403).json({ message: 'Invalid or expired link' });
+    }
+
+    let filePath;
+    try {
+      filePath = driver.resolveKey(key);
+    } catch (error) {
+      return res.status(404).json({ message: 'File not found' });
+    }
+
+    if (filename) {
+      res.attachment(path.basename(String(filename)));
+    }
+    res.sendFile(filePath, (error) => {
+      if (error && !res.headersSent) {
+        res.status(404).json({ message: 'File not found' });
+      }
+    });
+  } catch (error) {
+    console.error('Download file error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
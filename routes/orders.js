@@ -2,22 +2,27 @@ const express = require('express');
 const { body, validationResult } = require('express-validator');
 const Order = require('../models/Order');
 const Design = require('../models/Design');
-const { auth, adminAuth } = require('../middleware/auth');
+const Organization = require('../models/Organization');
+const { auth, requirePermission, verifiedAuth } = require('../middleware/auth');
+const { recordAudit } = require('../utils/audit');
+const { notify, emailUser } = require('../utils/notifications');
 
 const router = express.Router();
 
 // @route   POST /api/orders
 // @desc    Create a new order
-// @access  Private
-router.post('/', auth, [
+// @access  Private (Verified)
+router.post('/', verifiedAuth, [
   body('items').isArray({ min: 1 }).withMessage('At least one item is required'),
   body('items.*.design').isMongoId().withMessage('Invalid design ID'),
   body('items.*.quantity').isInt({ min: 1 }).withMessage('Quantity must be at least 1'),
   body('items.*.license').isIn(['personal', 'commercial', 'exclusive']).withMessage('Invalid license type'),
   body('paymentMethod').isIn(['stripe', 'paypal', 'bank-transfer', 'crypto']).withMessage('Invalid payment method'),
-  body('billingAddress').isObject().withMessage('Billing address is required'),
-  body('billingAddress.name').notEmpty().withMessage('Billing name is required'),
-  body('billingAddress.email').isEmail().withMessage('Valid billing email is required')
+  body('organization').optional().isMongoId().withMessage('Invalid organization ID'),
+  // Organization orders fall back to the organization's billing address
+  body('billingAddress').if((value, { req }) => !req.body.organization || value).isObject().withMessage('Billing address is required'),
+  body('billingAddress.name').if((value, { req }) => !req.body.organization || req.body.billingAddress).notEmpty().withMessage('Billing name is required'),
+  body('billingAddress.email').if((value, { req }) => !req.body.organization || req.body.billingAddress).isEmail().withMessage('Valid billing email is required')
 ], async (req, res) => {
   try {
     // Check for validation errors
@@ -26,7 +31,21 @@ router.post('/', auth, [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { items, paymentMethod, billingAddress, shippingAddress, notes } = req.body;
+    const { items, paymentMethod, shippingAddress, notes } = req.body;
+    let { billingAddress } = req.body;
+
+    // Orders on behalf of an organization can be placed by any of its members
+    let organization = null;
+    if (req.body.organization) {
+      organization = await Organization.findById(req.body.organization);
+      if (!organization || !organization.hasMember(req.user._id)) {
+        return res.status(403).json({ message: 'You are not a member of this organization' });
+      }
+      billingAddress = billingAddress || organization.toObject().billingAddress || {};
+      if (!billingAddress.name || !billingAddress.email) {
+        return res.status(400).json({ message: 'Organization has no billing address, please provide one' });
+      }
+    }
 
     // Validate and get design details
     const orderItems = [];
@@ -49,6 +68,7 @@ router.post('/', auth, [
         design: design._id,
         quantity: item.quantity,
         price: design.price,
+        designVersion: design.version,
         license: item.license
       });
     }
@@ -61,6 +81,7 @@ router.post('/', auth, [
     // Create order
     const order = new Order({
       customer: req.user._id,
+      organization: organization ? organization._id : undefined,
       items: orderItems,
       subtotal,
       tax,
@@ -78,6 +99,8 @@ router.post('/', auth, [
       .populate('customer', 'name email')
       .populate('items.design', 'title images price');
 
+    emailUser(req.user._id, 'orderConfirmation', { order: populatedOrder });
+
     res.status(201).json({
       message: 'Order created successfully',
       order: populatedOrder
@@ -135,9 +158,12 @@ router.get('/:id', auth, async (req, res) => {
       return res.status(404).json({ message: 'Order not found' });
     }
 
-    // Check if user owns the order or is admin
-    if (order.customer._id.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
-      return res.status(403).json({ message: 'Access denied' });
+    // Check if user owns the order, belongs to its organization or may read all orders
+    if (order.customer._id.toString() !== req.user._id.toString() && !req.user.hasPermission('orders:read')) {
+      const organization = order.organization && await Organization.findById(order.organization);
+      if (!organization || !organization.hasMember(req.user._id)) {
+        return res.status(403).json({ message: 'Access denied' });
+      }
     }
 
     res.json(order);
@@ -152,8 +178,8 @@ router.get('/:id', auth, async (req, res) => {
 
 // @route   PUT /api/orders/:id/status
 // @desc    Update order status
-// @access  Private (Admin only)
-router.put('/:id/status', adminAuth, [
+// @access  Private (orders:update)
+router.put('/:id/status', requirePermission('orders:update'), [
   body('status').isIn(['pending', 'processing', 'completed', 'cancelled', 'refunded']).withMessage('Invalid status'),
   body('paymentStatus').optional().isIn(['pending', 'paid', 'failed', 'refunded']).withMessage('Invalid payment status')
 ], async (req, res) => {
@@ -171,6 +197,7 @@ router.put('/:id/status', adminAuth, [
       return res.status(404).json({ message: 'Order not found' });
     }
 
+    const before = order.toObject();
     order.status = status;
     if (paymentStatus) {
       order.paymentStatus = paymentStatus;
@@ -178,6 +205,19 @@ router.put('/:id/status', adminAuth, [
 
     await order.save();
 
+    await recordAudit(req, { action: 'order.status', targetModel: 'Order', targetId: order._id, before, after: order });
+
+    if (before.status !== order.status) {
+      notify(order.customer, {
+        type: 'order.status',
+        title: `Order ${order.orderNumber} is ${order.status}`,
+        message: `The status of your order ${order.orderNumber} changed from ${before.status} to ${order.status}.`,
+        link: `/orders/${order._id}`,
+        data: { order: order._id, status: order.status }
+      });
+      emailUser(order.customer, 'orderStatusChanged', { order, previousStatus: before.status });
+    }
+
     const updatedOrder = await Order.findById(order._id)
       .populate('customer', 'name email')
       .populate('items.design', 'title images price');
@@ -197,8 +237,8 @@ router.put('/:id/status', adminAuth, [
 
 // @route   POST /api/orders/:id/tracking
 // @desc    Add tracking update
-// @access  Private (Admin only)
-router.post('/:id/tracking', adminAuth, [
+// @access  Private (orders:update)
+router.post('/:id/tracking', requirePermission('orders:update'), [
   body('status').notEmpty().withMessage('Tracking status is required'),
   body('location').optional().trim(),
   body('description').optional().trim()
@@ -217,8 +257,19 @@ router.post('/:id/tracking', adminAuth, [
       return res.status(404).json({ message: 'Order not found' });
     }
 
+    const before = order.toObject();
     await order.addTrackingUpdate(status, location, description);
 
+    await recordAudit(req, { action: 'order.tracking', targetModel: 'Order', targetId: order._id, before, after: order });
+
+    notify(order.customer, {
+      type: 'order.tracking',
+      title: `Tracking update for order ${order.orderNumber}`,
+      message: [status, location, description].filter(Boolean).join(' - '),
+      link: `/orders/${order._id}`,
+      data: { order: order._id, trackingStatus: status }
+    });
+
     res.json({ message: 'Tracking update added successfully' });
   } catch (error) {
     console.error('Add tracking update error:', error);
@@ -231,8 +282,8 @@ router.post('/:id/tracking', adminAuth, [
 
 // @route   POST /api/orders/:id/refund
 // @desc    Process refund
-// @access  Private (Admin only)
-router.post('/:id/refund', adminAuth, [
+// @access  Private (orders:refund)
+router.post('/:id/refund', requirePermission('orders:refund'), [
   body('amount').isFloat({ min: 0 }).withMessage('Refund amount must be a positive number'),
   body('reason').notEmpty().withMessage('Refund reason is required')
 ], async (req, res) => {
@@ -254,8 +305,20 @@ router.post('/:id/refund', adminAuth, [
       return res.status(400).json({ message: 'Refund amount cannot exceed order total' });
     }
 
+    const before = order.toObject();
     await order.processRefund(amount, reason, req.user._id);
 
+    await recordAudit(req, { action: 'order.refund', targetModel: 'Order', targetId: order._id, before, after: order });
+
+    notify(order.customer, {
+      type: 'order.refund',
+      title: `Refund processed for order ${order.orderNumber}`,
+      message: `A refund of ${order.currency} ${Number(amount).toFixed(2)} has been processed.`,
+      link: `/orders/${order._id}`,
+      data: { order: order._id, amount }
+    });
+    emailUser(order.customer, 'refundProcessed', { order });
+
     res.json({ message: 'Refund processed successfully' });
   } catch (error) {
     console.error('Process refund error:', error);
@@ -267,9 +330,9 @@ router.post('/:id/refund', adminAuth, [
 });
 
 // @route   GET /api/orders/admin/all
-// @desc    Get all orders (Admin only)
-// @access  Private (Admin only)
-router.get('/admin/all', adminAuth, async (req, res) => {
+// @desc    Get all orders (staff only)
+// @access  Private (orders:read)
+router.get('/admin/all', requirePermission('orders:read'), async (req, res) => {
   try {
     const { page = 1, limit = 20, status, paymentStatus } = req.query;
     const skip = (parseInt(page) - 1) * parseInt(limit);
@@ -304,8 +367,8 @@ router.get('/admin/all', adminAuth, async (req, res) => {
 
 // @route   GET /api/orders/stats/summary
 // @desc    Get order statistics summary
-// @access  Private (Admin only)
-router.get('/stats/summary', adminAuth, async (req, res) => {
+// @access  Private (orders:stats)
+router.get('/stats/summary', requirePermission('orders:stats'), async (req, res) => {
   try {
     const today = new Date();
     const startOfDay = new Date(today.getFullYear(), today.getMonth(), today.getDate());
@@ -0,0 +1,294 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, validationResult } = require('express-validator');
+const Organization = require('../models/Organization');
+const Order = require('../models/Order');
+const User = require('../models/User');
+const { auth } = require('../middleware/auth');
+const { recordAudit } = require('../utils/audit');
+
+const router = express.Router();
+
+// Load the organization and make sure the current user is a member (with one of the roles, if given)
+const loadOrganization = async (req, res, roles) => {
+  const organization = mongoose.isValidObjectId(req.params.id) && await Organization.findById(req.params.id);
+  if (!organization) {
+    res.status(404).json({ message: 'Organization not found' });
+    return null;
+  }
+  if (!organization.hasMember(req.user._id, roles)) {
+    res.status(403).json({ message: 'Access denied' });
+    return null;
+  }
+  return organization;
+};
+
+// @route   POST /api/organizations
+// @desc    Create an organization (the creator becomes its owner)
+// @access  Private
+router.post('/', auth, [
+  body('name').trim().isLength({ min: 2, max: 200 }).withMessage('Name must be between 2 and 200 characters'),
+  body('seats').optional().isInt({ min: 1 }).withMessage('Seats must be at least 1'),
+  body('billingAddress').optional().isObject()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    const { name, seats, billingAddress } = req.body;
+    const organization = new Organization({
+      name,
+      seats,
+      billingAddress,
+      owner: req.user._id,
+      members: [{ user: req.user._id, role: 'owner' }]
+    });
+    await organization.save();
+    res.status(201).json({ message: 'Organization created', organization });
+  } catch (error) {
+    console.error('Create organization error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/organizations
+// @desc    Get organizations the current user belongs to
+// @access  Private
+router.get('/', auth, async (req, res) => {
+  try {
+    const organizations = await Organization.findForUser(req.user._id)
+      .populate('owner', 'name email');
+    res.json(organizations);
+  } catch (error) {
+    console.error('Get organizations error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/organizations/:id
+// @desc    Get an organization with its members
+// @access  Private (Members)
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const organization = await loadOrganization(req, res);
+    if (!organization) return;
+    await organization.populate('members.user', 'name email avatar');
+    res.json(organization);
+  } catch (error) {
+    console.error('Get organization error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/organizations/:id
+// @desc    Update name, seats or billing address
+// @access  Private (Owner, or admin for name and billing address)
+router.put('/:id', auth, [
+  body('name').optional().trim().isLength({ min: 2, max: 200 }),
+  body('seats').optional().isInt({ min: 1 }).withMessage('Seats must be at least 1'),
+  body('billingAddress').optional().isObject()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    const organization = await loadOrganization(req, res, ['owner', 'admin']);
+    if (!organization) return;
+
+    const { name, seats, billingAddress } = req.body;
+    if (seats !== undefined) {
+      if (!organization.hasMember(req.user._id, ['owner'])) {
+        return res.status(403).json({ message: 'Only the owner can change seats' });
+      }
+      if (seats < organization.members.length) {
+        return res.status(400).json({ message: 'Remove members before reducing seats below the current member count' });
+      }
+      organization.seats = seats;
+    }
+    if (name) organization.name = name;
+    if (billingAddress) organization.billingAddress = billingAddress;
+    await organization.save();
+    res.json({ message: 'Organization updated', organization });
+  } catch (error) {
+    console.error('Update organization error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/organizations/:id
+// @desc    Delete an organization that has no orders
+// @access  Private (Owner)
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const organization = await loadOrganization(req, res, ['owner']);
+    if (!organization) return;
+    // Members hold the licenses of its orders through their membership
+    if (await Order.exists({ organization: organization._id })) {
+      return res.status(409).json({ message: 'Organizations with orders cannot be deleted' });
+    }
+    await Organization.findByIdAndDelete(organization._id);
+    await recordAudit(req, { action: 'organization.delete', targetModel: 'Organization', targetId: organization._id, before: organization });
+    res.json({ message: 'Organization deleted' });
+  } catch (error) {
+    console.error('Delete organization error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/organizations/:id/members
+// @desc    Add a member by email (uses a seat)
+// @access  Private (Owner or admin)
+router.post('/:id/members', auth, [
+  body('email').isEmail().normalizeEmail().withMessage('Please provide a valid email'),
+  body('role').optional().isIn(['admin', 'member']).withMessage('Role must be admin or member')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    const organization = await loadOrganization(req, res, ['owner', 'admin']);
+    if (!organization) return;
+
+    const user = await User.findOne({ email: req.body.email, deletedAt: null });
+    if (!user) {
+      return res.status(404).json({ message: 'No user with this email address' });
+    }
+    if (organization.hasMember(user._id)) {
+      return res.status(400).json({ message: 'User is already a member' });
+    }
+    if (organization.availableSeats === 0) {
+      return res.status(400).json({ message: 'No seats available' });
+    }
+    await organization.addMember(user._id, req.body.role);
+    res.status(201).json({ message: 'Member added', organization });
+  } catch (error) {
+    console.error('Add organization member error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/organizations/:id/members/:userId
+// @desc    Change a member's role
+// @access  Private (Owner)
+router.put('/:id/members/:userId', auth, [
+  body('role').isIn(['admin', 'member']).withMessage('Role must be admin or member')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    const organization = await loadOrganization(req, res, ['owner']);
+    if (!organization) return;
+
+    const member = organization.getMember(req.params.userId);
+    if (!member) {
+      return res.status(404).json({ message: 'Member not found' });
+    }
+    if (member.role === 'owner') {
+      return res.status(400).json({ message: 'The owner role cannot be changed' });
+    }
+    member.role = req.body.role;
+    await organization.save();
+    res.json({ message: 'Member role updated', organization });
+  } catch (error) {
+    console.error('Update organization member error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/organizations/:id/members/:userId
+// @desc    Remove a member (owner or admin), or leave the organization (self)
+// @access  Private
+router.delete('/:id/members/:userId', auth, async (req, res) => {
+  try {
+    const isSelf = req.params.userId === req.user._id.toString();
+    const organization = await loadOrganization(req, res, isSelf ? undefined : ['owner', 'admin']);
+    if (!organization) return;
+
+    const member = organization.getMember(req.params.userId);
+    if (!member) {
+      return res.status(404).json({ message: 'Member not found' });
+    }
+    if (member.role === 'owner') {
+      return res.status(400).json({ message: 'The owner cannot be removed' });
+    }
+    await organization.removeMember(req.params.userId);
+    res.json({ message: isSelf ? 'You have left the organization' : 'Member removed' });
+  } catch (error) {
+    console.error('Remove organization member error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/organizations/:id/orders
+// @desc    Get orders placed on behalf of the organization
+// @access  Private (Members)
+router.get('/:id/orders', auth, async (req, res) => {
+  try {
+    const organization = await loadOrganization(req, res);
+    if (!organization) return;
+
+    const { page = 1, limit = 10, status } = req.query;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const filter = { organization: organization._id };
+    if (status) filter.status = status;
+
+    const orders = await Order.find(filter)
+      .populate('customer', 'name email')
+      .populate('items.design', 'title images price')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+    const total = await Order.countDocuments(filter);
+    res.json({
+      orders,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(total / parseInt(limit)),
+        totalItems: total,
+        itemsPerPage: parseInt(limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get organization orders error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/organizations/:id/licenses
+// @desc    Get design licenses and downloads purchased by the organization
+// @access  Private (Members)
+router.get('/:id/licenses', auth, async (req, res) => {
+  try {
+    const organization = await loadOrganization(req, res);
+    if (!organization) return;
+
+    const orders = await Order.find({ organization: organization._id, status: 'completed' })
+      .populate('items.design', 'title images model3d license')
+      .populate('customer', 'name')
+      .sort({ createdAt: -1 });
+
+    const licenses = orders.flatMap(order => order.items.map(item => ({
+      design: item.design,
+      license: item.license,
+      quantity: item.quantity,
+      orderId: order._id,
+      orderNumber: order.orderNumber,
+      purchasedBy: order.customer,
+      purchasedAt: order.createdAt,
+      downloads: order.downloads.filter(download =>
+        item.design && download.design && download.design.toString() === item.design._id.toString())
+    })));
+
+    res.json(licenses);
+  } catch (error) {
+    console.error('Get organization licenses error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
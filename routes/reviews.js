@@ -2,7 +2,11 @@ const express = require('express');
 const { body, validationResult, query } = require('express-validator');
 const Review = require('../models/Review');
 const Design = require('../models/Design');
-const { auth, adminAuth, optionalAuth } = require('../middleware/auth');
+const { auth, requirePermission, verifiedAuth, optionalAuth } = require('../middleware/auth');
+const { recordAudit } = require('../utils/audit');
+const { notify } = require('../utils/notifications');
+const { reviewImages } = require('../middleware/upload');
+const { storeUploads, removeUploads, removeRequestFiles } = require('../utils/uploads');
 
 const router = express.Router();
 
@@ -66,9 +70,9 @@ router.get('/:id', async (req, res) => {
 });
 
 // @route   POST /api/reviews
-// @desc    Add a new review
-// @access  Private
-router.post('/', auth, [
+// @desc    Add a new review (optionally multipart with up to 5 "images")
+// @access  Private (Verified)
+router.post('/', verifiedAuth, reviewImages, [
   body('type').isIn(['design', 'service', 'overall']).withMessage('Invalid review type'),
   body('rating').isInt({ min: 1, max: 5 }).withMessage('Rating must be between 1 and 5'),
   body('title').trim().isLength({ min: 3, max: 100 }),
@@ -78,15 +82,18 @@ router.post('/', auth, [
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
+      await removeRequestFiles(req);
       return res.status(400).json({ errors: errors.array() });
     }
     const { type, rating, title, comment, design } = req.body;
     if (type === 'design' && !design) {
+      await removeRequestFiles(req);
       return res.status(400).json({ message: 'Design ID is required for design reviews' });
     }
     // Prevent duplicate reviews by the same user for the same design/type
     const existing = await Review.findOne({ user: req.user._id, design, type });
     if (existing) {
+      await removeRequestFiles(req);
       return res.status(400).json({ message: 'You have already reviewed this item' });
     }
     const review = new Review({
@@ -98,16 +105,19 @@ router.post('/', auth, [
       design: design || undefined,
       status: 'pending'
     });
+    const images = await storeUploads(req.files, `reviews/${review._id}`);
+    review.images = images.map(image => ({ url: image.url, alt: title }));
     await review.save();
     res.status(201).json({ message: 'Review submitted for approval', review });
   } catch (error) {
     console.error('Add review error:', error);
+    await removeRequestFiles(req);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
 // @route   PUT /api/reviews/:id
-// @desc    Update a review (owner or admin)
+// @desc    Update a review (owner or moderator)
 // @access  Private
 router.put('/:id', auth, [
   body('rating').optional().isInt({ min: 1, max: 5 }),
@@ -123,12 +133,15 @@ router.put('/:id', auth, [
     if (!review) {
       return res.status(404).json({ message: 'Review not found' });
     }
-    if (review.user.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+    if (review.user.toString() !== req.user._id.toString() && !req.user.hasPermission('reviews:moderate')) {
       return res.status(403).json({ message: 'Access denied' });
     }
+    const previousImages = review.images.map(image => image.url);
     Object.assign(review, req.body);
     review.status = 'pending'; // Re-approve after edit
     await review.save();
+    const keptImages = new Set(review.images.map(image => image.url));
+    await removeUploads(previousImages.filter(url => !keptImages.has(url)), `reviews/${review._id}/`);
     res.json({ message: 'Review updated and submitted for approval', review });
   } catch (error) {
     console.error('Update review error:', error);
@@ -137,7 +150,7 @@ router.put('/:id', auth, [
 });
 
 // @route   DELETE /api/reviews/:id
-// @desc    Delete a review (owner or admin)
+// @desc    Delete a review (owner or moderator)
 // @access  Private
 router.delete('/:id', auth, async (req, res) => {
   try {
@@ -145,10 +158,11 @@ router.delete('/:id', auth, async (req, res) => {
     if (!review) {
       return res.status(404).json({ message: 'Review not found' });
     }
-    if (review.user.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+    if (review.user.toString() !== req.user._id.toString() && !req.user.hasPermission('reviews:moderate')) {
       return res.status(403).json({ message: 'Access denied' });
     }
     await Review.findByIdAndDelete(req.params.id);
+    await removeUploads(review.images.map(image => image.url), `reviews/${review._id}/`);
     res.json({ message: 'Review deleted successfully' });
   } catch (error) {
     console.error('Delete review error:', error);
@@ -157,16 +171,25 @@ router.delete('/:id', auth, async (req, res) => {
 });
 
 // @route   PUT /api/reviews/:id/approve
-// @desc    Approve a review (admin only)
-// @access  Private (Admin)
-router.put('/:id/approve', adminAuth, async (req, res) => {
+// @desc    Approve a review (moderator only)
+// @access  Private (reviews:moderate)
+router.put('/:id/approve', requirePermission('reviews:moderate'), async (req, res) => {
   try {
     const review = await Review.findById(req.params.id);
     if (!review) {
       return res.status(404).json({ message: 'Review not found' });
     }
+    const before = review.toObject();
     review.status = 'approved';
     await review.save();
+    await recordAudit(req, { action: 'review.approve', targetModel: 'Review', targetId: review._id, before, after: review });
+    notify(review.user, {
+      type: 'review.approved',
+      title: 'Your review has been published',
+      message: `Your review "${review.title}" is now visible to everyone.`,
+      link: review.design ? `/designs/${review.design}` : undefined,
+      data: { review: review._id, design: review.design }
+    });
     res.json({ message: 'Review approved' });
   } catch (error) {
     console.error('Approve review error:', error);
@@ -175,16 +198,24 @@ router.put('/:id/approve', adminAuth, async (req, res) => {
 });
 
 // @route   PUT /api/reviews/:id/reject
-// @desc    Reject a review (admin only)
-// @access  Private (Admin)
-router.put('/:id/reject', adminAuth, async (req, res) => {
+// @desc    Reject a review (moderator only)
+// @access  Private (reviews:moderate)
+router.put('/:id/reject', requirePermission('reviews:moderate'), async (req, res) => {
   try {
     const review = await Review.findById(req.params.id);
     if (!review) {
       return res.status(404).json({ message: 'Review not found' });
     }
+    const before = review.toObject();
     review.status = 'rejected';
     await review.save();
+    await recordAudit(req, { action: 'review.reject', targetModel: 'Review', targetId: review._id, before, after: review });
+    notify(review.user, {
+      type: 'review.rejected',
+      title: 'Your review was not published',
+      message: `Your review "${review.title}" did not meet our review guidelines.`,
+      data: { review: review._id, design: review.design }
+    });
     res.json({ message: 'Review rejected' });
   } catch (error) {
     console.error('Reject review error:', error);
@@ -1,18 +1,27 @@
 const express = require('express');
+const archiver = require('archiver');
 const { body, validationResult, query } = require('express-validator');
 const User = require('../models/User');
-const { auth, adminAuth, ownerOrAdminAuth } = require('../middleware/auth');
+const LoginThrottle = require('../models/LoginThrottle');
+const Session = require('../models/Session');
+const { ROLES, ROLE_PERMISSIONS, PERMISSIONS } = require('../config/roles');
+const { buildUserExport } = require('../utils/dataExport');
+const { anonymizeUser, getScheduledDeletionDate, getBlockingOrganizations } = require('../utils/accountDeletion');
+const { recordAudit } = require('../utils/audit');
+const { auth, requirePermission, ownerOrAdminAuth, loadManagedUser } = require('../middleware/auth');
 
 const router = express.Router();
 
 // @route   GET /api/users
-// @desc    Get all users (admin only, paginated)
-// @access  Private (Admin)
-router.get('/', adminAuth, async (req, res) => {
+// @desc    Get all users (staff only, paginated)
+// @access  Private (users:read)
+router.get('/', requirePermission('users:read'), async (req, res) => {
   try {
-    const { page = 1, limit = 20, search } = req.query;
+    const { page = 1, limit = 20, search, role, status, includeDeleted } = req.query;
     const skip = (parseInt(page) - 1) * parseInt(limit);
-    const filter = {};
+    const filter = includeDeleted === 'true' ? {} : { deletedAt: null };
+    if (role) filter.role = role;
+    if (status) filter['accountStatus.status'] = status;
     if (search) {
       filter.$or = [
         { name: { $regex: search, $options: 'i' } },
@@ -40,18 +49,64 @@ router.get('/', adminAuth, async (req, res) => {
   }
 });
 
+// @route   GET /api/users/roles
+// @desc    Get available roles and their permissions
+// @access  Private (users:roles)
+router.get('/roles', requirePermission('users:roles'), (req, res) => {
+  res.json({
+    roles: ROLES.map(role => ({ role, permissions: ROLE_PERMISSIONS[role] })),
+    permissions: PERMISSIONS
+  });
+});
+
 // @route   GET /api/users/:id
 // @desc    Get user by ID (admin or self)
 // @access  Private
-router.get('/:id', ownerOrAdminAuth, async (req, res) => {
+router.get('/:id', ownerOrAdminAuth, loadManagedUser, (req, res) => {
+  res.json(req.targetUser);
+});
+
+// @route   GET /api/users/:id/export
+// @desc    Download all personal data of a user as JSON (default) or ?format=zip
+// @access  Private
+router.get('/:id/export', ownerOrAdminAuth, loadManagedUser, [
+  query('format').optional().isIn(['json', 'zip'])
+], async (req, res) => {
+  let archive;
   try {
-    const user = await User.findById(req.params.id).select('-password');
-    if (!user) {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    const data = await buildUserExport(req.params.id);
+    if (!data) {
       return res.status(404).json({ message: 'User not found' });
     }
-    res.json(user);
+    const filename = `user-data-${req.params.id}`;
+
+    if (req.query.format !== 'zip') {
+      res.attachment(`${filename}.json`);
+      return res.send(JSON.stringify(data, null, 2));
+    }
+
+    res.attachment(`${filename}.zip`);
+    archive = archiver('zip', { zlib: { level: 9 } });
+    archive.on('error', (archiveError) => {
+      console.error('Export archive error:', archiveError);
+      res.destroy(archiveError);
+    });
+    archive.pipe(res);
+    for (const [section, content] of Object.entries(data)) {
+      archive.append(JSON.stringify(content, null, 2), { name: `${section}.json` });
+    }
+    await archive.finalize();
   } catch (error) {
-    console.error('Get user error:', error);
+    console.error('Export user data error:', error);
+    // Once the archive has started streaming the status is sent, so the download is cut off instead
+    if (res.headersSent) {
+      if (archive) archive.abort();
+      return res.destroy(error);
+    }
     res.status(500).json({ message: 'Server error' });
   }
 });
@@ -59,12 +114,12 @@ router.get('/:id', ownerOrAdminAuth, async (req, res) => {
 // @route   PUT /api/users/:id
 // @desc    Update user (admin or self)
 // @access  Private
-router.put('/:id', ownerOrAdminAuth, [
+router.put('/:id', ownerOrAdminAuth, loadManagedUser, [
   body('name').optional().trim().isLength({ min: 2 }),
   body('email').optional().isEmail().normalizeEmail(),
   body('phone').optional().trim(),
   body('address').optional().isObject(),
-  body('role').optional().isIn(['user', 'admin'])
+  body('role').optional().isIn(ROLES)
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -77,19 +132,25 @@ router.put('/:id', ownerOrAdminAuth, [
     if (email) updateFields.email = email;
     if (phone) updateFields.phone = phone;
     if (address) updateFields.address = address;
-    if (role && req.user.role === 'admin') updateFields.role = role;
+    if (role && req.user.hasPermission('users:roles')) updateFields.role = role;
     if (preferences) updateFields.preferences = preferences;
-    if (email && email !== req.user.email) {
+    const before = req.targetUser;
+    if (email && email !== before.email) {
       const existingUser = await User.findOne({ email });
       if (existingUser) {
         return res.status(400).json({ message: 'Email is already taken' });
       }
+      // A new email address has to be verified again
+      updateFields.isVerified = false;
     }
     const updatedUser = await User.findByIdAndUpdate(
       req.params.id,
       updateFields,
       { new: true, runValidators: true }
     ).select('-password');
+    if (updatedUser && req.user._id.toString() !== req.params.id) {
+      await recordAudit(req, { action: 'user.update', targetModel: 'User', targetId: updatedUser._id, before, after: updatedUser });
+    }
     res.json({
       message: 'User updated successfully',
       user: updatedUser
@@ -101,20 +162,220 @@ router.put('/:id', ownerOrAdminAuth, [
 });
 
 // @route   DELETE /api/users/:id
-// @desc    Delete user (admin or self)
+// @desc    Schedule account deletion after a grace period (staff or self). Staff may pass
+//          ?immediate=true to anonymize right away and ?reassignTo=<userId> to hand over authored content.
 // @access  Private
-router.delete('/:id', ownerOrAdminAuth, async (req, res) => {
+router.delete('/:id', ownerOrAdminAuth, loadManagedUser, [
+  query('reassignTo').optional().isMongoId()
+], async (req, res) => {
   try {
-    const user = await User.findById(req.params.id);
-    if (!user) {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    const user = req.targetUser;
+    if (user.deletedAt) {
       return res.status(404).json({ message: 'User not found' });
     }
-    await User.findByIdAndDelete(req.params.id);
-    res.json({ message: 'User deleted successfully' });
+    const isSelf = req.user._id.toString() === user._id.toString();
+    const blocking = await getBlockingOrganizations(user._id);
+    if (blocking.length) {
+      return res.status(409).json({
+        message: 'Make another member an admin of, or remove the members from, the organizations this account owns first',
+        organizations: blocking.map(organization => ({ _id: organization._id, name: organization.name }))
+      });
+    }
+    const canManage = req.user.hasPermission('users:manage');
+    if (req.query.reassignTo && canManage) {
+      const reassignTo = await User.findOne({ _id: req.query.reassignTo, deletedAt: null });
+      if (!reassignTo || reassignTo._id.equals(user._id)) {
+        return res.status(400).json({ message: 'Invalid user to reassign content to' });
+      }
+      user.deletion.reassignContentTo = reassignTo._id;
+    }
+    user.deletion.requestedAt = new Date();
+    user.deletion.requestedBy = req.user._id;
+    user.deletion.scheduledFor = canManage && req.query.immediate === 'true' ? new Date() : getScheduledDeletionDate();
+    await user.save();
+    if (!isSelf) {
+      await recordAudit(req, { action: 'user.delete', targetModel: 'User', targetId: user._id, after: { deletion: user.deletion } });
+    }
+
+    if (user.deletion.scheduledFor <= new Date()) {
+      await anonymizeUser(user._id);
+      return res.json({ message: 'User deleted successfully' });
+    }
+
+    res.json({
+      message: 'Account scheduled for deletion',
+      scheduledFor: user.deletion.scheduledFor
+    });
   } catch (error) {
     console.error('Delete user error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
+// @route   POST /api/users/:id/cancel-deletion
+// @desc    Cancel a scheduled account deletion during the grace period (admin or self)
+// @access  Private
+router.post('/:id/cancel-deletion', ownerOrAdminAuth, loadManagedUser, async (req, res) => {
+  try {
+    const user = req.targetUser;
+    if (user.deletedAt) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    if (!user.deletion || !user.deletion.scheduledFor) {
+      return res.status(400).json({ message: 'No deletion is scheduled for this account' });
+    }
+    user.deletion = undefined;
+    await user.save();
+    res.json({ message: 'Account deletion cancelled' });
+  } catch (error) {
+    console.error('Cancel deletion error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/users/:id/role
+// @desc    Assign a role to a user
+// @access  Private (users:roles)
+router.put('/:id/role', requirePermission('users:roles'), loadManagedUser, [
+  body('role').isIn(ROLES).withMessage('Invalid role')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    const user = req.targetUser;
+    // Prevent admins from locking themselves out of role management
+    if (user._id.toString() === req.user._id.toString() && req.body.role !== 'admin') {
+      return res.status(400).json({ message: 'You cannot remove your own admin role' });
+    }
+    const before = { role: user.role };
+    user.role = req.body.role;
+    await user.save();
+    await recordAudit(req, { action: 'user.role', targetModel: 'User', targetId: user._id, before, after: { role: user.role } });
+    res.json({
+      message: 'Role updated successfully',
+      user: {
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        role: user.role,
+        permissions: user.permissions
+      }
+    });
+  } catch (error) {
+    console.error('Update user role error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/users/:id/status
+// @desc    Suspend, ban or reactivate an account (suspensions may carry an expiry)
+// @access  Private (users:manage)
+router.put('/:id/status', requirePermission('users:manage'), loadManagedUser, [
+  body('status').isIn(['active', 'suspended', 'banned']).withMessage('Invalid account status'),
+  body('reason').if(body('status').not().equals('active')).trim().notEmpty().withMessage('A reason is required'),
+  body('until').optional({ values: 'null' }).isISO8601().withMessage('Expiry must be a valid date')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    const user = req.targetUser;
+    if (user.deletedAt) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    if (user._id.toString() === req.user._id.toString()) {
+      return res.status(400).json({ message: 'You cannot change the status of your own account' });
+    }
+    const { status, reason, until } = req.body;
+    const before = { accountStatus: user.toObject().accountStatus };
+    user.accountStatus = {
+      status,
+      reason: status === 'active' ? undefined : reason,
+      until: status === 'suspended' && until ? new Date(until) : undefined,
+      changedBy: req.user._id,
+      changedAt: new Date()
+    };
+    await user.save();
+
+    // Blocked users are signed out everywhere straight away
+    if (status !== 'active') {
+      await Session.revokeAllForUser(user._id, status);
+    }
+
+    await recordAudit(req, { action: 'user.status', targetModel: 'User', targetId: user._id, before, after: { accountStatus: user.accountStatus } });
+    res.json({ message: 'Account status updated', accountStatus: user.accountStatus });
+  } catch (error) {
+    console.error('Update account status error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/users/:id/impersonate
+// @desc    Get a short-lived, read-only access token to see the site as a customer
+// @access  Private (users:impersonate)
+router.post('/:id/impersonate', requirePermission('users:impersonate'), loadManagedUser, [
+  body('reason').trim().notEmpty().withMessage('A reason is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    const user = req.targetUser;
+    if (user.deletedAt) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    // Staff accounts cannot be impersonated, which would hand out their permissions
+    if (user.role !== 'user') {
+      return res.status(400).json({ message: 'Only customer accounts can be impersonated' });
+    }
+    const session = await Session.createImpersonation(user._id, req.user._id, {
+      userAgent: req.get('User-Agent'),
+      ipAddress: req.ip,
+      minutes: parseInt(process.env.IMPERSONATION_MINUTES) || 30
+    });
+    await recordAudit(req, {
+      action: 'user.impersonate',
+      targetModel: 'User',
+      targetId: user._id,
+      after: { sessionId: session._id, reason: req.body.reason, expiresAt: session.expiresAt }
+    });
+    res.json({
+      token: session.generateAccessToken(),
+      expiresAt: session.expiresAt,
+      readOnly: true,
+      user: {
+        id: user._id,
+        name: user.name,
+        email: user.email
+      }
+    });
+  } catch (error) {
+    console.error('Impersonate user error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/users/:id/unlock
+// @desc    Clear failed login attempts and lift an account lockout
+// @access  Private (users:manage)
+router.post('/:id/unlock', requirePermission('users:manage'), loadManagedUser, async (req, res) => {
+  try {
+    const user = req.targetUser;
+    await LoginThrottle.reset(LoginThrottle.accountKey(user.email));
+    await recordAudit(req, { action: 'user.unlock', targetModel: 'User', targetId: user._id });
+    res.json({ message: 'Account unlocked successfully' });
+  } catch (error) {
+    console.error('Unlock user error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 module.exports = router; 
\ No newline at end of file
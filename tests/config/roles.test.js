@@ -0,0 +1,50 @@
+const { ROLES, ROLE_PERMISSIONS, PERMISSIONS, roleHasPermission, roleCovers } = require('../../config/roles');
+
+describe('roleHasPermission', () => {
+  test('grants admins every permission', () => {
+    PERMISSIONS.forEach(permission => expect(roleHasPermission('admin', permission)).toBe(true));
+  });
+
+  test('grants only the permissions listed for a role', () => {
+    expect(roleHasPermission('support', 'users:manage')).toBe(true);
+    expect(roleHasPermission('support', 'users:roles')).toBe(false);
+    expect(roleHasPermission('finance', 'orders:refund')).toBe(true);
+    expect(roleHasPermission('finance', 'orders:update')).toBe(false);
+    expect(roleHasPermission('architect', 'designs:write')).toBe(true);
+  });
+
+  test('grants nothing to customers and unknown roles', () => {
+    PERMISSIONS.forEach((permission) => {
+      expect(roleHasPermission('user', permission)).toBe(false);
+      expect(roleHasPermission('superuser', permission)).toBe(false);
+      expect(roleHasPermission(undefined, permission)).toBe(false);
+    });
+  });
+
+  test('only lists known permissions in the matrix', () => {
+    ROLES.forEach(role => ROLE_PERMISSIONS[role]
+      .filter(permission => permission !== '*')
+      .forEach(permission => expect(PERMISSIONS).toContain(permission)));
+  });
+});
+
+describe('roleCovers', () => {
+  test('lets every role cover customers and itself', () => {
+    ROLES.forEach((role) => {
+      expect(roleCovers(role, 'user')).toBe(true);
+      expect(roleCovers(role, role)).toBe(true);
+    });
+  });
+
+  test('only lets admins cover admins', () => {
+    expect(roleCovers('admin', 'admin')).toBe(true);
+    ROLES.filter(role => role !== 'admin').forEach(role => expect(roleCovers(role, 'admin')).toBe(false));
+  });
+
+  test('refuses roles holding permissions the actor lacks', () => {
+    expect(roleCovers('support', 'finance')).toBe(false);
+    expect(roleCovers('support', 'architect')).toBe(false);
+    expect(roleCovers('finance', 'support')).toBe(false);
+    expect(roleCovers('admin', 'support')).toBe(true);
+  });
+});
@@ -0,0 +1,223 @@
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const User = require('../../models/User');
+const Session = require('../../models/Session');
+const ApiKey = require('../../models/ApiKey');
+const { auth, requirePermission, ownerOrAdminAuth, loadManagedUser } = require('../../middleware/auth');
+
+// App answering with the user a middleware chain let through
+const createApp = (...middleware) => {
+  const app = express();
+  app.use(express.json());
+  app.all('/resource/:id?', ...middleware, (req, res) => res.json({ user: String(req.user._id) }));
+  return app;
+};
+
+const accessToken = (user, session) => jwt.sign(
+  { userId: String(user._id), sessionId: String(session._id) },
+  process.env.JWT_SECRET || 'your-secret-key'
+);
+
+const newSession = (user, fields = {}) => new Session({
+  user: user._id,
+  refreshTokenHash: Session.hashToken(Session.generateRefreshToken()),
+  expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+  ...fields
+});
+
+let users;
+let sessions;
+
+beforeEach(() => {
+  users = [];
+  sessions = [];
+  jest.spyOn(User, 'findById').mockImplementation(id => ({
+    select: async () => users.find(user => user._id.equals(id)) || null
+  }));
+  jest.spyOn(Session, 'findById').mockImplementation(async id => sessions.find(session => session._id.equals(id)) || null);
+  jest.spyOn(Session, 'updateOne').mockResolvedValue({});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('auth', () => {
+  const app = createApp(auth);
+  const user = new User({ name: 'Jane', email: 'jane@example.com', password: 'secret123' });
+
+  beforeEach(() => {
+    users.push(user);
+  });
+
+  test('accepts an access token of an active session', async () => {
+    const session = newSession(user);
+    sessions.push(session);
+    const res = await request(app).get('/resource').set('Authorization', `Bearer ${accessToken(user, session)}`);
+    expect(res.status).toBe(200);
+    expect(res.body.user).toBe(String(user._id));
+  });
+
+  test('refuses tokens of revoked or expired sessions', async () => {
+    const revoked = newSession(user, { revokedAt: new Date(), revokedReason: 'logout' });
+    const expired = newSession(user, { expiresAt: new Date(Date.now() - 1000) });
+    sessions.push(revoked, expired);
+    for (const session of [revoked, expired]) {
+      const res = await request(app).get('/resource').set('Authorization', `Bearer ${accessToken(user, session)}`);
+      expect(res.status).toBe(401);
+    }
+  });
+
+  test('refuses tokens whose session belongs to someone else or that carry none', async () => {
+    const other = new User({ name: 'Ann', email: 'ann@example.com', password: 'secret123' });
+    const session = newSession(other);
+    sessions.push(session);
+    const foreign = await request(app).get('/resource').set('Authorization', `Bearer ${accessToken(user, session)}`);
+    expect(foreign.status).toBe(401);
+
+    const legacy = jwt.sign({ userId: String(user._id) }, process.env.JWT_SECRET || 'your-secret-key');
+    expect((await request(app).get('/resource').set('Authorization', `Bearer ${legacy}`)).status).toBe(401);
+  });
+});
+
+describe('auth for blocked accounts and impersonation', () => {
+  const app = createApp(auth);
+  let user;
+
+  beforeEach(() => {
+    user = new User({ name: 'Jane', email: 'jane@example.com', password: 'secret123' });
+    users.push(user);
+  });
+
+  const requestAs = (method, session = newSession(user)) => {
+    sessions.push(session);
+    return request(app)[method]('/resource').set('Authorization', `Bearer ${accessToken(user, session)}`);
+  };
+
+  test('refuses suspended and banned users with the reason', async () => {
+    user.accountStatus = { status: 'suspended', reason: 'Chargebacks', until: new Date(Date.now() + 60 * 60 * 1000) };
+    const res = await requestAs('get');
+    expect(res.status).toBe(403);
+    expect(res.body).toMatchObject({ accountStatus: 'suspended', reason: 'Chargebacks' });
+
+    user.accountStatus = { status: 'banned', reason: 'Fraud' };
+    expect((await requestAs('get')).status).toBe(403);
+  });
+
+  test('lets users back in once their suspension has run out', async () => {
+    user.accountStatus = { status: 'suspended', reason: 'Chargebacks', until: new Date(Date.now() - 1000) };
+    expect((await requestAs('get')).status).toBe(200);
+  });
+
+  test('keeps impersonation sessions read-only', async () => {
+    const support = new User({ name: 'Sam', email: 'sam@example.com', password: 'secret123', role: 'support' });
+    const impersonation = () => newSession(user, { impersonator: support._id });
+    const res = await requestAs('get', impersonation());
+    expect(res.status).toBe(200);
+    expect(res.body.user).toBe(String(user._id));
+    for (const method of ['post', 'put', 'delete']) {
+      expect((await requestAs(method, impersonation())).status).toBe(403);
+    }
+    expect((await requestAs('post')).status).toBe(200);
+  });
+});
+
+describe('requirePermission with an API key', () => {
+  const app = createApp(requirePermission('orders:read', 'orders:update'));
+  const finance = new User({ name: 'Fay', email: 'fay@example.com', password: 'secret123', role: 'finance' });
+  let apiKeys;
+
+  beforeEach(() => {
+    users.push(finance);
+    apiKeys = [];
+    jest.spyOn(ApiKey, 'findOne').mockImplementation(async ({ keyHash }) => apiKeys.find(apiKey => apiKey.keyHash === keyHash) || null);
+    jest.spyOn(ApiKey, 'updateOne').mockResolvedValue({});
+  });
+
+  // Store a key created by the finance user, returns the plain key
+  const createKey = (fields = {}) => {
+    const key = `adp_${apiKeys.length}${'0'.repeat(40)}`;
+    apiKeys.push(new ApiKey({
+      name: 'ERP',
+      keyHash: ApiKey.hashKey(key),
+      keyPreview: key.slice(0, 10),
+      permissions: ['orders:read'],
+      scopes: ['read'],
+      createdBy: finance._id,
+      ...fields
+    }));
+    return key;
+  };
+
+  test('acts as the key\'s creator within its permissions and scopes', async () => {
+    const key = createKey();
+    const res = await request(app).get('/resource').set('X-API-Key', key);
+    expect(res.status).toBe(200);
+    expect(res.body.user).toBe(String(finance._id));
+    expect(ApiKey.updateOne).toHaveBeenCalledWith({ _id: apiKeys[0]._id }, expect.objectContaining({ lastUsedAt: expect.any(Date) }));
+  });
+
+  test('needs the write scope for anything but reads', async () => {
+    expect((await request(app).post('/resource').set('X-API-Key', createKey())).status).toBe(403);
+    expect((await request(app).post('/resource').set('X-API-Key', createKey({ scopes: ['read', 'write'] }))).status).toBe(200);
+  });
+
+  test('refuses keys without the permission, or whose creator no longer holds it', async () => {
+    expect((await request(app).get('/resource').set('X-API-Key', createKey({ permissions: ['orders:stats'] }))).status).toBe(403);
+
+    // Finance may read orders but not update them, a key cannot grant more than its creator has
+    const key = createKey({ permissions: ['orders:update'], scopes: ['read', 'write'] });
+    expect((await request(app).post('/resource').set('X-API-Key', key)).status).toBe(403);
+  });
+
+  test('refuses keys whose creator is suspended or banned', async () => {
+    const banned = new User({ name: 'Bo', email: 'bo@example.com', password: 'secret123', role: 'finance' });
+    banned.accountStatus = { status: 'banned', reason: 'Fraud' };
+    users.push(banned);
+    expect((await request(app).get('/resource').set('X-API-Key', createKey({ createdBy: banned._id }))).status).toBe(403);
+  });
+
+  test('refuses revoked, expired and unknown keys', async () => {
+    const revoked = createKey({ revokedAt: new Date() });
+    const expired = createKey({ expiresAt: new Date(Date.now() - 1000) });
+    for (const key of [revoked, expired, 'adp_unknown']) {
+      expect((await request(app).get('/resource').set('X-API-Key', key)).status).toBe(401);
+    }
+  });
+});
+
+describe('ownerOrAdminAuth and loadManagedUser', () => {
+  const app = createApp(ownerOrAdminAuth, loadManagedUser);
+  const jane = new User({ name: 'Jane', email: 'jane@example.com', password: 'secret123' });
+  const john = new User({ name: 'John', email: 'john@example.com', password: 'secret123' });
+  const support = new User({ name: 'Sam', email: 'sam@example.com', password: 'secret123', role: 'support' });
+  const admin = new User({ name: 'Ada', email: 'ada@example.com', password: 'secret123', role: 'admin' });
+
+  beforeEach(() => {
+    users.push(jane, john, support, admin);
+  });
+
+  // Request /resource/:id as a user with a fresh session
+  const requestAs = (user, id) => {
+    const session = newSession(user);
+    sessions.push(session);
+    return request(app).put(`/resource/${id}`).set('Authorization', `Bearer ${accessToken(user, session)}`);
+  };
+
+  test('lets users act on their own account only, whatever the body says', async () => {
+    expect((await requestAs(jane, jane._id)).status).toBe(200);
+    expect((await requestAs(jane, john._id).send({ userId: String(jane._id) })).status).toBe(403);
+  });
+
+  test('lets staff act on accounts whose permissions they hold', async () => {
+    expect((await requestAs(support, john._id)).status).toBe(200);
+    expect((await requestAs(support, admin._id)).status).toBe(403);
+    expect((await requestAs(admin, support._id)).status).toBe(200);
+  });
+
+  test('404s for unknown and malformed ids', async () => {
+    expect((await requestAs(support, new User()._id)).status).toBe(404);
+    expect((await requestAs(support, 'not-an-id')).status).toBe(404);
+  });
+});
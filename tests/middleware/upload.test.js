@@ -0,0 +1,73 @@
+const os = require('os');
+const path = require('path');
+
+// Keep files out of the project's upload directory and make the size limit easy to hit
+process.env.UPLOAD_PATH = path.join(os.tmpdir(), 'adp-upload-test');
+process.env.MAX_FILE_SIZE = '1024';
+
+const express = require('express');
+const request = require('supertest');
+const { designFiles } = require('../../middleware/upload');
+const { removeRequestFiles } = require('../../utils/uploads');
+
+// App answering with the files the middleware accepted, which it then throws away
+const app = express();
+app.post('/designs', designFiles, async (req, res) => {
+  await removeRequestFiles(req);
+  res.json({
+    images: (req.files.images || []).map(file => file.originalname),
+    model: req.files.model && req.files.model[0].originalname,
+    title: req.body.title
+  });
+});
+
+const png = Buffer.from('89504e470d0a1a0a', 'hex');
+
+describe('designFiles', () => {
+  test('accepts images and a 3D model next to the text fields', async () => {
+    const res = await request(app).post('/designs')
+      .field('title', 'Courtyard House')
+      .attach('images', png, { filename: 'front.png', contentType: 'image/png' })
+      .attach('images', png, { filename: 'BACK.PNG', contentType: 'image/png' })
+      .attach('model', Buffer.from('glTF'), { filename: 'house.glb', contentType: 'application/octet-stream' });
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({ images: ['front.png', 'BACK.PNG'], model: 'house.glb', title: 'Courtyard House' });
+  });
+
+  test('rejects images whose extension or content type is not an image', async () => {
+    const script = await request(app).post('/designs')
+      .attach('images', Buffer.from('alert(1)'), { filename: 'front.js', contentType: 'text/javascript' });
+    expect(script.status).toBe(400);
+    expect(script.body.message).toBe('Images must be JPEG, PNG, WebP or GIF');
+
+    const disguised = await request(app).post('/designs')
+      .attach('images', png, { filename: 'front.png', contentType: 'text/html' });
+    expect(disguised.status).toBe(400);
+  });
+
+  test('rejects models of unknown formats or that contradict the declared format', async () => {
+    const unknown = await request(app).post('/designs')
+      .attach('model', Buffer.from('solid'), { filename: 'house.stl', contentType: 'application/octet-stream' });
+    expect(unknown.status).toBe(400);
+    expect(unknown.body.message).toMatch(/^3D models must be one of: glb, gltf/);
+
+    const mismatch = await request(app).post('/designs')
+      .field('format', 'obj')
+      .attach('model', Buffer.from('glTF'), { filename: 'house.glb', contentType: 'application/octet-stream' });
+    expect(mismatch.status).toBe(400);
+    expect(mismatch.body.message).toBe('File extension .glb does not match format obj');
+  });
+
+  test('rejects files over the size limit and more images than allowed', async () => {
+    const large = await request(app).post('/designs')
+      .attach('images', Buffer.alloc(2048), { filename: 'front.png', contentType: 'image/png' });
+    expect(large.status).toBe(400);
+    expect(large.body.message).toBe('File too large (max 1024 bytes)');
+
+    const many = request(app).post('/designs');
+    for (let i = 0; i < 11; i++) {
+      many.attach('images', png, { filename: `view-${i}.png`, contentType: 'image/png' });
+    }
+    expect((await many).status).toBe(400);
+  });
+});
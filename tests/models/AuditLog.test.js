@@ -0,0 +1,26 @@
+const mongoose = require('mongoose');
+const AuditLog = require('../../models/AuditLog');
+
+describe('AuditLog', () => {
+  const entry = () => new AuditLog({
+    actor: new mongoose.Types.ObjectId(),
+    action: 'design.update',
+    targetModel: 'Design',
+    targetId: new mongoose.Types.ObjectId()
+  });
+
+  test('refuses to save changes to a stored entry', async () => {
+    const stored = entry();
+    stored.isNew = false;
+    stored.action = 'design.delete';
+    await expect(stored.save()).rejects.toThrow('Audit log entries are immutable');
+  });
+
+  test.each(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne'])('refuses %s', async (method) => {
+    await expect(AuditLog[method]({}, { action: 'design.delete' })).rejects.toThrow('Audit log entries are immutable');
+  });
+
+  test.each(['deleteOne', 'deleteMany', 'findOneAndDelete'])('refuses %s', async (method) => {
+    await expect(AuditLog[method]({})).rejects.toThrow('Audit log entries are immutable');
+  });
+});
@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+const Board = require('../../models/Board');
+
+const ids = Array.from({ length: 4 }, () => new mongoose.Types.ObjectId());
+
+const boardWith = (designIds) => new Board({
+  owner: new mongoose.Types.ObjectId(),
+  name: 'Ideas',
+  items: designIds.map(design => ({ design, note: `note ${design}` }))
+});
+
+const order = (board) => board.items.map(item => item.design.toString());
+
+describe('Board#reorder', () => {
+  test('puts items in the listed order', () => {
+    const board = boardWith(ids).reorder([ids[2], ids[0], ids[3], ids[1]]);
+    expect(order(board)).toEqual([ids[2], ids[0], ids[3], ids[1]].map(String));
+  });
+
+  test('keeps unlisted items at the end in their previous order', () => {
+    const board = boardWith(ids).reorder([ids[3]]);
+    expect(order(board)).toEqual([ids[3], ids[0], ids[1], ids[2]].map(String));
+  });
+
+  test('accepts string ids and ignores designs not on the board', () => {
+    const board = boardWith(ids).reorder([String(ids[1]), String(new mongoose.Types.ObjectId()), String(ids[0])]);
+    expect(order(board)).toEqual([ids[1], ids[0], ids[2], ids[3]].map(String));
+  });
+
+  test('keeps each item\'s note', () => {
+    const board = boardWith(ids).reorder([ids[3], ids[2]]);
+    board.items.forEach(item => expect(item.note).toBe(`note ${item.design}`));
+  });
+});
+
+describe('Board#addDesign / removeDesign', () => {
+  test('adds a design once', () => {
+    const board = boardWith([ids[0]]);
+    board.addDesign(ids[0], 'again').addDesign(ids[1], 'new');
+    expect(order(board)).toEqual([ids[0], ids[1]].map(String));
+    expect(board.items[0].note).toBe(`note ${ids[0]}`);
+  });
+
+  test('removes a design', () => {
+    const board = boardWith(ids).removeDesign(String(ids[1]));
+    expect(board.hasDesign(ids[1])).toBe(false);
+    expect(board.items).toHaveLength(3);
+  });
+});
@@ -0,0 +1,50 @@
+const { aggregate } = require('mingo');
+const Design = require('../../models/Design');
+
+describe('Design.getFacets', () => {
+  const designs = [
+    { status: 'published', category: 'residential', style: 'modern', license: 'personal', price: 50, tags: ['villa', 'pool'], specifications: { materials: ['Glass'], features: [] } },
+    { status: 'published', category: 'residential', style: 'rustic', license: 'commercial', price: 300, tags: ['villa'], specifications: { materials: ['Timber', 'Glass'], features: ['Garden'] } },
+    { status: 'published', category: 'commercial', style: 'modern', license: 'commercial', price: 9000, tags: [], specifications: { materials: [], features: [] } },
+    { status: 'draft', category: 'commercial', style: 'modern', license: 'personal', price: 120, tags: ['villa'], specifications: { materials: ['Steel'], features: [] } }
+  ];
+
+  beforeEach(() => {
+    // Runs the pipeline over the designs above, the way MongoDB would
+    jest.spyOn(Design, 'aggregate').mockImplementation(async pipeline => aggregate(designs, pipeline));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('counts each value of the matching designs, most common first', async () => {
+    const facets = await Design.getFacets({ status: 'published' });
+    expect(facets.category).toEqual([{ value: 'residential', count: 2 }, { value: 'commercial', count: 1 }]);
+    expect(facets.style).toEqual([{ value: 'modern', count: 2 }, { value: 'rustic', count: 1 }]);
+    expect(facets.materials).toEqual([{ value: 'Glass', count: 2 }, { value: 'Timber', count: 1 }]);
+    expect(facets.features).toEqual([{ value: 'Garden', count: 1 }]);
+    expect(facets.tags).toEqual([{ value: 'villa', count: 2 }, { value: 'pool', count: 1 }]);
+  });
+
+  test('counts prices in ranges, the last one open-ended', async () => {
+    const { price } = await Design.getFacets({ status: 'published' });
+    expect(price).toEqual(expect.arrayContaining([
+      { min: 0, max: 100, count: 1 },
+      { min: 250, max: 500, count: 1 },
+      { min: 5000, max: null, count: 1 }
+    ]));
+  });
+
+  test('applies each filter to every facet but its own', async () => {
+    const facets = await Design.getFacets({ status: 'published' }, {
+      category: { category: 'residential' },
+      style: { style: 'modern' },
+      license: null
+    });
+    // Styles of residential designs, and categories of modern ones
+    expect(facets.style).toEqual([{ value: 'modern', count: 1 }, { value: 'rustic', count: 1 }]);
+    expect(facets.category).toEqual([{ value: 'commercial', count: 1 }, { value: 'residential', count: 1 }]);
+    expect(facets.license).toEqual([{ value: 'personal', count: 1 }]);
+  });
+});
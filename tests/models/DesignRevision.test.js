@@ -0,0 +1,165 @@
+const mongoose = require('mongoose');
+const Design = require('../../models/Design');
+const DesignRevision = require('../../models/DesignRevision');
+const { diff } = require('../../utils/audit');
+
+const hooks = Design.schema.s.hooks;
+// Run the save middleware without a database: pre hooks, then the success or error post hooks
+const runPreSave = design => new Promise(resolve => hooks.execPre('save', design, [{}], resolve));
+const runPostSaveError = (design, error) => new Promise(resolve =>
+  hooks.execPost('save', design, [design], { error }, resolve));
+
+const newDesign = (fields = {}) => new Design({
+  title: 'Villa',
+  description: 'A villa',
+  category: 'residential',
+  style: 'modern',
+  price: 100,
+  author: new mongoose.Types.ObjectId(),
+  tags: ['villa'],
+  ...fields
+});
+
+// A design as loaded from the database at a version
+const storedDesign = (version, fields) => Design.hydrate({ ...newDesign(fields).toObject(), version });
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('revision diff', () => {
+  test('lists changed fields by path with their values', () => {
+    const before = { title: 'Villa', price: 100, specifications: { dimensions: { width: 12, unit: 'meters' } } };
+    const after = { title: 'Villa', price: 150, specifications: { dimensions: { width: 14, unit: 'meters' } } };
+    expect(diff(before, after)).toEqual([
+      { path: 'price', before: 100, after: 150 },
+      { path: 'specifications.dimensions.width', before: 12, after: 14 }
+    ]);
+  });
+
+  test('compares arrays as a whole and reports added and removed fields', () => {
+    expect(diff({ tags: ['a', 'b'], license: 'personal' }, { tags: ['a'], usageRights: 'Any' })).toEqual([
+      { path: 'tags', before: ['a', 'b'], after: ['a'] },
+      { path: 'license', before: 'personal', after: undefined },
+      { path: 'usageRights', before: undefined, after: 'Any' }
+    ]);
+  });
+
+  test('ignores ids and timestamps', () => {
+    expect(diff({ _id: 1, updatedAt: 'yesterday', title: 'A' }, { _id: 2, updatedAt: 'today', title: 'A' })).toEqual([]);
+  });
+});
+
+describe('DesignRevision.snapshotOf', () => {
+  test('keeps only the versioned fields, as plain JSON', () => {
+    const snapshot = DesignRevision.snapshotOf(newDesign({ viewCount: 12 }));
+    expect(Object.keys(snapshot).every(field => DesignRevision.SNAPSHOT_FIELDS.includes(field))).toBe(true);
+    expect(snapshot).toMatchObject({ title: 'Villa', price: 100, tags: ['villa'] });
+    expect(snapshot.viewCount).toBeUndefined();
+    expect(snapshot).toEqual(JSON.parse(JSON.stringify(snapshot)));
+  });
+});
+
+describe('DesignRevision.record', () => {
+  test('stores the changes since the previous revision', async () => {
+    const design = storedDesign(2, { price: 150 });
+    jest.spyOn(DesignRevision, 'latest').mockResolvedValue({ version: 1, snapshot: DesignRevision.snapshotOf(newDesign()) });
+    jest.spyOn(DesignRevision, 'create').mockImplementation(async revision => revision);
+
+    const revision = await DesignRevision.record(design, { changedBy: 'editor' });
+    expect(revision).toMatchObject({ design: design._id, version: 2, changedBy: 'editor' });
+    expect(revision.changes).toEqual([{ path: 'price', before: 100, after: 150 }]);
+  });
+});
+
+describe('Design versioning on save', () => {
+  let revisions;
+
+  beforeEach(() => {
+    revisions = [];
+    jest.spyOn(DesignRevision, 'latest').mockImplementation(async () => revisions[revisions.length - 1] || null);
+    jest.spyOn(DesignRevision, 'record').mockImplementation(async (design) => {
+      // The unique { design, version } index
+      if (revisions.some(revision => revision.version === design.version)) {
+        throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+      }
+      const revision = { _id: new mongoose.Types.ObjectId(), version: design.version, snapshot: DesignRevision.snapshotOf(design) };
+      revisions.push(revision);
+      return revision;
+    });
+    jest.spyOn(DesignRevision, 'deleteOne').mockImplementation(async ({ _id }) => {
+      revisions = revisions.filter(revision => !revision._id.equals(_id));
+    });
+  });
+
+  test('records version 1 for a new design', async () => {
+    const design = newDesign();
+    expect(await runPreSave(design)).toBeFalsy();
+    expect(design.version).toBe(1);
+    expect(revisions.map(revision => revision.version)).toEqual([1]);
+  });
+
+  test('records the next version before a content change is written, over the version it was based on', async () => {
+    revisions.push({ _id: new mongoose.Types.ObjectId(), version: 1, snapshot: DesignRevision.snapshotOf(storedDesign(1)) });
+    const design = storedDesign(1);
+    design.price = 150;
+
+    expect(await runPreSave(design)).toBeFalsy();
+    expect(design.version).toBe(2);
+    expect(design.$where).toEqual({ version: 1 });
+    expect(revisions.map(revision => revision.version)).toEqual([1, 2]);
+  });
+
+  test('does not bump the version for unchanged content or other fields', async () => {
+    revisions.push({ _id: new mongoose.Types.ObjectId(), version: 1, snapshot: DesignRevision.snapshotOf(storedDesign(1)) });
+    const design = storedDesign(1);
+    // Updates that assign whole subdocuments mark paths modified even when the values are equal
+    design.markModified('tags');
+    design.viewCount = 5;
+
+    expect(await runPreSave(design)).toBeFalsy();
+    expect(design.version).toBe(1);
+    expect(design.$where).toBeUndefined();
+    expect(revisions).toHaveLength(1);
+  });
+
+  test('fails with a conflict when a concurrent edit took the version number', async () => {
+    revisions.push({ _id: new mongoose.Types.ObjectId(), version: 1, snapshot: DesignRevision.snapshotOf(storedDesign(1)) });
+    const first = storedDesign(1);
+    const second = storedDesign(1);
+    first.price = 150;
+    second.price = 200;
+    DesignRevision.latest.mockResolvedValue(revisions[0]);
+
+    expect(await runPreSave(first)).toBeFalsy();
+    const error = await runPreSave(second);
+    expect(error.name).toBe('VersionConflictError');
+    expect(second.version).toBe(1);
+    expect(revisions.map(revision => revision.version)).toEqual([1, 2]);
+  });
+
+  test('drops the reserved revision when the write loses the race', async () => {
+    revisions.push({ _id: new mongoose.Types.ObjectId(), version: 1, snapshot: DesignRevision.snapshotOf(storedDesign(1)) });
+    const design = storedDesign(1);
+    design.price = 150;
+    await runPreSave(design);
+
+    // The update matched nothing: another save changed the stored version first
+    const notFound = new mongoose.Error.DocumentNotFoundError({ _id: design._id, version: 1 }, 'Design', 0, {});
+    const error = await runPostSaveError(design, notFound);
+    expect(error.name).toBe('VersionConflictError');
+    expect(design.version).toBe(1);
+    expect(design.$where).toBeUndefined();
+    expect(revisions.map(revision => revision.version)).toEqual([1]);
+  });
+
+  test('records the stored state of designs created before revisions existed first', async () => {
+    const stored = storedDesign(1);
+    jest.spyOn(Design, 'findById').mockReturnValue({ lean: async () => stored.toObject() });
+    const design = storedDesign(1);
+    design.price = 150;
+
+    expect(await runPreSave(design)).toBeFalsy();
+    expect(revisions.map(revision => [revision.version, revision.snapshot.price])).toEqual([[1, 100], [2, 150]]);
+  });
+});
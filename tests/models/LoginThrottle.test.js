@@ -0,0 +1,113 @@
+const LoginThrottle = require('../../models/LoginThrottle');
+
+// In-memory stand-in for the collection, supporting the queries LoginThrottle uses.
+// Each call applies its update in one step, as MongoDB does for a single document.
+const store = new Map();
+
+const matches = (doc, filter) => Object.entries(filter).every(([field, condition]) => {
+  if (condition && typeof condition === 'object' && !(condition instanceof Date)) {
+    if ('$lte' in condition) return doc[field] != null && doc[field] <= condition.$lte;
+    if ('$gt' in condition) return doc[field] > condition.$gt;
+    if ('$in' in condition) return condition.$in.includes(doc[field]);
+  }
+  return doc[field] === condition;
+});
+
+const applyUpdate = (doc, { $inc = {}, $set = {}, $unset = {}, $max = {} }) => {
+  Object.entries($inc).forEach(([field, amount]) => { doc[field] = (doc[field] || 0) + amount; });
+  Object.assign(doc, $set);
+  Object.keys($unset).forEach((field) => { delete doc[field]; });
+  Object.entries($max).forEach(([field, value]) => {
+    if (doc[field] == null || value > doc[field]) doc[field] = value;
+  });
+  return doc;
+};
+
+beforeEach(() => {
+  store.clear();
+  jest.spyOn(LoginThrottle, 'updateOne').mockImplementation(async (filter, update) => {
+    const doc = store.get(filter.key);
+    if (doc && matches(doc, filter)) applyUpdate(doc, update);
+  });
+  jest.spyOn(LoginThrottle, 'findOneAndUpdate').mockImplementation(async (filter, update, { upsert }) => {
+    let doc = store.get(filter.key);
+    if (!doc && upsert) {
+      doc = { key: filter.key, failures: 0 };
+      store.set(filter.key, doc);
+    }
+    return doc ? { ...applyUpdate(doc, update) } : null;
+  });
+  jest.spyOn(LoginThrottle, 'find').mockImplementation(async (filter) =>
+    [...store.values()].filter(doc => matches(doc, filter)));
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('LoginThrottle.registerFailure', () => {
+  const key = LoginThrottle.accountKey('Jane@Example.com');
+
+  test('counts failures and delays attempts after the free ones', async () => {
+    for (let i = 1; i <= 2; i++) {
+      expect(await LoginThrottle.registerFailure(key)).toMatchObject({ failures: i, lockedNow: false, overLimit: false });
+    }
+    expect(store.get(key).nextAttemptAt).toBeUndefined();
+
+    await LoginThrottle.registerFailure(key);
+    expect(store.get(key).nextAttemptAt.getTime()).toBeGreaterThan(Date.now());
+    expect(await LoginThrottle.check([key])).toMatchObject({ allowed: false, locked: false });
+  });
+
+  test('locks the account exactly once when the limit is reached', async () => {
+    const results = [];
+    for (let i = 0; i < 12; i++) {
+      results.push(await LoginThrottle.registerFailure(key));
+    }
+    expect(results.filter(result => result.lockedNow)).toHaveLength(1);
+    expect(results[9]).toMatchObject({ failures: 10, lockedNow: true, overLimit: false });
+    expect(results[10]).toMatchObject({ failures: 11, overLimit: true });
+    expect(results[11].lockedUntil).toEqual(results[9].lockedUntil);
+    expect(await LoginThrottle.check([key])).toMatchObject({ allowed: false, locked: true });
+  });
+
+  test('gives parallel failures distinct counts', async () => {
+    const results = await Promise.all(Array.from({ length: 12 }, () => LoginThrottle.registerFailure(key)));
+    expect(results.map(result => result.failures).sort((a, b) => a - b)).toEqual(Array.from({ length: 12 }, (_, i) => i + 1));
+    expect(results.filter(result => result.lockedNow)).toHaveLength(1);
+    expect(results.filter(result => result.overLimit)).toHaveLength(2);
+  });
+
+  test('retries when a parallel first failure inserted the record', async () => {
+    const increment = LoginThrottle.findOneAndUpdate.getMockImplementation();
+    LoginThrottle.findOneAndUpdate.mockImplementationOnce(async (...args) => {
+      await increment(...args);
+      throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+    });
+    expect(await LoginThrottle.registerFailure(key)).toMatchObject({ failures: 2 });
+  });
+
+  test('starts a fresh count once a lockout has run out', async () => {
+    store.set(key, { key, failures: 10, lockedUntil: new Date(Date.now() - 1000) });
+    expect(await LoginThrottle.registerFailure(key)).toMatchObject({ failures: 1, lockedNow: false });
+    expect(store.get(key).lockedUntil).toBeUndefined();
+  });
+
+  test('allows more failures per IP than per account', async () => {
+    const ipKey = LoginThrottle.ipKey('203.0.113.7');
+    for (let i = 0; i < 10; i++) {
+      await LoginThrottle.registerFailure(ipKey);
+    }
+    expect(await LoginThrottle.check([ipKey])).toMatchObject({ locked: false });
+  });
+});
+
+describe('LoginThrottle.forgive', () => {
+  test('takes back one failure without going below zero', async () => {
+    const key = LoginThrottle.ipKey('203.0.113.7');
+    await LoginThrottle.registerFailure(key);
+    await LoginThrottle.forgive(key);
+    await LoginThrottle.forgive(key);
+    expect(store.get(key).failures).toBe(0);
+  });
+});
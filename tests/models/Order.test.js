@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+const Order = require('../../models/Order');
+const Organization = require('../../models/Organization');
+const { matches } = require('../support/query');
+
+const ids = () => new mongoose.Types.ObjectId();
+
+describe('Order.getPurchasedItem', () => {
+  const jane = ids();
+  const john = ids();
+  const design = ids();
+  let orders;
+  let organizations;
+
+  const newOrder = (customer, fields = {}) => new Order({
+    orderNumber: `ORD${orders.length}`,
+    customer,
+    items: [{ design, price: 100, license: 'commercial' }],
+    subtotal: 100,
+    total: 100,
+    paymentMethod: 'stripe',
+    status: 'completed',
+    ...fields
+  });
+
+  beforeEach(() => {
+    orders = [];
+    organizations = [];
+    jest.spyOn(Organization, 'find').mockImplementation(filter => ({
+      select: async () => organizations.filter(organization => matches(filter, organization))
+    }));
+    jest.spyOn(Order, 'findOne').mockImplementation(filter => ({
+      sort: async () => orders.filter(order => matches(filter, order)).pop() || null
+    }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('finds the item of the user\'s own completed order', async () => {
+    orders.push(newOrder(jane));
+    expect(await Order.getPurchasedItem(jane, design)).toMatchObject({ license: 'commercial' });
+    expect(await Order.getPurchasedItem(john, design)).toBeNull();
+    expect(await Order.getPurchasedItem(jane, ids())).toBeNull();
+  });
+
+  test('ignores orders that are not completed', async () => {
+    orders.push(newOrder(jane, { status: 'pending' }), newOrder(jane, { status: 'refunded' }));
+    expect(await Order.hasPurchased(jane, design)).toBe(false);
+  });
+
+  test('shares orders placed for an organization with its current members', async () => {
+    const organization = new Organization({ name: 'Studio', owner: jane, members: [{ user: jane, role: 'owner' }] });
+    organizations.push(organization);
+    orders.push(newOrder(jane, { organization: organization._id }));
+    expect(await Order.hasPurchased(john, design)).toBe(false);
+
+    organization.members.push({ user: john });
+    expect(await Order.hasPurchased(john, design)).toBe(true);
+  });
+});
@@ -0,0 +1,70 @@
+jest.mock('../../middleware/auth', () => require('../support/mockAuth'));
+
+const mongoose = require('mongoose');
+const request = require('supertest');
+const { Query } = require('mingo');
+const AuditLog = require('../../models/AuditLog');
+const User = require('../../models/User');
+const { signIn } = require('../support/mockAuth');
+const { createApp } = require('../support/app');
+
+const app = createApp('/api/admin', require('../../routes/admin'));
+
+describe('GET /api/admin/audit', () => {
+  const admin = new User({ name: 'Ada', email: 'ada@example.com', password: 'secret123', role: 'admin' });
+  const target = new mongoose.Types.ObjectId();
+  const entries = [
+    { action: 'order.refund', targetModel: 'Order', createdAt: new Date('2026-01-10') },
+    { action: 'order.update', targetModel: 'Order', createdAt: new Date('2026-02-10') },
+    { action: 'orders-export.run', targetModel: 'Order', createdAt: new Date('2026-02-11') },
+    { action: 'design.update', targetModel: 'Design', createdAt: new Date('2026-03-10') }
+  ].map(fields => ({ ...fields, targetId: target }));
+  let filters;
+
+  beforeEach(() => {
+    signIn(admin);
+    filters = [];
+    // Entries matched by the filter the route builds, evaluated the way MongoDB would
+    const find = filter => entries.filter(entry => new Query(filter).test(entry));
+    jest.spyOn(AuditLog, 'find').mockImplementation(filter => {
+      filters.push(filter);
+      const chain = {
+        populate: () => chain,
+        sort: () => chain,
+        skip: () => chain,
+        limit: async () => find(filter)
+      };
+      return chain;
+    });
+    jest.spyOn(AuditLog, 'countDocuments').mockImplementation(async filter => find(filter).length);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const actions = res => res.body.entries.map(entry => entry.action);
+
+  test('matches every action on a model by its prefix, or one action exactly', async () => {
+    expect(actions(await request(app).get('/api/admin/audit?action=order'))).toEqual(['order.refund', 'order.update']);
+    expect(actions(await request(app).get('/api/admin/audit?action=order.refund'))).toEqual(['order.refund']);
+  });
+
+  test('does not pass regular expressions through from the query', async () => {
+    const res = await request(app).get(`/api/admin/audit?action=${encodeURIComponent('order|design')}`);
+    expect(filters[0].action).toEqual({ $regex: '^orderdesign\\.' });
+    expect(actions(res)).toEqual([]);
+  });
+
+  test('filters by date range and paginates', async () => {
+    const res = await request(app).get('/api/admin/audit?from=2026-02-01&to=2026-02-28');
+    expect(actions(res)).toEqual(['order.update', 'orders-export.run']);
+    expect(res.body.pagination).toMatchObject({ totalItems: 2, currentPage: 1 });
+    expect((await request(app).get('/api/admin/audit?actor=not-an-id')).status).toBe(400);
+  });
+
+  test('is limited to staff who may read the audit log', async () => {
+    signIn(new User({ name: 'Sam', email: 'sam@example.com', password: 'secret123', role: 'support' }));
+    expect((await request(app).get('/api/admin/audit')).status).toBe(403);
+  });
+});
@@ -0,0 +1,67 @@
+jest.mock('../../middleware/auth', () => require('../support/mockAuth'));
+
+const request = require('supertest');
+const ApiKey = require('../../models/ApiKey');
+const User = require('../../models/User');
+const AuditLog = require('../../models/AuditLog');
+const { signIn } = require('../support/mockAuth');
+const { createApp } = require('../support/app');
+
+const app = createApp('/api/api-keys', require('../../routes/apiKeys'));
+
+describe('API key routes', () => {
+  const admin = new User({ name: 'Ada', email: 'ada@example.com', password: 'secret123', role: 'admin' });
+  let apiKeys;
+
+  beforeEach(() => {
+    signIn(admin);
+    apiKeys = [];
+    jest.spyOn(ApiKey, 'create').mockImplementation(async (fields) => {
+      const apiKey = new ApiKey(fields);
+      jest.spyOn(apiKey, 'save').mockResolvedValue(apiKey);
+      apiKeys.push(apiKey);
+      return apiKey;
+    });
+    jest.spyOn(ApiKey, 'findById').mockImplementation(async id => apiKeys.find(apiKey => apiKey._id.equals(id)) || null);
+    jest.spyOn(AuditLog, 'create').mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const create = fields => request(app).post('/api/api-keys').send({ name: 'ERP', permissions: ['orders:read'], ...fields });
+
+  test('returns the plain key once and stores only its hash', async () => {
+    const res = await create();
+    expect(res.status).toBe(201);
+    expect(res.body.key).toMatch(/^adp_/);
+    expect(res.body.apiKey.keyHash).toBeUndefined();
+    expect(res.body.apiKey).toMatchObject({ permissions: ['orders:read'], scopes: ['read'], keyPreview: res.body.key.slice(0, 10) });
+    expect(apiKeys[0].keyHash).toBe(ApiKey.hashKey(res.body.key));
+    expect(apiKeys[0].createdBy).toEqual(admin._id);
+    expect(AuditLog.create).toHaveBeenCalledWith(expect.objectContaining({ actor: admin._id, action: 'api-key.create', targetId: apiKeys[0]._id }));
+    expect(JSON.stringify(AuditLog.create.mock.calls[0][0].changes)).not.toContain(apiKeys[0].keyHash);
+  });
+
+  test('validates permissions and scopes', async () => {
+    expect((await create({ permissions: ['orders:everything'] })).status).toBe(400);
+    expect((await create({ permissions: [] })).status).toBe(400);
+    expect((await create({ scopes: ['delete'] })).status).toBe(400);
+  });
+
+  test('revokes a key', async () => {
+    const { body } = await create({ scopes: ['read', 'write'] });
+    const res = await request(app).delete(`/api/api-keys/${body.apiKey._id}`);
+    expect(res.status).toBe(200);
+    expect(apiKeys[0].isActive).toBe(false);
+    expect(AuditLog.create).toHaveBeenLastCalledWith(expect.objectContaining({ action: 'api-key.revoke', targetId: apiKeys[0]._id }));
+    expect((await request(app).delete(`/api/api-keys/${admin._id}`)).status).toBe(404);
+  });
+
+  test('is limited to staff who may manage API keys', async () => {
+    signIn(new User({ name: 'Sam', email: 'sam@example.com', password: 'secret123', role: 'support' }));
+    expect((await create()).status).toBe(403);
+    expect(apiKeys).toHaveLength(0);
+  });
+});
@@ -0,0 +1,367 @@
+jest.mock('../../middleware/auth', () => require('../support/mockAuth'));
+
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const { Query } = require('mingo');
+const User = require('../../models/User');
+const Session = require('../../models/Session');
+const LoginThrottle = require('../../models/LoginThrottle');
+const totp = require('../../utils/totp');
+const { setTransport } = require('../../utils/mailer');
+const { signIn } = require('../support/mockAuth');
+const { createApp } = require('../support/app');
+
+const app = createApp('/api/auth', require('../../routes/auth'));
+
+const newSession = (user, fields = {}) => new Session({
+  user: user._id,
+  refreshTokenHash: Session.hashToken(Session.generateRefreshToken()),
+  expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+  ...fields
+});
+
+// Keep accounts in memory: lookups are evaluated as MongoDB queries, saving runs the save hooks
+// (password hashing) and stores the account. Returns the list of stored accounts.
+const useUserStore = () => {
+  const users = [];
+  beforeEach(() => {
+    users.length = 0;
+    jest.spyOn(User, 'findOne').mockImplementation(async filter =>
+      users.find(user => new Query(filter).test(user.toObject())) || null);
+    jest.spyOn(User.prototype, 'save').mockImplementation(function() {
+      return new Promise((resolve, reject) => User.schema.s.hooks.execPre('save', this, [{}], (error) => {
+        if (error) return reject(error);
+        if (!users.includes(this)) users.push(this);
+        // As after a real save: stored, no longer new, nothing modified
+        this.isNew = false;
+        this.$__reset();
+        resolve(this);
+      }));
+    });
+  });
+  return users;
+};
+
+// Collect the emails sent, returns the list of messages
+const useMailbox = () => {
+  const messages = [];
+  beforeEach(() => {
+    messages.length = 0;
+    setTransport({ send: async (message) => { messages.push(message); return { messageId: String(messages.length) }; } });
+  });
+  return messages;
+};
+
+// Token from the link in an email
+const linkToken = message => new URL(message.text.match(/https?:\/\/\S+/)[0]).searchParams.get('token');
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('POST /api/auth/refresh', () => {
+  const user = new User({ name: 'Jane', email: 'jane@example.com', password: 'secret123' });
+  let session;
+  let refreshToken;
+
+  beforeEach(() => {
+    refreshToken = Session.generateRefreshToken();
+    session = newSession(user, { refreshTokenHash: Session.hashToken(refreshToken) });
+    jest.spyOn(session, 'save').mockResolvedValue(session);
+    jest.spyOn(Session, 'findByRefreshToken').mockImplementation(async token =>
+      (Session.hashToken(token) === session.refreshTokenHash ? session : null));
+    jest.spyOn(Session, 'findByReusedRefreshToken').mockImplementation(async token =>
+      (Session.hashToken(token) === session.previousRefreshTokenHash ? session : null));
+    jest.spyOn(User, 'findById').mockReturnValue({ select: async () => user });
+  });
+
+  const refresh = token => request(app).post('/api/auth/refresh').send({ refreshToken: token });
+
+  test('issues an access token for the session and rotates the refresh token', async () => {
+    const res = await refresh(refreshToken);
+    expect(res.status).toBe(200);
+    expect(jwt.decode(res.body.token)).toMatchObject({ userId: String(user._id), sessionId: String(session._id) });
+    expect(res.body.refreshToken).not.toBe(refreshToken);
+    expect(session.refreshTokenHash).toBe(Session.hashToken(res.body.refreshToken));
+
+    // The rotated token works once more, the old one no longer does
+    expect((await refresh(res.body.refreshToken)).status).toBe(200);
+  });
+
+  test('revokes the whole session when a rotated-out token is replayed', async () => {
+    const rotated = await refresh(refreshToken);
+    const res = await refresh(refreshToken);
+    expect(res.status).toBe(401);
+    expect(session.revokedReason).toBe('refresh-token-reuse');
+    expect((await refresh(rotated.body.refreshToken)).status).toBe(401);
+  });
+
+  test('refuses unknown tokens and revoked sessions', async () => {
+    expect((await refresh(Session.generateRefreshToken())).status).toBe(401);
+    session.revokedAt = new Date();
+    expect((await refresh(refreshToken)).status).toBe(401);
+  });
+});
+
+describe('POST /api/auth/logout', () => {
+  test('revokes the current session only', async () => {
+    const user = new User({ name: 'Jane', email: 'jane@example.com', password: 'secret123' });
+    const session = newSession(user);
+    jest.spyOn(session, 'save').mockResolvedValue(session);
+    signIn(user, session);
+
+    const res = await request(app).post('/api/auth/logout');
+    expect(res.status).toBe(200);
+    expect(session.revokedAt).toBeInstanceOf(Date);
+    expect(session.revokedReason).toBe('logout');
+  });
+});
+
+describe('session management', () => {
+  const user = new User({ name: 'Jane', email: 'jane@example.com', password: 'secret123' });
+  const other = new User({ name: 'Ann', email: 'ann@example.com', password: 'secret123' });
+  let current;
+  let sessions;
+
+  beforeEach(() => {
+    current = newSession(user, { userAgent: 'Firefox', ipAddress: '10.0.0.1' });
+    sessions = [current, newSession(user, { userAgent: 'Safari' }), newSession(other)];
+    sessions.forEach(session => jest.spyOn(session, 'save').mockResolvedValue(session));
+    jest.spyOn(Session, 'find').mockImplementation(filter => ({
+      sort: async () => sessions.filter(session => session.user.equals(filter.user) && session.isActive)
+    }));
+    jest.spyOn(Session, 'findById').mockImplementation(async id => sessions.find(session => session._id.equals(id)) || null);
+    jest.spyOn(Session, 'updateMany').mockResolvedValue({ modifiedCount: 1 });
+    signIn(user, current);
+  });
+
+  test('lists the active sessions with their device and marks the current one', async () => {
+    const res = await request(app).get('/api/auth/sessions');
+    expect(res.status).toBe(200);
+    expect(res.body.sessions.map(session => [session.userAgent, session.isCurrent])).toEqual([['Firefox', true], ['Safari', false]]);
+    expect(res.body.sessions[0].refreshTokenHash).toBeUndefined();
+  });
+
+  test('revokes one of the user\'s own sessions', async () => {
+    const res = await request(app).delete(`/api/auth/sessions/${sessions[1]._id}`);
+    expect(res.status).toBe(200);
+    expect(sessions[1].revokedReason).toBe('user');
+  });
+
+  test('does not let users revoke other people\'s sessions', async () => {
+    const res = await request(app).delete(`/api/auth/sessions/${sessions[2]._id}`);
+    expect(res.status).toBe(403);
+    expect(sessions[2].revokedAt).toBeUndefined();
+    expect((await request(app).delete('/api/auth/sessions/not-an-id')).status).toBe(404);
+  });
+
+  test('signs out everywhere, optionally keeping the current session', async () => {
+    await request(app).delete('/api/auth/sessions');
+    expect(Session.updateMany).toHaveBeenLastCalledWith({ user: user._id, revokedAt: null }, expect.objectContaining({ revokedReason: 'sign-out-everywhere' }));
+
+    await request(app).delete('/api/auth/sessions?keepCurrent=true');
+    expect(Session.updateMany).toHaveBeenLastCalledWith({ user: user._id, revokedAt: null, _id: { $ne: current._id } }, expect.anything());
+  });
+
+  describe('for staff', () => {
+    const support = new User({ name: 'Sam', email: 'sam@example.com', password: 'secret123', role: 'support' });
+    const admin = new User({ name: 'Ada', email: 'ada@example.com', password: 'secret123', role: 'admin' });
+    let adminSession;
+
+    beforeEach(() => {
+      adminSession = newSession(admin);
+      jest.spyOn(adminSession, 'save').mockResolvedValue(adminSession);
+      sessions.push(adminSession);
+      jest.spyOn(User, 'findById').mockImplementation(id => ({
+        select: async () => [user, other, support, admin].find(account => account._id.equals(id)) || null
+      }));
+      signIn(support, newSession(support));
+    });
+
+    test('may list and revoke the sessions of accounts they could manage', async () => {
+      const res = await request(app).get('/api/auth/sessions').query({ userId: String(user._id) });
+      expect(res.status).toBe(200);
+      expect(res.body.sessions).toHaveLength(2);
+
+      expect((await request(app).delete(`/api/auth/sessions/${sessions[1]._id}`)).status).toBe(200);
+      expect(sessions[1].revokedReason).toBe('admin');
+      await request(app).delete('/api/auth/sessions').query({ userId: String(user._id) });
+      expect(Session.updateMany).toHaveBeenLastCalledWith({ user: String(user._id), revokedAt: null }, expect.objectContaining({ revokedReason: 'admin' }));
+    });
+
+    test('may not see or revoke the sessions of more privileged accounts', async () => {
+      expect((await request(app).get('/api/auth/sessions').query({ userId: String(admin._id) })).status).toBe(403);
+      expect((await request(app).delete(`/api/auth/sessions/${adminSession._id}`)).status).toBe(403);
+      expect(adminSession.revokedAt).toBeUndefined();
+      expect((await request(app).delete('/api/auth/sessions').query({ userId: String(admin._id) })).status).toBe(403);
+      expect(Session.updateMany).not.toHaveBeenCalled();
+    });
+
+    test('404s for unknown and malformed user ids', async () => {
+      expect((await request(app).get('/api/auth/sessions').query({ userId: 'not-an-id' })).status).toBe(404);
+      expect((await request(app).get('/api/auth/sessions').query({ userId: String(new User()._id) })).status).toBe(404);
+    });
+  });
+
+  test('does not let other users inspect someone\'s sessions', async () => {
+    const res = await request(app).get('/api/auth/sessions').query({ userId: String(other._id) });
+    expect(res.status).toBe(403);
+  });
+});
+
+describe('email verification', () => {
+  const users = useUserStore();
+  const mailbox = useMailbox();
+
+  beforeEach(() => {
+    jest.spyOn(Session, 'create').mockImplementation(async fields => new Session(fields));
+  });
+
+  const register = () => request(app).post('/api/auth/register')
+    .send({ name: 'Jane', email: 'jane@example.com', password: 'secret123' });
+
+  test('emails a verification link on registration and stores only its hash', async () => {
+    const res = await register();
+    expect(res.status).toBe(201);
+    expect(res.body.user.isVerified).toBe(false);
+    expect(mailbox.map(message => message.to)).toEqual(['jane@example.com']);
+    const token = linkToken(mailbox[0]);
+    expect(users[0].emailVerificationToken).toBeDefined();
+    expect(users[0].emailVerificationToken).not.toBe(token);
+  });
+
+  test('verifies the address from the link once', async () => {
+    await register();
+    const token = linkToken(mailbox[0]);
+
+    const res = await request(app).get('/api/auth/verify-email').query({ token });
+    expect(res.status).toBe(200);
+    expect(users[0].isVerified).toBe(true);
+    expect((await request(app).post('/api/auth/verify-email').send({ token })).status).toBe(400);
+  });
+
+  test('refuses expired and unknown tokens', async () => {
+    await register();
+    users[0].emailVerificationExpires = new Date(Date.now() - 1000);
+    expect((await request(app).post('/api/auth/verify-email').send({ token: linkToken(mailbox[0]) })).status).toBe(400);
+    expect((await request(app).post('/api/auth/verify-email').send({ token: 'unknown' })).status).toBe(400);
+    expect(users[0].isVerified).toBe(false);
+  });
+});
+
+describe('password reset', () => {
+  const users = useUserStore();
+  const mailbox = useMailbox();
+  let user;
+
+  beforeEach(async () => {
+    user = new User({ name: 'Jane', email: 'jane@example.com', password: 'secret123' });
+    await user.save();
+    jest.spyOn(Session, 'revokeAllForUser').mockResolvedValue({});
+  });
+
+  const forgot = email => request(app).post('/api/auth/forgot-password').send({ email });
+  const reset = (token, newPassword = 'new-secret') => request(app).post('/api/auth/reset-password').send({ token, newPassword });
+
+  test('emails a reset link and stores only the hash of its token', async () => {
+    expect((await forgot('jane@example.com')).status).toBe(200);
+    expect(mailbox).toHaveLength(1);
+    const token = linkToken(mailbox[0]);
+    expect(user.passwordResetToken).toBeDefined();
+    expect(user.passwordResetToken).not.toContain(token);
+  });
+
+  test('answers the same for unknown addresses without sending anything', async () => {
+    const known = await forgot('jane@example.com');
+    const unknown = await forgot('nobody@example.com');
+    expect(unknown.status).toBe(200);
+    expect(unknown.body).toEqual(known.body);
+    expect(mailbox).toHaveLength(1);
+  });
+
+  test('sets the new password once per token and signs out every session', async () => {
+    await forgot('jane@example.com');
+    const token = linkToken(mailbox[0]);
+
+    expect((await reset(token)).status).toBe(200);
+    expect(await user.comparePassword('new-secret')).toBe(true);
+    expect(Session.revokeAllForUser).toHaveBeenCalledWith(user._id, 'password-reset');
+
+    expect((await reset(token, 'another-secret')).status).toBe(400);
+    expect(await user.comparePassword('new-secret')).toBe(true);
+  });
+
+  test('voids the token when a newer one is requested or it expires', async () => {
+    await forgot('jane@example.com');
+    await forgot('jane@example.com');
+    const [first, second] = mailbox.map(linkToken);
+    expect((await reset(first)).status).toBe(400);
+
+    user.passwordResetExpires = new Date(Date.now() - 1000);
+    expect((await reset(second)).status).toBe(400);
+    expect(users).toHaveLength(1);
+  });
+});
+
+describe('logging in to a blocked account', () => {
+  const users = useUserStore();
+  let user;
+
+  beforeEach(async () => {
+    jest.spyOn(LoginThrottle, 'check').mockResolvedValue({ allowed: true });
+    jest.spyOn(LoginThrottle, 'registerFailure').mockResolvedValue({ failures: 1, overLimit: false, lockedNow: false });
+    jest.spyOn(LoginThrottle, 'forgive').mockResolvedValue({});
+    jest.spyOn(LoginThrottle, 'reset').mockResolvedValue({});
+    jest.spyOn(Session, 'create').mockImplementation(async fields => new Session(fields));
+    jest.spyOn(User, 'findById').mockImplementation(async id => users.find(stored => stored._id.equals(id)) || null);
+    user = new User({ name: 'Jane', email: 'jane@example.com', password: 'secret123' });
+    await user.save();
+  });
+
+  const login = password => request(app).post('/api/auth/login').send({ email: 'jane@example.com', password });
+  const suspend = () => {
+    user.accountStatus = { status: 'suspended', reason: 'Chargebacks', until: new Date(Date.now() + 60 * 60 * 1000) };
+  };
+
+  test('tells the user why with the right password and takes the counted attempt back', async () => {
+    suspend();
+    const res = await login('secret123');
+    expect(res.status).toBe(403);
+    expect(res.body).toMatchObject({ accountStatus: 'suspended', reason: 'Chargebacks' });
+    expect(res.body.token).toBeUndefined();
+    expect(LoginThrottle.forgive).toHaveBeenCalledWith(LoginThrottle.accountKey('jane@example.com'));
+    expect(LoginThrottle.forgive).toHaveBeenCalledWith(expect.stringMatching(/^ip:/));
+  });
+
+  test('counts wrong passwords as usual without revealing the block', async () => {
+    user.accountStatus = { status: 'banned', reason: 'Fraud' };
+    const res = await login('wrong-password');
+    expect(res.status).toBe(400);
+    expect(res.body.accountStatus).toBeUndefined();
+    expect(LoginThrottle.forgive).not.toHaveBeenCalled();
+  });
+
+  test('lets the user in again once a suspension has run out', async () => {
+    user.accountStatus = { status: 'suspended', reason: 'Chargebacks', until: new Date(Date.now() - 1000) };
+    const res = await login('secret123');
+    expect(res.status).toBe(200);
+    expect(res.body.token).toBeDefined();
+  });
+
+  test('refuses the second step when the account was blocked after the first', async () => {
+    const secret = totp.generateSecret();
+    user.twoFactor = { enabled: true, secret };
+    const first = await login('secret123');
+    expect(first.body.twoFactorRequired).toBe(true);
+
+    suspend();
+    const res = await request(app).post('/api/auth/login/2fa').send({
+      twoFactorToken: first.body.twoFactorToken,
+      code: totp.generateCode(secret, totp.getTimeStep())
+    });
+    expect(res.status).toBe(403);
+    expect(res.body).toMatchObject({ accountStatus: 'suspended' });
+    expect(Session.create).not.toHaveBeenCalled();
+    expect(LoginThrottle.forgive).toHaveBeenCalledWith(LoginThrottle.accountKey('jane@example.com'));
+  });
+});
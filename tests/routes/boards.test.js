@@ -0,0 +1,76 @@
+jest.mock('../../middleware/auth', () => require('../support/mockAuth'));
+
+const mongoose = require('mongoose');
+const request = require('supertest');
+const Board = require('../../models/Board');
+const User = require('../../models/User');
+const { signIn } = require('../support/mockAuth');
+const { createApp } = require('../support/app');
+
+const app = createApp('/api/boards', require('../../routes/boards'));
+
+describe('POST /api/boards/:id/items/:designId/move', () => {
+  const user = new User({ name: 'Jane', email: 'jane@example.com', password: 'secret123' });
+  const design = new mongoose.Types.ObjectId();
+  let source;
+  let target;
+
+  const createBoards = (sourceNote, targetItems = []) => {
+    source = new Board({ owner: user._id, name: 'Source', items: [{ design, note: sourceNote }] });
+    target = new Board({ owner: user._id, name: 'Target', items: targetItems });
+    [source, target].forEach(board => jest.spyOn(board, 'save').mockResolvedValue(board));
+  };
+
+  const move = () => request(app)
+    .post(`/api/boards/${source._id}/items/${design}/move`)
+    .send({ targetBoard: String(target._id) });
+
+  beforeEach(() => {
+    signIn(user);
+    jest.spyOn(Board, 'findById').mockImplementation(async id => [source, target].find(board => board._id.equals(id)) || null);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('moves the design and its note', async () => {
+    createBoards('for the lobby');
+    const res = await move();
+    expect(res.status).toBe(200);
+    expect(source.items).toHaveLength(0);
+    expect(target.items.map(item => item.note)).toEqual(['for the lobby']);
+  });
+
+  test('appends the note when the target board already has the design', async () => {
+    createBoards('for the lobby', [{ design, note: 'client favourite' }]);
+    const res = await move();
+    expect(res.status).toBe(200);
+    expect(source.items).toHaveLength(0);
+    expect(target.items).toHaveLength(1);
+    expect(target.items[0].note).toBe('client favourite\n\nfor the lobby');
+  });
+
+  test('keeps the moved note when the existing entry has none', async () => {
+    createBoards('for the lobby', [{ design }]);
+    await move();
+    expect(target.items[0].note).toBe('for the lobby');
+  });
+
+  test('refuses when the combined note would be too long, keeping both entries', async () => {
+    createBoards('a'.repeat(600), [{ design, note: 'b'.repeat(600) }]);
+    const res = await move();
+    expect(res.status).toBe(409);
+    expect(source.items).toHaveLength(1);
+    expect(source.save).not.toHaveBeenCalled();
+    expect(target.save).not.toHaveBeenCalled();
+  });
+
+  test('only moves between the user\'s own boards', async () => {
+    createBoards('for the lobby');
+    target.owner = new mongoose.Types.ObjectId();
+    const res = await move();
+    expect(res.status).toBe(404);
+    expect(source.items).toHaveLength(1);
+  });
+});
@@ -0,0 +1,230 @@
+jest.mock('../../middleware/auth', () => require('../support/mockAuth'));
+
+const mongoose = require('mongoose');
+const request = require('supertest');
+const Design = require('../../models/Design');
+const DesignRevision = require('../../models/DesignRevision');
+const Order = require('../../models/Order');
+const User = require('../../models/User');
+const { signIn } = require('../support/mockAuth');
+const { createApp } = require('../support/app');
+
+const app = createApp('/api/designs', require('../../routes/designs'));
+
+// Storage key a local signed URL points at
+const signedKey = url => decodeURIComponent(new URL(url, 'http://localhost').pathname.replace('/api/files/', ''));
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('GET /api/designs/:id/download', () => {
+  const customer = new User({ name: 'Jane', email: 'jane@example.com', password: 'secret123' });
+  const architect = new User({ name: 'Ann', email: 'ann@example.com', password: 'secret123', role: 'architect' });
+  const designId = new mongoose.Types.ObjectId();
+  const otherDesignId = new mongoose.Types.ObjectId();
+  let design;
+
+  const model3d = (name, extra = {}) => ({
+    file: `/uploads/designs/${designId}/models/${name}.glb`,
+    format: 'glb',
+    size: 1024,
+    original: { key: `private/designs/${designId}/originals/${name}.obj`, filename: `${name}.obj`, format: 'obj', size: 2048 },
+    ...extra
+  });
+
+  beforeEach(() => {
+    design = Design.hydrate({ _id: designId, title: 'Villa', price: 100, version: 2, downloadCount: 0, model3d: model3d('v2') });
+    jest.spyOn(Design, 'findById').mockResolvedValue(design);
+    jest.spyOn(design, 'incrementDownload').mockResolvedValue(design);
+    jest.spyOn(Order, 'getPurchasedItem').mockResolvedValue(null);
+    jest.spyOn(DesignRevision, 'findOne').mockImplementation(async ({ version }) => (version === 1
+      ? { version: 1, snapshot: { title: 'Villa', model3d: model3d('v1') } }
+      : null));
+  });
+
+  const download = (query = '') => request(app).get(`/api/designs/${designId}/download${query}`);
+
+  test('requires signing in', async () => {
+    signIn(null);
+    expect((await download()).status).toBe(401);
+  });
+
+  test('refuses customers without a completed order', async () => {
+    signIn(customer);
+    const res = await download();
+    expect(res.status).toBe(403);
+    expect(Order.getPurchasedItem).toHaveBeenCalledWith(customer._id, designId);
+    expect(design.incrementDownload).not.toHaveBeenCalled();
+  });
+
+  test('signs the model and original for purchasers and counts the download', async () => {
+    signIn(customer);
+    Order.getPurchasedItem.mockResolvedValue({ design: designId, designVersion: 2 });
+    const res = await download();
+    expect(res.status).toBe(200);
+    expect(res.body.version).toBe(2);
+    expect(signedKey(res.body.model.url)).toBe(`designs/${designId}/models/v2.glb`);
+    expect(signedKey(res.body.original.url)).toBe(`private/designs/${designId}/originals/v2.obj`);
+    expect(res.body.model.url).toMatch(/signature=/);
+    expect(design.incrementDownload).toHaveBeenCalled();
+  });
+
+  test('serves purchasers the version their order is pinned to', async () => {
+    signIn(customer);
+    Order.getPurchasedItem.mockResolvedValue({ design: designId, designVersion: 1 });
+    const res = await download('?version=2');
+    expect(res.status).toBe(200);
+    expect(res.body.version).toBe(1);
+    expect(signedKey(res.body.model.url)).toBe(`designs/${designId}/models/v1.glb`);
+  });
+
+  test('serves orders placed before versioning the current version', async () => {
+    signIn(customer);
+    Order.getPurchasedItem.mockResolvedValue({ design: designId });
+    const res = await download();
+    expect(res.body.version).toBe(2);
+  });
+
+  test('lets staff pick a version without a purchase or counting a download', async () => {
+    signIn(architect);
+    const res = await download('?version=1');
+    expect(res.status).toBe(200);
+    expect(signedKey(res.body.model.url)).toBe(`designs/${designId}/models/v1.glb`);
+    expect(Order.getPurchasedItem).not.toHaveBeenCalled();
+    expect(design.incrementDownload).not.toHaveBeenCalled();
+    expect((await download('?version=7')).status).toBe(404);
+  });
+
+  test('never signs a model stored under another design', async () => {
+    signIn(architect);
+    design.set('model3d.file', `/uploads/designs/${otherDesignId}/models/paid.glb`);
+    const res = await download();
+    expect(res.status).toBe(404);
+    expect(res.body.model).toBeUndefined();
+  });
+
+  test('never signs an original stored under another record', async () => {
+    signIn(architect);
+    design.set('model3d.original.key', `private/designs/${otherDesignId}/originals/paid.obj`);
+    const res = await download();
+    expect(res.status).toBe(200);
+    expect(res.body.original).toBeUndefined();
+  });
+
+  test('returns externally hosted models as they are', async () => {
+    signIn(architect);
+    design.set('model3d', { file: 'https://cdn.example.com/villa.glb', format: 'glb' });
+    const res = await download();
+    expect(res.status).toBe(200);
+    expect(res.body.model.url).toBe('https://cdn.example.com/villa.glb');
+  });
+});
+
+describe('GET /api/designs/:id/revisions/diff', () => {
+  const architect = new User({ name: 'Ann', email: 'ann@example.com', password: 'secret123', role: 'architect' });
+  const designId = new mongoose.Types.ObjectId();
+
+  beforeEach(() => {
+    signIn(architect);
+    jest.spyOn(Design, 'findById').mockResolvedValue(Design.hydrate({ _id: designId, title: 'Villa', price: 150, tags: ['villa', 'pool'], version: 3 }));
+    jest.spyOn(DesignRevision, 'findOne').mockImplementation(async ({ version }) => ({
+      1: { version: 1, snapshot: { title: 'Villa', price: 100, tags: ['villa'] } },
+      2: { version: 2, snapshot: { title: 'Villa', price: 150, tags: ['villa'] } }
+    }[version] || null));
+  });
+
+  const getDiff = query => request(app).get(`/api/designs/${designId}/revisions/diff`).query(query);
+
+  test('compares a version with the current one by default', async () => {
+    const res = await getDiff({ from: 1 });
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ from: 1, to: 3 });
+    expect(res.body.changes).toEqual(expect.arrayContaining([
+      { path: 'price', before: 100, after: 150 },
+      { path: 'tags', before: ['villa'], after: ['villa', 'pool'] }
+    ]));
+  });
+
+  test('compares two earlier versions', async () => {
+    const res = await getDiff({ from: 1, to: 2 });
+    expect(res.body.changes).toEqual([{ path: 'price', before: 100, after: 150 }]);
+  });
+
+  test('404s for unknown versions and is staff only', async () => {
+    expect((await getDiff({ from: 9 })).status).toBe(404);
+    signIn(new User({ name: 'Jane', email: 'jane@example.com', password: 'secret123' }));
+    expect((await getDiff({ from: 1 })).status).toBe(403);
+  });
+});
+
+describe('GET /api/designs specification filters', () => {
+  const { Query } = require('mingo');
+
+  // Stored designs, in different units, that the filter built by the route is evaluated against
+  const designs = {
+    metres: { dimensions: { width: 12, depth: 8, height: 3, unit: 'meters' }, materials: ['Concrete', 'Glass'], features: ['Pool'] },
+    feet: { dimensions: { width: 40, depth: 25, height: 10, unit: 'Feet' }, materials: ['Timber'], features: [] },
+    centimetres: { dimensions: { width: 1200, depth: 800, height: 300, unit: 'cm' }, materials: ['glass'], features: ['pool', 'garden'] },
+    large: { dimensions: { width: 20, depth: 20, height: 6 }, materials: ['Steel', 'Glass'], features: ['Garden'] },
+    unknownUnit: { dimensions: { width: 12, depth: 8, height: 3, unit: 'cubits' }, materials: [], features: [] },
+    noDimensions: { dimensions: {}, materials: ['Concrete'], features: [] }
+  };
+  let filter;
+
+  beforeEach(() => {
+    const results = { populate: () => results, sort: () => results, skip: () => results, limit: async () => [] };
+    jest.spyOn(Design, 'find').mockImplementation((query) => {
+      filter = query;
+      return results;
+    });
+    jest.spyOn(Design, 'countDocuments').mockResolvedValue(0);
+  });
+
+  // Names of the designs the list would return for a query
+  const matching = async (query) => {
+    const res = await request(app).get('/api/designs').query({ facets: false, ...query });
+    expect(res.status).toBe(200);
+    const mongoQuery = new Query(filter);
+    return Object.entries(designs)
+      .filter(([, { dimensions, materials, features }]) => mongoQuery.test({
+        status: 'published',
+        specifications: { dimensions, materials, features }
+      }))
+      .map(([name]) => name);
+  };
+
+  test('filters by a dimension range in metres whatever unit designs are stored in', async () => {
+    expect(await matching({ minWidth: 11.5, maxWidth: 13 })).toEqual(['metres', 'feet', 'centimetres']);
+    expect(await matching({ maxHeight: 3 })).toEqual(['metres', 'centimetres']);
+  });
+
+  test('reads the range in the requested unit', async () => {
+    expect(await matching({ unit: 'feet', minWidth: 39.5 })).toEqual(['feet', 'large']);
+    expect(await matching({ unit: 'cm', maxDepth: 800 })).toEqual(['metres', 'feet', 'centimetres']);
+  });
+
+  test('filters by footprint area in square units', async () => {
+    expect(await matching({ minArea: 90, maxArea: 100 })).toEqual(['metres', 'feet', 'centimetres']);
+    expect(await matching({ unit: 'feet', minArea: 4000 })).toEqual(['large']);
+  });
+
+  test('never matches designs missing the measure or with an unknown unit', async () => {
+    expect(await matching({ minWidth: 0 })).toEqual(['metres', 'feet', 'centimetres', 'large']);
+  });
+
+  test('matches every listed value case-insensitively, or any of them', async () => {
+    expect(await matching({ materials: 'glass,concrete' })).toEqual(['metres']);
+    expect(await matching({ materials: 'steel,timber', materialsMatch: 'any' })).toEqual(['feet', 'large']);
+    expect(await matching({ features: 'pool', materials: 'GLASS' })).toEqual(['metres', 'centimetres']);
+  });
+
+  test('leaves the specifications unfiltered without parameters', async () => {
+    expect(await matching({})).toEqual(Object.keys(designs));
+  });
+
+  test('rejects negative dimensions and unknown units', async () => {
+    expect((await request(app).get('/api/designs').query({ minWidth: -1 })).status).toBe(400);
+    expect((await request(app).get('/api/designs').query({ unit: 'cubits' })).status).toBe(400);
+  });
+});
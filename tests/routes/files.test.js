@@ -0,0 +1,74 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const { createLocalDriver, setDriver } = require('../../utils/storage');
+const { createApp } = require('../support/app');
+
+const app = createApp('/api/files', require('../../routes/files'));
+
+describe('GET /api/files/*', () => {
+  let root;
+  let driver;
+
+  beforeEach(async () => {
+    root = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'adp-files-'));
+    driver = createLocalDriver(root);
+    setDriver(driver);
+    await fs.promises.mkdir(path.join(root, 'private/designs'), { recursive: true });
+    await fs.promises.writeFile(path.join(root, 'private/designs/plan.pdf'), 'plan');
+  });
+
+  afterEach(async () => {
+    setDriver(null);
+    await fs.promises.rm(root, { recursive: true, force: true });
+  });
+
+  // Signed URL with one of its query parameters replaced
+  const signedUrl = async (key, options, changes = {}) => {
+    const url = new URL(await driver.getSignedUrl(key, options), 'http://localhost');
+    Object.entries(changes).forEach(([name, value]) => url.searchParams.set(name, value));
+    return `${url.pathname}?${url.searchParams}`;
+  };
+
+  test('serves a file through its signed URL, under the name it was uploaded with', async () => {
+    const res = await request(app).get(await signedUrl('private/designs/plan.pdf', { filename: 'Courtyard plan.pdf' }));
+    expect(res.status).toBe(200);
+    expect(res.headers['content-disposition']).toBe('attachment; filename="Courtyard plan.pdf"');
+    expect(res.body.toString()).toBe('plan');
+  });
+
+  test('refuses URLs that were tampered with or have expired', async () => {
+    const url = await signedUrl('private/designs/plan.pdf');
+    expect((await request(app).get(url.replace('plan.pdf', 'other.pdf'))).status).toBe(403);
+    expect((await request(app).get(await signedUrl('private/designs/plan.pdf', {}, { signature: 'f'.repeat(64) }))).status).toBe(403);
+    expect((await request(app).get(await signedUrl('private/designs/plan.pdf', { expiresIn: -1 }))).status).toBe(403);
+    expect((await request(app).get('/api/files/private/designs/plan.pdf')).status).toBe(403);
+  });
+
+  test('does not serve files outside the storage root, even with a valid signature', async () => {
+    const secret = path.join(root, '..', 'adp-secret.txt');
+    await fs.promises.writeFile(secret, 'top secret');
+    // Dot segments escaped so they reach the route instead of being resolved by the client
+    const query = (await driver.getSignedUrl('../adp-secret.txt')).split('?')[1];
+    const res = await request(app).get(`/api/files/%2E%2E/adp-secret.txt?${query}`);
+    await fs.promises.unlink(secret);
+    expect(res.status).toBe(404);
+    expect(res.text).not.toContain('top secret');
+  });
+
+  test('keeps the requested file name from choosing a path', async () => {
+    const res = await request(app).get(await signedUrl('private/designs/plan.pdf', { filename: '../../etc/passwd' }));
+    expect(res.headers['content-disposition']).toBe('attachment; filename="passwd"');
+  });
+
+  test('404s for signed keys that do not exist', async () => {
+    expect((await request(app).get(await signedUrl('private/designs/missing.pdf'))).status).toBe(404);
+  });
+
+  test('is only served by the local driver', async () => {
+    const url = await signedUrl('private/designs/plan.pdf');
+    setDriver({ ...driver, name: 's3' });
+    expect((await request(app).get(url)).status).toBe(403);
+  });
+});
@@ -0,0 +1,71 @@
+jest.mock('../../middleware/auth', () => require('../support/mockAuth'));
+
+const request = require('supertest');
+const User = require('../../models/User');
+const Notification = require('../../models/Notification');
+const { signIn } = require('../support/mockAuth');
+const { createApp } = require('../support/app');
+const { matches } = require('../support/query');
+
+const app = createApp('/api/notifications', require('../../routes/notifications'));
+
+describe('notification routes', () => {
+  const jane = new User({ name: 'Jane', email: 'jane@example.com', password: 'secret123' });
+  const john = new User({ name: 'John', email: 'john@example.com', password: 'secret123' });
+  let notifications;
+
+  const newNotification = (user, title, readAt) => new Notification({ user: user._id, type: 'order.status', title, readAt });
+
+  beforeEach(() => {
+    signIn(jane);
+    notifications = [
+      newNotification(jane, 'Shipped'),
+      newNotification(jane, 'Paid', new Date()),
+      newNotification(john, 'Refunded')
+    ];
+    const find = filter => notifications.filter(notification => matches(filter, notification));
+    jest.spyOn(Notification, 'find').mockImplementation(filter => ({
+      sort() { return this; },
+      skip() { return this; },
+      limit: async () => find(filter)
+    }));
+    jest.spyOn(Notification, 'countDocuments').mockImplementation(async filter => find(filter).length);
+    jest.spyOn(Notification, 'findOne').mockImplementation(async filter => find(filter)[0] || null);
+    jest.spyOn(Notification, 'updateMany').mockImplementation(async (filter, update) => {
+      const matched = find(filter);
+      matched.forEach(notification => Object.assign(notification, update));
+      return { modifiedCount: matched.length };
+    });
+    jest.spyOn(Notification.prototype, 'save').mockImplementation(async function() { return this; });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const titles = res => res.body.notifications.map(notification => notification.title);
+
+  test('lists the user\'s own notifications with the unread count', async () => {
+    const res = await request(app).get('/api/notifications');
+    expect(res.status).toBe(200);
+    expect(titles(res)).toEqual(['Shipped', 'Paid']);
+    expect(res.body.unreadCount).toBe(1);
+    expect(titles(await request(app).get('/api/notifications?unread=true'))).toEqual(['Shipped']);
+  });
+
+  test('marks one of the user\'s notifications as read', async () => {
+    const res = await request(app).put(`/api/notifications/${notifications[0]._id}/read`);
+    expect(res.status).toBe(200);
+    expect(notifications[0].readAt).toBeInstanceOf(Date);
+
+    expect((await request(app).put(`/api/notifications/${notifications[2]._id}/read`)).status).toBe(404);
+    expect(notifications[2].readAt).toBeUndefined();
+  });
+
+  test('marks all of the user\'s notifications as read', async () => {
+    const res = await request(app).put('/api/notifications/read-all');
+    expect(res.body.updatedCount).toBe(1);
+    expect(notifications[0].readAt).toBeInstanceOf(Date);
+    expect(notifications[2].readAt).toBeUndefined();
+  });
+});
@@ -0,0 +1,77 @@
+jest.mock('../../middleware/auth', () => require('../support/mockAuth'));
+
+const request = require('supertest');
+const User = require('../../models/User');
+const Order = require('../../models/Order');
+const AuditLog = require('../../models/AuditLog');
+const Notification = require('../../models/Notification');
+const { setTransport } = require('../../utils/mailer');
+const { signIn } = require('../support/mockAuth');
+const { createApp } = require('../support/app');
+
+const app = createApp('/api/orders', require('../../routes/orders'));
+
+// Query resolving to a fixed result whatever it is populated with
+const query = (result) => {
+  const chain = {
+    populate: () => chain,
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+  };
+  return chain;
+};
+
+describe('PUT /api/orders/:id/status', () => {
+  const customer = new User({ name: 'Jane', email: 'jane@example.com', password: 'secret123' });
+  const support = new User({ name: 'Sam', email: 'sam@example.com', password: 'secret123', role: 'support' });
+  let order;
+  let send;
+
+  beforeEach(() => {
+    signIn(support);
+    order = new Order({
+      orderNumber: 'ORD1',
+      customer: customer._id,
+      items: [{ design: customer._id, price: 100 }],
+      subtotal: 100,
+      total: 100,
+      paymentMethod: 'stripe',
+      status: 'processing'
+    });
+    send = jest.fn().mockResolvedValue({ messageId: '1' });
+    setTransport({ send });
+    jest.spyOn(Order, 'findById').mockImplementation(() => query(order));
+    jest.spyOn(Order.prototype, 'save').mockImplementation(async function() { return this; });
+    jest.spyOn(User, 'findById').mockImplementation(() => ({ select: async () => customer }));
+    jest.spyOn(Notification, 'create').mockImplementation(async fields => new Notification(fields));
+    jest.spyOn(AuditLog, 'create').mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const setStatus = status => request(app).put(`/api/orders/${order._id}/status`).send({ status });
+
+  test('notifies and emails the customer when the status changes', async () => {
+    expect((await setStatus('completed')).status).toBe(200);
+    expect(Notification.create).toHaveBeenCalledWith(expect.objectContaining({ user: customer._id, type: 'order.status' }));
+    expect(send).toHaveBeenCalledWith(expect.objectContaining({ to: 'jane@example.com', subject: 'Order ORD1 is now completed' }));
+  });
+
+  test('stays quiet when the status did not change', async () => {
+    await setStatus('processing');
+    expect(Notification.create).not.toHaveBeenCalled();
+    expect(send).not.toHaveBeenCalled();
+  });
+
+  test('responds without waiting for the mail server', async () => {
+    let deliver;
+    send.mockReturnValue(new Promise(resolve => { deliver = resolve; }));
+    const pending = setStatus('completed');
+    const res = await Promise.race([pending, new Promise(resolve => setTimeout(resolve, 1000, 'still waiting'))]);
+    expect(send).toHaveBeenCalled();
+    deliver({ messageId: '1' });
+    await pending;
+    expect(res.status).toBe(200);
+  });
+});
@@ -0,0 +1,190 @@
+jest.mock('../../middleware/auth', () => require('../support/mockAuth'));
+
+const mongoose = require('mongoose');
+const request = require('supertest');
+const User = require('../../models/User');
+const Order = require('../../models/Order');
+const Organization = require('../../models/Organization');
+const AuditLog = require('../../models/AuditLog');
+const { signIn } = require('../support/mockAuth');
+const { createApp } = require('../support/app');
+
+const app = createApp('/api/organizations', require('../../routes/organizations'));
+
+const newUser = (name) => new User({ name, email: `${name.toLowerCase()}@example.com`, password: 'secret123' });
+
+const owner = newUser('Olive');
+const admin = newUser('Ada');
+const member = newUser('Max');
+const outsider = newUser('Otto');
+
+let organization;
+let organizations;
+
+beforeEach(() => {
+  organization = new Organization({
+    name: 'Studio',
+    owner: owner._id,
+    seats: 3,
+    members: [
+      { user: owner._id, role: 'owner' },
+      { user: admin._id, role: 'admin' },
+      { user: member._id, role: 'member' }
+    ]
+  });
+  organizations = [organization];
+  jest.spyOn(Organization, 'findById').mockImplementation(async id => organizations.find(stored => stored._id.equals(id)) || null);
+  jest.spyOn(Organization, 'findByIdAndDelete').mockImplementation(async id => {
+    organizations = organizations.filter(stored => !stored._id.equals(id));
+  });
+  jest.spyOn(Organization.prototype, 'save').mockImplementation(async function() { return this; });
+  jest.spyOn(User, 'findOne').mockImplementation(async ({ email }) =>
+    [owner, admin, member, outsider].find(user => user.email === email) || null);
+  jest.spyOn(AuditLog, 'create').mockResolvedValue({});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+const url = (path = '') => `/api/organizations/${organization._id}${path}`;
+const roles = () => organization.members.map(entry => [entry.user.toString(), entry.role]);
+
+describe('POST /api/organizations', () => {
+  test('makes the creator the owner', async () => {
+    signIn(outsider);
+    const res = await request(app).post('/api/organizations').send({ name: 'Atelier' });
+    expect(res.status).toBe(201);
+    expect(res.body.organization).toMatchObject({ name: 'Atelier', owner: String(outsider._id), seats: 5 });
+    expect(res.body.organization.members).toEqual([expect.objectContaining({ user: String(outsider._id), role: 'owner' })]);
+  });
+});
+
+describe('GET /api/organizations/:id', () => {
+  test('404s for unknown and malformed ids', async () => {
+    signIn(owner);
+    expect((await request(app).get(`/api/organizations/${outsider._id}`)).status).toBe(404);
+    expect((await request(app).get('/api/organizations/not-an-id')).status).toBe(404);
+  });
+
+  test('is only shown to members', async () => {
+    jest.spyOn(Organization.prototype, 'populate').mockImplementation(async function() { return this; });
+    signIn(member);
+    expect((await request(app).get(url())).status).toBe(200);
+    signIn(outsider);
+    expect((await request(app).get(url())).status).toBe(403);
+  });
+});
+
+describe('members', () => {
+  test('are added by the owner or an admin while seats are left', async () => {
+    signIn(member);
+    expect((await request(app).post(url('/members')).send({ email: 'otto@example.com' })).status).toBe(403);
+
+    signIn(admin);
+    expect((await request(app).post(url('/members')).send({ email: 'nobody@example.com' })).status).toBe(404);
+    expect((await request(app).post(url('/members')).send({ email: 'max@example.com' })).status).toBe(400);
+
+    // Three seats, all taken
+    const full = await request(app).post(url('/members')).send({ email: 'otto@example.com' });
+    expect(full.status).toBe(400);
+    expect(full.body.message).toBe('No seats available');
+
+    organization.seats = 4;
+    expect((await request(app).post(url('/members')).send({ email: 'otto@example.com' })).status).toBe(201);
+    expect(organization.hasMember(outsider._id, ['member'])).toBe(true);
+  });
+
+  test('have their role changed by the owner only, who keeps theirs', async () => {
+    signIn(admin);
+    expect((await request(app).put(url(`/members/${member._id}`)).send({ role: 'admin' })).status).toBe(403);
+
+    signIn(owner);
+    expect((await request(app).put(url(`/members/${member._id}`)).send({ role: 'admin' })).status).toBe(200);
+    expect((await request(app).put(url(`/members/${owner._id}`)).send({ role: 'admin' })).status).toBe(400);
+    expect(roles()).toEqual([[String(owner._id), 'owner'], [String(admin._id), 'admin'], [String(member._id), 'admin']]);
+  });
+
+  test('can leave or be removed, except the owner', async () => {
+    signIn(member);
+    expect((await request(app).delete(url(`/members/${admin._id}`))).status).toBe(403);
+    expect((await request(app).delete(url(`/members/${member._id}`))).status).toBe(200);
+
+    signIn(admin);
+    expect((await request(app).delete(url(`/members/${owner._id}`))).status).toBe(400);
+    expect(roles()).toEqual([[String(owner._id), 'owner'], [String(admin._id), 'admin']]);
+  });
+});
+
+describe('PUT /api/organizations/:id', () => {
+  test('lets only the owner change seats, never below the member count', async () => {
+    signIn(admin);
+    expect((await request(app).put(url()).send({ name: 'Studio North' })).status).toBe(200);
+    expect((await request(app).put(url()).send({ seats: 10 })).status).toBe(403);
+
+    signIn(owner);
+    expect((await request(app).put(url()).send({ seats: 2 })).status).toBe(400);
+    expect((await request(app).put(url()).send({ seats: 10 })).status).toBe(200);
+    expect(organization).toMatchObject({ name: 'Studio North', seats: 10 });
+  });
+});
+
+describe('DELETE /api/organizations/:id', () => {
+  test('lets only the owner delete an organization without orders', async () => {
+    jest.spyOn(Order, 'exists').mockResolvedValue(null);
+    signIn(admin);
+    expect((await request(app).delete(url())).status).toBe(403);
+
+    signIn(owner);
+    expect((await request(app).delete(url())).status).toBe(200);
+    expect(organizations).toHaveLength(0);
+    expect(AuditLog.create).toHaveBeenCalledWith(expect.objectContaining({
+      actor: owner._id,
+      action: 'organization.delete',
+      targetId: organization._id,
+      changes: expect.arrayContaining([{ path: 'name', before: 'Studio', after: undefined }])
+    }));
+  });
+
+  test('refuses while members hold licenses through its orders', async () => {
+    jest.spyOn(Order, 'exists').mockResolvedValue({ _id: organization._id });
+    signIn(owner);
+    const res = await request(app).delete(url());
+    expect(res.status).toBe(409);
+    expect(Order.exists).toHaveBeenCalledWith({ organization: organization._id });
+    expect(organizations).toHaveLength(1);
+    expect(AuditLog.create).not.toHaveBeenCalled();
+  });
+});
+
+describe('GET /api/organizations/:id/licenses', () => {
+  test('lists the designs bought for the organization with their downloads', async () => {
+    const design = { _id: new mongoose.Types.ObjectId(), title: 'Courtyard House' };
+    const orders = [{
+      _id: new mongoose.Types.ObjectId(),
+      orderNumber: 'ORD1',
+      customer: { _id: owner._id, name: 'Olive' },
+      createdAt: new Date(),
+      items: [{ design, quantity: 1, license: 'commercial' }],
+      downloads: [{ design: design._id, downloadedAt: new Date() }, { design: new mongoose.Types.ObjectId(), downloadedAt: new Date() }]
+    }];
+    const find = jest.spyOn(Order, 'find').mockReturnValue({
+      populate() { return this; },
+      sort: async () => orders
+    });
+
+    signIn(member);
+    const res = await request(app).get(url('/licenses'));
+    expect(res.status).toBe(200);
+    expect(find).toHaveBeenCalledWith({ organization: organization._id, status: 'completed' });
+    expect(res.body).toEqual([expect.objectContaining({
+      design: { _id: String(design._id), title: 'Courtyard House' },
+      license: 'commercial',
+      orderNumber: 'ORD1',
+      downloads: [expect.objectContaining({ design: String(design._id) })]
+    })]);
+
+    signIn(outsider);
+    expect((await request(app).get(url('/licenses'))).status).toBe(403);
+  });
+});
@@ -0,0 +1,64 @@
+jest.mock('../../middleware/auth', () => require('../support/mockAuth'));
+
+const mongoose = require('mongoose');
+const request = require('supertest');
+const User = require('../../models/User');
+const Review = require('../../models/Review');
+const AuditLog = require('../../models/AuditLog');
+const Notification = require('../../models/Notification');
+const { signIn } = require('../support/mockAuth');
+const { createApp } = require('../support/app');
+
+const app = createApp('/api/reviews', require('../../routes/reviews'));
+
+describe('review moderation', () => {
+  const editor = new User({ name: 'Eve', email: 'eve@example.com', password: 'secret123', role: 'editor' });
+  let author;
+  let review;
+
+  beforeEach(() => {
+    signIn(editor);
+    author = new User({ name: 'Jane', email: 'jane@example.com', password: 'secret123' });
+    review = new Review({
+      user: author._id,
+      design: new mongoose.Types.ObjectId(),
+      type: 'design',
+      rating: 4,
+      title: 'Great plans',
+      comment: 'Clear and complete drawings'
+    });
+    jest.spyOn(Review, 'findById').mockImplementation(async id => (review._id.equals(id) ? review : null));
+    jest.spyOn(Review.prototype, 'save').mockImplementation(async function() { return this; });
+    jest.spyOn(User, 'findById').mockImplementation(() => ({ select: async () => author }));
+    jest.spyOn(Notification, 'create').mockImplementation(async fields => new Notification(fields));
+    jest.spyOn(AuditLog, 'create').mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('notifies the author when their review is published', async () => {
+    const res = await request(app).put(`/api/reviews/${review._id}/approve`);
+    expect(res.status).toBe(200);
+    expect(review.status).toBe('approved');
+    expect(Notification.create).toHaveBeenCalledWith(expect.objectContaining({
+      user: author._id,
+      type: 'review.approved',
+      link: `/designs/${review.design}`
+    }));
+  });
+
+  test('notifies the author when their review is rejected', async () => {
+    await request(app).put(`/api/reviews/${review._id}/reject`);
+    expect(review.status).toBe('rejected');
+    expect(Notification.create).toHaveBeenCalledWith(expect.objectContaining({ user: author._id, type: 'review.rejected' }));
+  });
+
+  test('leaves authors who turned notifications off alone', async () => {
+    author.preferences.notifications = false;
+    await request(app).put(`/api/reviews/${review._id}/approve`);
+    expect(review.status).toBe('approved');
+    expect(Notification.create).not.toHaveBeenCalled();
+  });
+});
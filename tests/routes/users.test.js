@@ -0,0 +1,335 @@
+jest.mock('../../middleware/auth', () => require('../support/mockAuth'));
+
+const request = require('supertest');
+const User = require('../../models/User');
+const Order = require('../../models/Order');
+const Review = require('../../models/Review');
+const Blog = require('../../models/Blog');
+const CustomRequest = require('../../models/CustomRequest');
+const Board = require('../../models/Board');
+const Organization = require('../../models/Organization');
+const AuditLog = require('../../models/AuditLog');
+const Session = require('../../models/Session');
+const { signIn } = require('../support/mockAuth');
+const { createApp } = require('../support/app');
+
+const app = createApp('/api/users', require('../../routes/users'));
+
+// Query resolving to a fixed result whatever it is populated, sorted or narrowed to
+const query = (result) => {
+  const chain = {
+    populate: () => chain,
+    sort: () => chain,
+    select: () => chain,
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+  };
+  return chain;
+};
+
+const newUser = (name, role = 'user') => new User({ name, email: `${name.toLowerCase()}@example.com`, password: 'secret123', role });
+
+let users;
+
+beforeEach(() => {
+  users = [];
+  jest.spyOn(User, 'findById').mockImplementation(id => query(users.find(user => user._id.equals(id)) || null));
+  jest.spyOn(User.prototype, 'save').mockImplementation(async function() { return this; });
+  jest.spyOn(AuditLog, 'create').mockResolvedValue({});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('GET and PUT /api/users/:id', () => {
+  const jane = newUser('Jane');
+  const john = newUser('John');
+  const support = newUser('Sam', 'support');
+  const admin = newUser('Ada', 'admin');
+
+  beforeEach(() => {
+    users.push(jane, john, support, admin);
+    jest.spyOn(User, 'findOne').mockResolvedValue(null);
+    jest.spyOn(User, 'findByIdAndUpdate').mockImplementation((id, fields) => ({
+      select: async () => Object.assign(users.find(user => user._id.equals(id)), fields)
+    }));
+  });
+
+  const update = (user, fields) => request(app).put(`/api/users/${user._id}`).send(fields);
+
+  test('lets users read and update their own account', async () => {
+    signIn(jane);
+    const res = await request(app).get(`/api/users/${jane._id}`);
+    expect(res.status).toBe(200);
+    expect(res.body.email).toBe('jane@example.com');
+    expect(res.body.password).toBeUndefined();
+
+    expect((await update(jane, { name: 'Janet' })).status).toBe(200);
+    expect(jane.name).toBe('Janet');
+    expect(AuditLog.create).not.toHaveBeenCalled();
+  });
+
+  test('matches the account on the URL only, never on the body', async () => {
+    signIn(jane);
+    expect((await request(app).get(`/api/users/${john._id}`)).status).toBe(403);
+    const res = await update(john, { userId: String(jane._id), email: 'attacker@example.com' });
+    expect(res.status).toBe(403);
+    expect(john.email).toBe('john@example.com');
+  });
+
+  test('makes a changed email address unverified again', async () => {
+    signIn(jane);
+    jane.isVerified = true;
+    await update(jane, { email: 'janet@example.com' });
+    expect(jane).toMatchObject({ email: 'janet@example.com', isVerified: false });
+  });
+
+  test('lets staff manage accounts whose permissions they hold, and only those', async () => {
+    signIn(support);
+    expect((await update(john, { name: 'Johnny' })).status).toBe(200);
+    expect(john.name).toBe('Johnny');
+    expect(AuditLog.create).toHaveBeenCalledWith(expect.objectContaining({ actor: support._id, action: 'user.update', targetId: john._id }));
+
+    const res = await update(admin, { email: 'sam@example.com' });
+    expect(res.status).toBe(403);
+    expect(admin.email).toBe('ada@example.com');
+    expect((await request(app).get(`/api/users/${admin._id}`)).status).toBe(403);
+  });
+
+  test('404s for unknown and malformed ids', async () => {
+    signIn(support);
+    expect((await request(app).get(`/api/users/${newUser('Nobody')._id}`)).status).toBe(404);
+    expect((await request(app).get('/api/users/not-an-id')).status).toBe(404);
+  });
+
+  test('only changes roles for staff who may assign them', async () => {
+    signIn(support);
+    await update(john, { role: 'admin' });
+    expect(john.role).toBe('user');
+
+    signIn(admin);
+    expect((await request(app).put(`/api/users/${john._id}/role`).send({ role: 'editor' })).status).toBe(200);
+    expect(john.role).toBe('editor');
+    expect(AuditLog.create).toHaveBeenLastCalledWith(expect.objectContaining({
+      actor: admin._id,
+      action: 'user.role',
+      targetId: john._id,
+      changes: [{ path: 'role', before: 'user', after: 'editor' }]
+    }));
+  });
+});
+
+describe('GET /api/users/:id/export', () => {
+  const jane = newUser('Jane');
+  const support = newUser('Sam', 'support');
+  const admin = newUser('Ada', 'admin');
+
+  beforeEach(() => {
+    users.push(jane, support, admin);
+    const post = new Blog({ title: 'Courtyards', slug: 'courtyards', content: 'Text', excerpt: 'Text', author: admin._id });
+    post.comments.push({ user: jane._id, content: 'Lovely' }, { user: admin._id, content: 'Thanks' });
+    const customRequest = new CustomRequest({
+      client: jane._id,
+      title: 'Studio',
+      description: 'A garden studio',
+      category: 'residential',
+      projectType: 'concept-design',
+      budget: { min: 1000, max: 2000 },
+      notes: 'Slow payer',
+      communications: [
+        { sender: admin._id, message: 'Quote attached' },
+        { sender: admin._id, message: 'Ask for a deposit', isInternal: true }
+      ]
+    });
+
+    jest.spyOn(Order, 'find').mockReturnValue(query([]));
+    jest.spyOn(Review, 'find').mockReturnValue(query([]));
+    jest.spyOn(Board, 'find').mockReturnValue(query([]));
+    jest.spyOn(Blog, 'find').mockReturnValue(query([post]));
+    jest.spyOn(CustomRequest, 'find').mockReturnValue(query([customRequest]));
+  });
+
+  test('downloads the user\'s own data without staff-only notes or other people\'s comments', async () => {
+    signIn(jane);
+    const res = await request(app).get(`/api/users/${jane._id}/export`);
+    expect(res.status).toBe(200);
+    expect(res.headers['content-disposition']).toContain(`user-data-${jane._id}.json`);
+
+    const data = JSON.parse(res.text);
+    expect(data.profile.email).toBe('jane@example.com');
+    expect(data.profile.password).toBeUndefined();
+    expect(data.blogComments).toEqual([expect.objectContaining({ content: 'Lovely', post: expect.objectContaining({ slug: 'courtyards' }) })]);
+    expect(data.customRequests[0].communications.map(communication => communication.message)).toEqual(['Quote attached']);
+    expect(data.customRequests[0].notes).toBeUndefined();
+  });
+
+  test('packs one file per section into a ZIP on request', async () => {
+    signIn(jane);
+    const res = await request(app).get(`/api/users/${jane._id}/export?format=zip`)
+      .buffer(true)
+      .parse((response, callback) => {
+        const chunks = [];
+        response.on('data', chunk => chunks.push(chunk));
+        response.on('end', () => callback(null, Buffer.concat(chunks)));
+      });
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toBe('application/zip');
+    expect(res.body.toString('latin1')).toContain('customRequests.json');
+  });
+
+  test('lets staff export accounts they may manage, and only those', async () => {
+    signIn(support);
+    expect((await request(app).get(`/api/users/${jane._id}/export`)).status).toBe(200);
+    expect((await request(app).get(`/api/users/${admin._id}/export`)).status).toBe(403);
+
+    signIn(jane);
+    expect((await request(app).get(`/api/users/${support._id}/export`)).status).toBe(403);
+  });
+});
+
+describe('DELETE /api/users/:id and POST /api/users/:id/cancel-deletion', () => {
+  const jane = newUser('Jane');
+  const support = newUser('Sam', 'support');
+  const admin = newUser('Ada', 'admin');
+  let organizations;
+
+  beforeEach(() => {
+    jane.deletion = undefined;
+    users.push(jane, support, admin);
+    organizations = [];
+    jest.spyOn(Organization, 'find').mockImplementation(async () => organizations);
+  });
+
+  test('schedules the user\'s own deletion after the grace period, even when asked for it now', async () => {
+    signIn(jane);
+    const res = await request(app).delete(`/api/users/${jane._id}?immediate=true`);
+    expect(res.status).toBe(200);
+    expect(new Date(res.body.scheduledFor).getTime()).toBeGreaterThan(Date.now() + 24 * 60 * 60 * 1000);
+    expect(String(jane.deletion.requestedBy)).toBe(String(jane._id));
+    expect(jane.deletedAt).toBeUndefined();
+  });
+
+  test('refuses while an owned organization has members and no admin to take it over', async () => {
+    signIn(jane);
+    const organization = new Organization({
+      name: 'Studio',
+      owner: jane._id,
+      members: [{ user: jane._id, role: 'owner' }, { user: support._id, role: 'member' }]
+    });
+    organizations.push(organization);
+    const res = await request(app).delete(`/api/users/${jane._id}`);
+    expect(res.status).toBe(409);
+    expect(res.body.organizations).toEqual([{ _id: String(organization._id), name: 'Studio' }]);
+    expect(jane.deletion.scheduledFor).toBeUndefined();
+  });
+
+  test('cancels a scheduled deletion during the grace period', async () => {
+    signIn(jane);
+    expect((await request(app).post(`/api/users/${jane._id}/cancel-deletion`)).status).toBe(400);
+    await request(app).delete(`/api/users/${jane._id}`);
+    expect((await request(app).post(`/api/users/${jane._id}/cancel-deletion`)).status).toBe(200);
+    expect(jane.deletion.scheduledFor).toBeUndefined();
+  });
+
+  test('lets staff delete accounts they may manage, and only those', async () => {
+    signIn(support);
+    expect((await request(app).delete(`/api/users/${admin._id}`)).status).toBe(403);
+    expect(admin.deletion.scheduledFor).toBeUndefined();
+
+    signIn(jane);
+    expect((await request(app).delete(`/api/users/${support._id}`)).status).toBe(403);
+  });
+});
+
+describe('PUT /api/users/:id/status', () => {
+  const jane = newUser('Jane');
+  const support = newUser('Sam', 'support');
+  const admin = newUser('Ada', 'admin');
+
+  beforeEach(() => {
+    jane.accountStatus = undefined;
+    users.push(jane, support, admin);
+    jest.spyOn(Session, 'revokeAllForUser').mockResolvedValue({});
+  });
+
+  const setStatus = (user, fields) => request(app).put(`/api/users/${user._id}/status`).send(fields);
+
+  test('suspends an account until a date and signs it out everywhere', async () => {
+    signIn(support);
+    const until = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000);
+    const res = await setStatus(jane, { status: 'suspended', reason: 'Chargebacks', until: until.toISOString() });
+    expect(res.status).toBe(200);
+    expect(jane.accountStatus).toMatchObject({ status: 'suspended', reason: 'Chargebacks', until, changedBy: support._id });
+    expect(jane.isAccessBlocked()).toBe(true);
+    expect(Session.revokeAllForUser).toHaveBeenCalledWith(jane._id, 'suspended');
+    expect(AuditLog.create).toHaveBeenCalledWith(expect.objectContaining({ action: 'user.status', targetId: jane._id }));
+  });
+
+  test('bans without an expiry and reactivates without a reason', async () => {
+    signIn(support);
+    await setStatus(jane, { status: 'banned', reason: 'Fraud', until: new Date().toISOString() });
+    expect(jane.accountStatus).toMatchObject({ status: 'banned', until: undefined });
+
+    expect((await setStatus(jane, { status: 'active' })).status).toBe(200);
+    expect(jane.accountStatus).toMatchObject({ status: 'active', reason: undefined });
+    expect(jane.isAccessBlocked()).toBe(false);
+    expect(Session.revokeAllForUser).toHaveBeenCalledTimes(1);
+  });
+
+  test('needs a reason to block and refuses the staff member\'s own account', async () => {
+    signIn(support);
+    expect((await setStatus(jane, { status: 'suspended' })).status).toBe(400);
+    expect((await setStatus(support, { status: 'banned', reason: 'Testing' })).status).toBe(400);
+    expect(jane.isAccessBlocked()).toBe(false);
+  });
+
+  test('refuses accounts with permissions the staff member lacks', async () => {
+    signIn(support);
+    expect((await setStatus(admin, { status: 'banned', reason: 'Takeover' })).status).toBe(403);
+    expect(admin.isAccessBlocked()).toBe(false);
+    expect(Session.revokeAllForUser).not.toHaveBeenCalled();
+  });
+});
+
+describe('POST /api/users/:id/impersonate', () => {
+  const jane = newUser('Jane');
+  const editor = newUser('Eve', 'editor');
+  const support = newUser('Sam', 'support');
+  const admin = newUser('Ada', 'admin');
+
+  beforeEach(() => {
+    users.push(jane, editor, support, admin);
+    jest.spyOn(Session, 'create').mockImplementation(async fields => new Session(fields));
+  });
+
+  const impersonate = (user, reason = 'Checkout issue') => request(app).post(`/api/users/${user._id}/impersonate`).send({ reason });
+
+  test('hands out a short-lived, read-only session on the customer\'s account', async () => {
+    signIn(support);
+    const res = await impersonate(jane);
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ readOnly: true, user: { email: 'jane@example.com' } });
+    expect(Session.create).toHaveBeenCalledWith(expect.objectContaining({ user: jane._id, impersonator: support._id }));
+    expect(new Date(res.body.expiresAt).getTime()).toBeLessThanOrEqual(Date.now() + 30 * 60 * 1000);
+    expect(AuditLog.create).toHaveBeenCalledWith(expect.objectContaining({
+      action: 'user.impersonate',
+      targetId: jane._id,
+      changes: expect.arrayContaining([{ path: 'reason', before: undefined, after: 'Checkout issue' }])
+    }));
+  });
+
+  test('needs a reason and only impersonates customers', async () => {
+    signIn(support);
+    expect((await impersonate(jane, '')).status).toBe(400);
+    expect((await impersonate(editor)).status).toBe(403);
+
+    signIn(admin);
+    expect((await impersonate(support)).status).toBe(400);
+    expect(Session.create).not.toHaveBeenCalled();
+  });
+
+  test('is limited to staff who may impersonate', async () => {
+    signIn(editor);
+    expect((await impersonate(jane)).status).toBe(403);
+  });
+});
@@ -0,0 +1,11 @@
+const express = require('express');
+
+// Minimal app mounting a single router the way index.js does
+const createApp = (path, router) => {
+  const app = express();
+  app.use(express.json());
+  app.use(path, router);
+  return app;
+};
+
+module.exports = { createApp };
@@ -0,0 +1,54 @@
+// Stand-in for middleware/auth in route tests: requests act as the user (and session) passed to
+// signIn() instead of carrying a token, and permissions come from the user's role as usual.
+// Use with jest.mock('../../middleware/auth', () => require('../support/mockAuth')).
+const { findManagedUser, loadManagedUser } = jest.requireActual('../../middleware/auth');
+
+let currentUser = null;
+let currentSession = null;
+
+const signIn = (user, session = null) => {
+  currentUser = user;
+  currentSession = session;
+};
+
+const auth = (req, res, next) => {
+  if (!currentUser) {
+    return res.status(401).json({ message: 'No token provided, authorization denied.' });
+  }
+  req.user = currentUser;
+  req.authSession = currentSession;
+  next();
+};
+
+const requirePermission = (...permissions) => (req, res, next) => auth(req, res, () => {
+  if (!permissions.some(permission => req.user.hasPermission(permission))) {
+    return res.status(403).json({ message: 'Access denied. Insufficient permissions.' });
+  }
+  next();
+});
+
+const ownerOrAdminAuth = (req, res, next) => auth(req, res, () => {
+  if (req.user._id.toString() !== req.params.id && !req.user.hasPermission('users:manage')) {
+    return res.status(403).json({ message: 'Access denied. You can only access your own resources.' });
+  }
+  next();
+});
+
+const optionalAuth = (req, res, next) => {
+  if (currentUser) {
+    req.user = currentUser;
+    req.authSession = currentSession;
+  }
+  next();
+};
+
+module.exports = {
+  signIn,
+  auth,
+  requirePermission,
+  verifiedAuth: auth,
+  ownerOrAdminAuth,
+  findManagedUser,
+  loadManagedUser,
+  optionalAuth
+};
@@ -0,0 +1,7 @@
+const { Query } = require('mingo');
+
+// Evaluate a MongoDB query against a document in memory, comparing ids by their string form
+const plain = (value) => JSON.parse(JSON.stringify(value));
+const matches = (filter, doc) => new Query(plain(filter)).test(plain(doc.toObject ? doc.toObject() : doc));
+
+module.exports = { matches };
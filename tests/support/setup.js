@@ -0,0 +1,5 @@
+const mongoose = require('mongoose');
+
+// Tests run without a database: a query nothing stubbed fails straight away instead of waiting
+// for a connection
+mongoose.set('bufferCommands', false);
@@ -0,0 +1,165 @@
+const mongoose = require('mongoose');
+const User = require('../../models/User');
+const Order = require('../../models/Order');
+const Review = require('../../models/Review');
+const Blog = require('../../models/Blog');
+const Design = require('../../models/Design');
+const CustomRequest = require('../../models/CustomRequest');
+const Organization = require('../../models/Organization');
+const Board = require('../../models/Board');
+const Notification = require('../../models/Notification');
+const Session = require('../../models/Session');
+const ApiKey = require('../../models/ApiKey');
+const LoginThrottle = require('../../models/LoginThrottle');
+const { anonymizeUser, processScheduledDeletions } = require('../../utils/accountDeletion');
+
+const otherId = () => new mongoose.Types.ObjectId();
+
+let user;
+let posts;
+let organizations;
+
+beforeEach(() => {
+  user = new User({
+    name: 'Jane',
+    email: 'jane@example.com',
+    password: 'secret123',
+    role: 'editor',
+    phone: '555-0100',
+    isVerified: true,
+    favorites: [otherId()]
+  });
+  posts = [];
+  organizations = [];
+
+  jest.spyOn(User, 'findById').mockImplementation(async () => user);
+  jest.spyOn(Blog, 'find').mockImplementation(async () => posts);
+  jest.spyOn(Organization, 'find').mockImplementation(async () => organizations);
+  for (const model of [User, Blog, Organization]) {
+    jest.spyOn(model.prototype, 'save').mockImplementation(async function() { return this; });
+  }
+  for (const model of [Order, Review, Blog, Design, CustomRequest, Organization, ApiKey]) {
+    jest.spyOn(model, 'updateMany').mockResolvedValue({});
+  }
+  for (const model of [Board, Notification, Session, Organization]) {
+    jest.spyOn(model, 'deleteMany').mockResolvedValue({});
+  }
+  jest.spyOn(Organization, 'deleteOne').mockResolvedValue({});
+  jest.spyOn(LoginThrottle, 'reset').mockResolvedValue({});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+const organizationOwnedBy = (owner, ...members) => new Organization({
+  name: 'Studio',
+  owner: owner._id,
+  members: [{ user: owner._id, role: 'owner' }, ...members]
+});
+
+describe('anonymizeUser', () => {
+  test('scrubs personal fields but keeps the user document', async () => {
+    await anonymizeUser(user._id);
+    expect(user).toMatchObject({
+      name: 'Deleted User',
+      email: `deleted-${user._id}@deleted.invalid`,
+      role: 'user',
+      phone: undefined,
+      isVerified: false
+    });
+    expect(user.favorites).toHaveLength(0);
+    expect(user.deletedAt).toBeInstanceOf(Date);
+    expect(user.password).not.toBe('secret123');
+    expect(user.save).toHaveBeenCalled();
+  });
+
+  test('signs the user out, revokes their API keys and clears their login throttle', async () => {
+    await anonymizeUser(user._id);
+    expect(Session.deleteMany).toHaveBeenCalledWith({ user: user._id });
+    expect(ApiKey.updateMany).toHaveBeenCalledWith({ createdBy: user._id, revokedAt: null }, { revokedAt: expect.any(Date) });
+    expect(LoginThrottle.reset).toHaveBeenCalledWith(LoginThrottle.accountKey('jane@example.com'));
+  });
+
+  test('keeps orders for accounting without their delivery details and cancels open requests', async () => {
+    await anonymizeUser(user._id);
+    expect(Order.updateMany).toHaveBeenCalledWith({ customer: user._id }, { $unset: { shippingAddress: '', notes: '' } });
+    expect(CustomRequest.updateMany).toHaveBeenCalledWith(
+      { client: user._id, status: { $nin: ['completed', 'cancelled'] } },
+      { status: 'cancelled' }
+    );
+    expect(Board.deleteMany).toHaveBeenCalledWith({ owner: user._id });
+    expect(Notification.deleteMany).toHaveBeenCalledWith({ user: user._id });
+  });
+
+  test('removes the user\'s blog comments and likes', async () => {
+    const other = otherId();
+    const post = new Blog({ title: 'Courtyards', slug: 'courtyards', content: 'Text', excerpt: 'Text', author: other });
+    post.comments.push({ user: user._id, content: 'Lovely' }, { user: other, content: 'Thanks' });
+    post.likes.push(user._id, other);
+    posts.push(post);
+
+    await anonymizeUser(user._id);
+    expect(post.comments.map(comment => comment.content)).toEqual(['Thanks']);
+    expect(post.likes.map(String)).toEqual([String(other)]);
+    expect(post).toMatchObject({ commentCount: 1, likeCount: 1 });
+    expect(post.save).toHaveBeenCalled();
+  });
+
+  test('hands authored content to the chosen colleague, or unassigns requests otherwise', async () => {
+    const colleague = otherId();
+    user.deletion = { reassignContentTo: colleague };
+    await anonymizeUser(user._id);
+    expect(Design.updateMany).toHaveBeenCalledWith({ author: user._id }, { author: colleague });
+    expect(CustomRequest.updateMany).toHaveBeenCalledWith({ assignedTo: user._id }, { assignedTo: colleague });
+
+    user = new User({ name: 'John', email: 'john@example.com', password: 'secret123' });
+    await anonymizeUser(user._id);
+    expect(CustomRequest.updateMany).toHaveBeenCalledWith({ assignedTo: user._id }, { $unset: { assignedTo: '' } });
+  });
+
+  test('hands owned organizations to an admin and deletes those nobody else is in', async () => {
+    const admin = otherId();
+    const shared = organizationOwnedBy(user, { user: admin, role: 'admin' }, { user: otherId(), role: 'member' });
+    const solo = organizationOwnedBy(user);
+    organizations.push(shared, solo);
+
+    await anonymizeUser(user._id);
+    expect(String(shared.owner)).toBe(String(admin));
+    expect(shared.members.map(member => String(member.user))).not.toContain(String(user._id));
+    expect(Organization.deleteOne).toHaveBeenCalledWith({ _id: solo._id });
+    expect(Organization.updateMany).toHaveBeenCalledWith(
+      { members: { $elemMatch: { user: user._id, role: { $ne: 'owner' } } } },
+      { $pull: { members: { user: user._id, role: { $ne: 'owner' } } } }
+    );
+  });
+
+  test('refuses, changing nothing, while an owned organization has members but no admin', async () => {
+    organizations.push(organizationOwnedBy(user, { user: otherId(), role: 'member' }));
+    await expect(anonymizeUser(user._id)).rejects.toMatchObject({ name: 'AccountDeletionBlockedError' });
+    expect(Order.updateMany).not.toHaveBeenCalled();
+    expect(user.save).not.toHaveBeenCalled();
+    expect(user.name).toBe('Jane');
+  });
+
+  test('leaves accounts that are already anonymized alone', async () => {
+    user.deletedAt = new Date();
+    await anonymizeUser(user._id);
+    expect(Order.updateMany).not.toHaveBeenCalled();
+    expect(user.save).not.toHaveBeenCalled();
+  });
+});
+
+describe('processScheduledDeletions', () => {
+  test('anonymizes every account due, carrying on past failures', async () => {
+    const due = [otherId(), otherId()];
+    jest.spyOn(User, 'find').mockReturnValue({ select: async () => due.map(_id => ({ _id })) });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    User.findById.mockRejectedValueOnce(new Error('Connection lost'));
+
+    expect(await processScheduledDeletions()).toBe(2);
+    expect(User.findById).toHaveBeenCalledTimes(2);
+    expect(console.error).toHaveBeenCalledWith(`Account deletion error for user ${due[0]}:`, expect.any(Error));
+    expect(user.deletedAt).toBeInstanceOf(Date);
+  });
+});
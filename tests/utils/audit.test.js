@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+const AuditLog = require('../../models/AuditLog');
+const User = require('../../models/User');
+const { recordAudit, diff } = require('../../utils/audit');
+
+describe('diff', () => {
+  test('lists changed fields by their dot-separated path', () => {
+    expect(diff(
+      { title: 'House', price: 100, dimensions: { width: 10, depth: 8 } },
+      { title: 'House', price: 120, dimensions: { width: 12, depth: 8 } }
+    )).toEqual([
+      { path: 'price', before: 100, after: 120 },
+      { path: 'dimensions.width', before: 10, after: 12 }
+    ]);
+  });
+
+  test('compares arrays as a whole and reports added and removed fields', () => {
+    expect(diff({ tags: ['a', 'b'], notes: 'x' }, { tags: ['a', 'c'], featured: true })).toEqual([
+      { path: 'tags', before: ['a', 'b'], after: ['a', 'c'] },
+      { path: 'notes', before: 'x', after: undefined },
+      { path: 'featured', before: undefined, after: true }
+    ]);
+  });
+
+  test('ignores ids and timestamps, and treats a missing snapshot as empty', () => {
+    const _id = new mongoose.Types.ObjectId();
+    expect(diff({ _id, updatedAt: new Date(0), name: 'A' }, { _id, updatedAt: new Date(), name: 'A' })).toEqual([]);
+    expect(diff(undefined, { name: 'A' })).toEqual([{ path: 'name', before: undefined, after: 'A' }]);
+  });
+
+  test('keeps fields a model hides from JSON out of the changes', () => {
+    const user = new User({ name: 'Jane', email: 'jane@example.com', password: 'secret123' });
+    const paths = diff(undefined, user).map(change => change.path);
+    expect(paths).toContain('email');
+    expect(paths).not.toContain('password');
+  });
+});
+
+describe('recordAudit', () => {
+  const actor = new mongoose.Types.ObjectId();
+  const impersonator = new mongoose.Types.ObjectId();
+  const req = {
+    user: { _id: actor },
+    authSession: { impersonator },
+    ip: '10.0.0.1',
+    get: () => 'jest'
+  };
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('stores who did what to which document, with the changed fields', async () => {
+    const create = jest.spyOn(AuditLog, 'create').mockResolvedValue({});
+    const targetId = new mongoose.Types.ObjectId();
+    await recordAudit(req, { action: 'design.update', targetModel: 'Design', targetId, before: { price: 100 }, after: { price: 120 } });
+    expect(create).toHaveBeenCalledWith({
+      actor,
+      impersonator,
+      apiKey: undefined,
+      action: 'design.update',
+      targetModel: 'Design',
+      targetId,
+      changes: [{ path: 'price', before: 100, after: 120 }],
+      ipAddress: '10.0.0.1',
+      userAgent: 'jest'
+    });
+  });
+
+  test('logs failures instead of failing the audited request', async () => {
+    jest.spyOn(AuditLog, 'create').mockRejectedValue(new Error('Connection lost'));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    await expect(recordAudit(req, { action: 'design.delete', targetModel: 'Design', targetId: actor })).resolves.toBeUndefined();
+    expect(console.error).toHaveBeenCalledWith('Audit log error:', expect.any(Error));
+  });
+});
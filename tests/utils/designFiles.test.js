@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+const Design = require('../../models/Design');
+const { hasOutdatedImages } = require('../../utils/designFiles');
+
+describe('hasOutdatedImages', () => {
+  const watermark = { text: 'PREVIEW', logo: null, opacity: 0.35, position: 'tiled' };
+
+  // Design with one image stored under its own folder
+  const newDesign = (image) => {
+    const design = new Design({ title: 'House', price: 100 });
+    design.images.push({ url: `/uploads/designs/${design._id}/images/front.jpg`, ...image });
+    return design;
+  };
+
+  // Design whose image is a width x height preview of a private 2000 x 1000 original
+  const previewed = (width, height) => {
+    const design = newDesign({ watermarked: true, width, height });
+    design.images[0].original = { key: `private/designs/${design._id}/images/front.jpg`, width: 2000, height: 1000 };
+    return design;
+  };
+
+  test('is false for previews watermarked at the preview size', () => {
+    expect(hasOutdatedImages(previewed(1000, 500), watermark)).toBe(false);
+  });
+
+  test('flags clean or oversized images while a watermark applies', () => {
+    expect(hasOutdatedImages(newDesign({ watermarked: false, width: 2000, height: 1000 }), watermark)).toBe(true);
+    expect(hasOutdatedImages(previewed(1600, 800), watermark)).toBe(true);
+  });
+
+  test('flags watermarked images once no watermark applies', () => {
+    expect(hasOutdatedImages(previewed(1000, 500), null)).toBe(true);
+    expect(hasOutdatedImages(newDesign({ watermarked: false }), null)).toBe(false);
+  });
+
+  test('ignores external images and files of other records', () => {
+    expect(hasOutdatedImages(newDesign({ url: 'https://cdn.example.com/front.jpg' }), watermark)).toBe(false);
+    const other = new mongoose.Types.ObjectId();
+    expect(hasOutdatedImages(newDesign({ url: `/uploads/designs/${other}/images/front.jpg` }), watermark)).toBe(false);
+  });
+});
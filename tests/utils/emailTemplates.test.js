@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+const { templates, escapeHtml } = require('../../utils/emailTemplates');
+
+const order = {
+  _id: new mongoose.Types.ObjectId(),
+  orderNumber: 'ORD2026011',
+  status: 'completed',
+  currency: 'EUR',
+  items: [{ design: { title: 'Courtyard <House>' }, license: 'commercial', quantity: 2, price: 150 }],
+  subtotal: 300,
+  tax: 60,
+  total: 360,
+  refund: { amount: 360, reason: 'Duplicate order' }
+};
+
+const customRequest = {
+  _id: new mongoose.Types.ObjectId(),
+  title: 'Garden studio',
+  budget: { currency: 'USD' },
+  quote: { amount: 2400, breakdown: [{ item: 'Concept', cost: 900 }, { item: 'Drawings', cost: 1500 }], terms: 'Half up front' }
+};
+
+const data = {
+  verifyEmail: { verifyUrl: 'https://example.com/verify?token=abc', welcome: true },
+  passwordReset: { resetUrl: 'https://example.com/reset?token=abc' },
+  orderConfirmation: { order },
+  orderStatusChanged: { order, previousStatus: 'processing' },
+  refundProcessed: { order },
+  customRequestQuote: { customRequest }
+};
+
+describe('email templates', () => {
+  test.each(Object.keys(templates))('%s renders a subject, text and HTML', (name) => {
+    const message = templates[name].render({ name: 'Jane', ...data[name] });
+    expect(message.subject).toEqual(expect.any(String));
+    expect(message.text).toContain('Hi Jane');
+    expect(message.html).toContain('<!DOCTYPE html>');
+  });
+
+  test('only account and payment messages are essential', () => {
+    const essential = Object.keys(templates).filter(name => templates[name].essential);
+    expect(essential).toEqual(['verifyEmail', 'passwordReset', 'orderConfirmation', 'refundProcessed']);
+  });
+
+  test('lists order lines with their totals', () => {
+    const { subject, text } = templates.orderConfirmation.render({ name: 'Jane', order });
+    expect(subject).toBe('Order confirmation ORD2026011');
+    expect(text).toContain('Courtyard <House> (commercial) x2 - EUR 300.00');
+    expect(text).toContain('Total: EUR 360.00');
+    expect(text).toContain(`/orders/${order._id}`);
+  });
+
+  test('adds up the quote breakdown in the request\'s currency', () => {
+    const { text } = templates.customRequestQuote.render({ name: 'Jane', customRequest });
+    expect(text).toContain('Concept: USD 900.00\nDrawings: USD 1500.00');
+    expect(text).toContain('Total: USD 2400.00');
+    expect(text).toContain('Terms: Half up front');
+  });
+
+  test('escapes user content in the HTML version', () => {
+    const { html } = templates.orderConfirmation.render({ name: '<script>alert(1)</script>', order });
+    expect(html).not.toContain('<script>');
+    expect(html).toContain('&lt;script&gt;');
+    expect(html).toContain('Courtyard &lt;House&gt;');
+    expect(escapeHtml('"Tom" & \'Jerry\'')).toBe('&quot;Tom&quot; &amp; &#39;Jerry&#39;');
+  });
+});
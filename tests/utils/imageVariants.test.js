@@ -0,0 +1,114 @@
+const fs = require('fs');
+const sharp = require('sharp');
+const { setDriver } = require('../../utils/storage');
+const { IMAGE_SIZES, getPreviewSize, generateImageVariants, pickImageVariant } = require('../../utils/imageVariants');
+
+// Storage driver keeping files in memory by key
+const files = new Map();
+const memoryDriver = {
+  name: 'memory',
+  save: async (key, sourcePath) => {
+    files.set(key, await fs.promises.readFile(sourcePath));
+  },
+  getPublicUrl: key => `/uploads/${key}`
+};
+
+const image = (width, height, format = 'jpeg', options = {}) => sharp({
+  create: { width, height, channels: 3, background: { r: 200, g: 120, b: 40 } }
+}).toFormat(format).withMetadata(options).toBuffer();
+
+// Size and format of the stored file behind a public URL
+const stored = (url) => sharp(files.get(url.replace('/uploads/', ''))).metadata();
+
+beforeAll(() => {
+  setDriver(memoryDriver);
+});
+
+afterAll(() => {
+  setDriver(null);
+});
+
+beforeEach(() => {
+  files.clear();
+});
+
+describe('generateImageVariants', () => {
+  test('stores every size in the original format and as WebP, keeping the aspect ratio', async () => {
+    const result = await generateImageVariants(await image(2000, 1000), 'designs/1', 'front.jpg');
+    expect(result).toMatchObject({ width: 2000, height: 1000 });
+    expect(Object.keys(result.variants)).toEqual(Object.keys(IMAGE_SIZES));
+
+    for (const [size, maxSize] of Object.entries(IMAGE_SIZES)) {
+      const variant = result.variants[size];
+      expect(variant).toMatchObject({ width: maxSize, height: maxSize / 2 });
+      expect(await stored(variant.url)).toMatchObject({ format: 'jpeg', width: maxSize, height: maxSize / 2 });
+      expect(await stored(variant.webpUrl)).toMatchObject({ format: 'webp', width: maxSize });
+    }
+    expect(await stored(result.webpUrl)).toMatchObject({ format: 'webp', width: 2000, height: 1000 });
+  });
+
+  test('never enlarges small images', async () => {
+    const { variants } = await generateImageVariants(await image(500, 400, 'png'), 'designs/1', 'plan.png');
+    expect(variants.thumbnail).toMatchObject({ width: 320, height: 256 });
+    expect(variants.medium).toMatchObject({ width: 500, height: 400 });
+    expect(variants.large).toMatchObject({ width: 500, height: 400 });
+    expect((await stored(variants.large.url)).format).toBe('png');
+  });
+
+  test('turns GIFs into PNG variants', async () => {
+    const { variants } = await generateImageVariants(await image(400, 400, 'gif'), 'designs/1', 'sketch.gif');
+    expect(variants.thumbnail.url).toMatch(/\.png$/);
+    expect((await stored(variants.thumbnail.url)).format).toBe('png');
+  });
+
+  test('applies the EXIF orientation so portrait photos stay upright', async () => {
+    const result = await generateImageVariants(await image(1200, 900, 'jpeg', { orientation: 6 }), 'designs/1', 'photo.jpg');
+    expect(result).toMatchObject({ width: 900, height: 1200 });
+    expect(result.variants.medium).toMatchObject({ width: 600, height: 800 });
+  });
+
+  test('caps watermarked variants at half the original and keeps its full size private', async () => {
+    const watermark = { text: 'PREVIEW', logo: null, opacity: 0.35, position: 'tiled' };
+    const result = await generateImageVariants(await image(1000, 500), 'designs/1', 'front.jpg', { watermark });
+    expect(result).toMatchObject({ width: 1000, height: 500 });
+    expect(result.webpUrl).toBeUndefined();
+    expect(result.variants.thumbnail).toMatchObject({ width: 320, height: 160 });
+    expect(result.variants.medium).toMatchObject({ width: 500, height: 250 });
+    expect(result.variants.large).toMatchObject({ width: 500, height: 250 });
+    expect(await stored(result.variants.large.webpUrl)).toMatchObject({ format: 'webp', width: 500 });
+  });
+});
+
+describe('getPreviewSize', () => {
+  test('is half the longest edge, never below one pixel', () => {
+    expect(getPreviewSize(2000, 1000)).toBe(1000);
+    expect(getPreviewSize(300, 901)).toBe(451);
+    expect(getPreviewSize(1, 1)).toBe(1);
+  });
+});
+
+describe('pickImageVariant', () => {
+  const entry = {
+    _id: 'image-1',
+    url: '/uploads/front.jpg',
+    webpUrl: '/uploads/front.webp',
+    alt: 'Front',
+    isPrimary: true,
+    width: 2000,
+    height: 1000,
+    variants: { thumbnail: { url: '/uploads/front-thumbnail.jpg', webpUrl: '/uploads/front-thumbnail.webp', width: 320, height: 160 } }
+  };
+
+  test('reduces an image to one size, optionally as WebP', () => {
+    expect(pickImageVariant(entry, 'thumbnail')).toEqual({
+      _id: 'image-1', url: '/uploads/front-thumbnail.jpg', alt: 'Front', isPrimary: true, width: 320, height: 160
+    });
+    expect(pickImageVariant(entry, 'thumbnail', { webp: true }).url).toBe('/uploads/front-thumbnail.webp');
+    expect(pickImageVariant(entry, 'original', { webp: true }).url).toBe('/uploads/front.webp');
+  });
+
+  test('falls back to the original for images without the variant', () => {
+    expect(pickImageVariant(entry, 'large')).toMatchObject({ url: '/uploads/front.jpg', width: 2000 });
+    expect(pickImageVariant({ url: '/uploads/old.jpg' }, 'medium', { webp: true }).url).toBe('/uploads/old.jpg');
+  });
+});
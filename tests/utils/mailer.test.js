@@ -0,0 +1,46 @@
+const { createTransport, setTransport, sendTemplate } = require('../../utils/mailer');
+
+describe('createTransport', () => {
+  const env = { ...process.env };
+
+  afterEach(() => {
+    process.env = { ...env };
+  });
+
+  test('prints to the console when no transport is configured outside production', () => {
+    delete process.env.MAIL_TRANSPORT;
+    process.env.NODE_ENV = 'development';
+    expect(createTransport().name).toBe('console');
+  });
+
+  test('refuses the console transport in production, configured or not', () => {
+    process.env.NODE_ENV = 'production';
+    delete process.env.MAIL_TRANSPORT;
+    expect(() => createTransport()).toThrow('MAIL_TRANSPORT');
+    process.env.MAIL_TRANSPORT = 'console';
+    expect(() => createTransport()).toThrow('MAIL_TRANSPORT');
+    process.env.MAIL_TRANSPORT = 'file';
+    expect(createTransport().name).toBe('file');
+  });
+
+  test('rejects unknown transports', () => {
+    expect(() => createTransport('pigeon')).toThrow('Unknown mail transport: pigeon');
+  });
+});
+
+describe('sendTemplate', () => {
+  test('renders the template and hands the message to the transport', async () => {
+    const send = jest.fn().mockResolvedValue({ messageId: '1' });
+    setTransport({ send });
+    await sendTemplate('jane@example.com', 'passwordReset', { name: 'Jane', resetUrl: 'https://example.com/reset?token=abc' });
+    expect(send).toHaveBeenCalledWith(expect.objectContaining({
+      to: 'jane@example.com',
+      subject: 'Reset your password',
+      text: expect.stringContaining('https://example.com/reset?token=abc')
+    }));
+  });
+
+  test('rejects unknown templates', () => {
+    expect(() => sendTemplate('jane@example.com', 'newsletter')).toThrow('Unknown email template: newsletter');
+  });
+});
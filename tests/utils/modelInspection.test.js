@@ -0,0 +1,44 @@
+const { compareDimensions } = require('../../utils/modelInspection');
+
+describe('compareDimensions', () => {
+  const dimensions = { width: 12, depth: 8, height: 3, unit: 'meters' };
+
+  test('matches a model within the tolerance', () => {
+    expect(compareDimensions({ x: 12.5, y: 3, z: 8 }, dimensions)).toEqual({ status: 'ok', ratio: expect.any(Number) });
+  });
+
+  test('ignores which axis the model uses as up', () => {
+    expect(compareDimensions({ x: 3, y: 12, z: 8 }, dimensions).status).toBe('ok');
+    expect(compareDimensions({ x: 8, y: 3, z: 12 }, dimensions).status).toBe('ok');
+  });
+
+  test('flags a model at the wrong scale with its ratio', () => {
+    const check = compareDimensions({ x: 1200, y: 300, z: 800 }, dimensions);
+    expect(check.status).toBe('mismatch');
+    expect(check.ratio).toBe(100);
+    expect(check.message).toBe('Model is 300 x 800 x 1200 m but the listed dimensions are 3 x 8 x 12 m');
+  });
+
+  test('reports the worst axis, whether too small or too large', () => {
+    expect(compareDimensions({ x: 12, y: 8, z: 1.5 }, dimensions).ratio).toBe(0.5);
+    expect(compareDimensions({ x: 12, y: 8, z: 4.5 }, dimensions).ratio).toBe(1.5);
+  });
+
+  test('converts the listed unit to metres', () => {
+    const feet = { width: 40, depth: 25, height: 10, unit: 'Feet' };
+    expect(compareDimensions({ x: 12.19, y: 7.62, z: 3.05 }, feet).status).toBe('ok');
+    expect(compareDimensions({ x: 1200, y: 800, z: 300 }, { ...dimensions, unit: 'cm' }).status).toBe('mismatch');
+    expect(compareDimensions({ x: 12, y: 8, z: 3 }, { width: 12000, depth: 8000, height: 3000, unit: 'mm' }).status).toBe('ok');
+  });
+
+  test('defaults to metres when no unit is listed', () => {
+    expect(compareDimensions({ x: 12, y: 8, z: 3 }, { width: 12, depth: 8, height: 3 }).status).toBe('ok');
+  });
+
+  test('cannot judge incomplete data', () => {
+    expect(compareDimensions(undefined, dimensions).status).toBe('unknown');
+    expect(compareDimensions({ x: 12, y: 8, z: 3 }, { width: 12, depth: 8, height: 0 }).status).toBe('unknown');
+    expect(compareDimensions({ x: 12, y: 8, z: 3 }, { ...dimensions, unit: 'cubits' }).status).toBe('unknown');
+    expect(compareDimensions({ x: 12, y: 8, z: 3 }).status).toBe('unknown');
+  });
+});
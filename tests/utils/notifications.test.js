@@ -0,0 +1,93 @@
+const User = require('../../models/User');
+const Notification = require('../../models/Notification');
+const { setTransport } = require('../../utils/mailer');
+const { notify, emailUser } = require('../../utils/notifications');
+
+const newUser = (fields = {}) => new User({ name: 'Jane', email: 'jane@example.com', password: 'secret123', ...fields });
+
+let user;
+
+beforeEach(() => {
+  user = newUser();
+  jest.spyOn(User, 'findById').mockImplementation(() => ({ select: async () => user }));
+  jest.spyOn(Notification, 'create').mockImplementation(async fields => new Notification(fields));
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('notify', () => {
+  const event = {
+    type: 'order.status',
+    title: 'Your order is on its way',
+    link: '/orders/1',
+    data: { order: 1 }
+  };
+
+  test('creates an in-app notification for the user', async () => {
+    const notification = await notify(user._id, event);
+    expect(Notification.create).toHaveBeenCalledWith({ user: user._id, ...event, message: undefined });
+    expect(notification.readAt).toBeUndefined();
+  });
+
+  test('skips users who turned notifications off, deleted accounts and missing users', async () => {
+    user = newUser({ preferences: { notifications: false } });
+    expect(await notify(user._id, event)).toBeNull();
+
+    user = newUser({ deletedAt: new Date() });
+    expect(await notify(user._id, event)).toBeNull();
+
+    expect(await notify(undefined, event)).toBeNull();
+    user = null;
+    expect(await notify(newUser()._id, event)).toBeNull();
+    expect(Notification.create).not.toHaveBeenCalled();
+  });
+
+  test('logs failures instead of rejecting', async () => {
+    Notification.create.mockRejectedValue(new Error('Connection lost'));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    await expect(notify(user._id, event)).resolves.toBeNull();
+    expect(console.error).toHaveBeenCalledWith('Create notification error:', expect.any(Error));
+  });
+});
+
+describe('emailUser', () => {
+  const order = { _id: 1, orderNumber: 'ORD1', status: 'completed', refund: { amount: 10, reason: 'Duplicate' } };
+  let send;
+
+  beforeEach(() => {
+    send = jest.fn().mockResolvedValue({ messageId: '1' });
+    setTransport({ send });
+  });
+
+  test('emails the user from a template, greeting them by name', async () => {
+    await emailUser(user._id, 'orderStatusChanged', { order, previousStatus: 'processing' });
+    expect(send).toHaveBeenCalledWith(expect.objectContaining({
+      to: 'jane@example.com',
+      subject: 'Order ORD1 is now completed',
+      text: expect.stringContaining('Hi Jane')
+    }));
+  });
+
+  test('sends essential messages even to users who turned notifications off', async () => {
+    user = newUser({ preferences: { notifications: false } });
+    await emailUser(user._id, 'orderStatusChanged', { order, previousStatus: 'processing' });
+    expect(send).not.toHaveBeenCalled();
+
+    await emailUser(user._id, 'refundProcessed', { order });
+    expect(send).toHaveBeenCalledWith(expect.objectContaining({ subject: 'Refund processed for order ORD1' }));
+  });
+
+  test('skips deleted accounts and logs failures instead of rejecting', async () => {
+    user = newUser({ deletedAt: new Date() });
+    expect(await emailUser(user._id, 'refundProcessed', { order })).toBeNull();
+    expect(send).not.toHaveBeenCalled();
+
+    user = newUser();
+    send.mockRejectedValue(new Error('SMTP timeout'));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    await expect(emailUser(user._id, 'refundProcessed', { order })).resolves.toBeNull();
+    expect(console.error).toHaveBeenCalledWith('Email (refundProcessed) error:', expect.any(Error));
+  });
+});
@@ -0,0 +1,99 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createLocalDriver, createS3Driver, verifyLocalSignature, isPrivateKey } = require('../../utils/storage');
+
+describe('local storage driver', () => {
+  let root;
+  let driver;
+
+  beforeEach(async () => {
+    root = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'adp-storage-'));
+    driver = createLocalDriver(root);
+  });
+
+  afterEach(async () => {
+    await fs.promises.rm(root, { recursive: true, force: true });
+  });
+
+  // Write a temp file to hand to the driver
+  const tempFile = async (content) => {
+    const filePath = path.join(root, `upload-${Date.now()}`);
+    await fs.promises.writeFile(filePath, content);
+    return filePath;
+  };
+
+  test('moves files in under their key and removes them again', async () => {
+    const source = await tempFile('plan');
+    await driver.save('designs/plan.pdf', source);
+    expect((await driver.read('designs/plan.pdf')).toString()).toBe('plan');
+    expect(fs.existsSync(source)).toBe(false);
+
+    await driver.remove('designs/plan.pdf');
+    await driver.remove('designs/plan.pdf');
+    await expect(driver.read('designs/plan.pdf')).rejects.toMatchObject({ code: 'ENOENT' });
+  });
+
+  test('never resolves keys outside its root', () => {
+    expect(() => driver.resolveKey('../secret.txt')).toThrow('Invalid storage key');
+    expect(() => driver.resolveKey('designs/../../secret.txt')).toThrow('Invalid storage key');
+    expect(driver.keyFromUrl('/uploads/../secret.txt')).toBeNull();
+    expect(driver.keyFromUrl('https://example.com/uploads/a.png')).toBeNull();
+    expect(driver.keyFromUrl(driver.getPublicUrl('designs/a.png'))).toBe('designs/a.png');
+  });
+
+  test('signs URLs that verify only for their key and until they expire', async () => {
+    const url = new URL(await driver.getSignedUrl('private/designs/plan.pdf', { filename: 'plan.pdf' }), 'http://localhost');
+    const expires = url.searchParams.get('expires');
+    const signature = url.searchParams.get('signature');
+    expect(url.pathname).toBe('/api/files/private/designs/plan.pdf');
+    expect(url.searchParams.get('filename')).toBe('plan.pdf');
+
+    expect(verifyLocalSignature('private/designs/plan.pdf', expires, signature)).toBe(true);
+    expect(verifyLocalSignature('private/designs/other.pdf', expires, signature)).toBe(false);
+    expect(verifyLocalSignature('private/designs/plan.pdf', String(Number(expires) + 60), signature)).toBe(false);
+    expect(verifyLocalSignature('private/designs/plan.pdf', expires, 'abc')).toBe(false);
+    expect(verifyLocalSignature('private/designs/plan.pdf', expires, undefined)).toBe(false);
+
+    const expired = new URL(await driver.getSignedUrl('private/designs/plan.pdf', { expiresIn: -1 }), 'http://localhost');
+    expect(verifyLocalSignature('private/designs/plan.pdf', expired.searchParams.get('expires'), expired.searchParams.get('signature'))).toBe(false);
+  });
+
+  test('tells private keys apart', () => {
+    expect(isPrivateKey('private/designs/plan.pdf')).toBe(true);
+    expect(isPrivateKey('designs/front.png')).toBe(false);
+  });
+});
+
+describe('S3 storage driver', () => {
+  const env = { ...process.env };
+
+  beforeEach(() => {
+    Object.assign(process.env, {
+      AWS_S3_BUCKET: 'designs-bucket',
+      AWS_REGION: 'eu-west-1',
+      AWS_ACCESS_KEY_ID: 'AKIDEXAMPLE',
+      AWS_SECRET_ACCESS_KEY: 'secret'
+    });
+  });
+
+  afterEach(() => {
+    process.env = { ...env };
+  });
+
+  test('builds public URLs on the bucket and maps them back to keys', () => {
+    const driver = createS3Driver();
+    const url = driver.getPublicUrl('designs/front.png');
+    expect(url).toBe('https://designs-bucket.s3.eu-west-1.amazonaws.com/designs/front.png');
+    expect(driver.keyFromUrl(url)).toBe('designs/front.png');
+    expect(driver.keyFromUrl('https://example.com/designs/front.png')).toBeNull();
+  });
+
+  test('presigns downloads that expire and carry the file name', async () => {
+    const url = new URL(await createS3Driver().getSignedUrl('private/designs/plan.pdf', { expiresIn: 60, filename: 'plan.pdf' }));
+    expect(url.pathname).toBe('/private/designs/plan.pdf');
+    expect(url.searchParams.get('X-Amz-Expires')).toBe('60');
+    expect(url.searchParams.get('X-Amz-Signature')).toEqual(expect.any(String));
+    expect(url.searchParams.get('response-content-disposition')).toBe('attachment; filename="plan.pdf"');
+  });
+});
@@ -0,0 +1,53 @@
+const { generateSecret, generateCode, verifyCode, getTimeStep, buildOtpauthUrl } = require('../../utils/totp');
+
+// RFC 6238 appendix B secret ("12345678901234567890") in base32
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+describe('totp', () => {
+  test('generates the RFC 6238 SHA-1 codes (last 6 digits)', () => {
+    expect(generateCode(RFC_SECRET, getTimeStep(59 * 1000))).toBe('287082');
+    expect(generateCode(RFC_SECRET, getTimeStep(1111111109 * 1000))).toBe('081804');
+    expect(generateCode(RFC_SECRET, getTimeStep(1234567890 * 1000))).toBe('005924');
+    expect(generateCode(RFC_SECRET, getTimeStep(2000000000 * 1000))).toBe('279037');
+  });
+
+  test('generates 160-bit base32 secrets', () => {
+    const secret = generateSecret();
+    expect(secret).toMatch(/^[A-Z2-7]{32}$/);
+    expect(generateSecret()).not.toBe(secret);
+  });
+
+  describe('verifyCode', () => {
+    const time = 1111111109 * 1000;
+
+    test('returns the matching time step', () => {
+      expect(verifyCode(RFC_SECRET, '081804', { time })).toBe(getTimeStep(time));
+    });
+
+    test('accepts codes from the neighbouring steps only', () => {
+      const previous = generateCode(RFC_SECRET, getTimeStep(time) - 1);
+      const tooOld = generateCode(RFC_SECRET, getTimeStep(time) - 2);
+      expect(verifyCode(RFC_SECRET, previous, { time })).toBe(getTimeStep(time) - 1);
+      expect(verifyCode(RFC_SECRET, tooOld, { time })).toBeNull();
+      expect(verifyCode(RFC_SECRET, tooOld, { time, window: 2 })).toBe(getTimeStep(time) - 2);
+    });
+
+    test('ignores whitespace and rejects malformed codes', () => {
+      expect(verifyCode(RFC_SECRET, '081 804', { time })).toBe(getTimeStep(time));
+      expect(verifyCode(RFC_SECRET, '81804', { time })).toBeNull();
+      expect(verifyCode(RFC_SECRET, 'abcdef', { time })).toBeNull();
+      expect(verifyCode(RFC_SECRET, undefined, { time })).toBeNull();
+    });
+  });
+
+  test('builds an otpauth URL for authenticator apps', () => {
+    const url = new URL(buildOtpauthUrl({ secret: RFC_SECRET, accountName: 'jane@example.com', issuer: 'Portal' }));
+    expect(url.protocol).toBe('otpauth:');
+    expect(url.host).toBe('totp');
+    expect(decodeURIComponent(url.pathname)).toBe('/Portal:jane@example.com');
+    expect(url.searchParams.get('secret')).toBe(RFC_SECRET);
+    expect(url.searchParams.get('issuer')).toBe('Portal');
+    expect(url.searchParams.get('digits')).toBe('6');
+    expect(url.searchParams.get('period')).toBe('30');
+  });
+});
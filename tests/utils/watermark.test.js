@@ -0,0 +1,32 @@
+const Setting = require('../../models/Setting');
+const { getDesignWatermark } = require('../../utils/watermark');
+
+describe('getDesignWatermark', () => {
+  let settings;
+
+  beforeEach(() => {
+    settings = {};
+    jest.spyOn(Setting, 'getValue').mockImplementation(async (key, defaults) => ({ ...defaults, ...settings }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('watermarks paid designs with the saved settings', async () => {
+    settings = { text: 'SAMPLE', opacity: 0.5, position: 'center' };
+    expect(await getDesignWatermark({ price: 120 })).toEqual({ text: 'SAMPLE', logo: null, opacity: 0.5, position: 'center' });
+  });
+
+  test('leaves free designs clean', async () => {
+    expect(await getDesignWatermark({ price: 0 })).toBeNull();
+    expect(Setting.getValue).not.toHaveBeenCalled();
+  });
+
+  test('leaves previews clean while disabled or with nothing to draw', async () => {
+    settings = { enabled: false };
+    expect(await getDesignWatermark({ price: 120 })).toBeNull();
+    settings = { text: '' };
+    expect(await getDesignWatermark({ price: 120 })).toBeNull();
+  });
+});
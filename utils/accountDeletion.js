@@ -0,0 +1,149 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+const Order = require('../models/Order');
+const Review = require('../models/Review');
+const Blog = require('../models/Blog');
+const Design = require('../models/Design');
+const CustomRequest = require('../models/CustomRequest');
+const Organization = require('../models/Organization');
+const Board = require('../models/Board');
+const Notification = require('../models/Notification');
+const Session = require('../models/Session');
+const ApiKey = require('../models/ApiKey');
+const LoginThrottle = require('../models/LoginThrottle');
+
+const GRACE_PERIOD_DAYS = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS) || 14;
+
+// Date at which a deletion requested now will be carried out
+const getScheduledDeletionDate = () => new Date(Date.now() + GRACE_PERIOD_DAYS * 24 * 60 * 60 * 1000);
+
+// Organizations the user owns that other members depend on but no admin could take over.
+// Deletion is refused until the owner promotes an admin or removes the other members.
+const getBlockingOrganizations = async (userId) => {
+  const owned = await Organization.find({ owner: userId });
+  return owned.filter(organization =>
+    organization.members.some(member => member.user.toString() !== userId.toString()) && !organization.getSuccessor()
+  );
+};
+
+// Anonymize a user and everything that references them. The user document is kept (with personal
+// fields scrubbed) so populate('customer') / populate('user') keep resolving to "Deleted User".
+const anonymizeUser = async (userId) => {
+  const user = await User.findById(userId);
+  if (!user || user.deletedAt) return user;
+
+  if ((await getBlockingOrganizations(userId)).length) {
+    throw Object.assign(
+      new Error('The user owns organizations with other members and no admin to take them over'),
+      { name: 'AccountDeletionBlockedError' }
+    );
+  }
+
+  const reassignTo = user.deletion && user.deletion.reassignContentTo;
+  const originalEmail = user.email;
+
+  // Orders are financial records: keep amounts and billing details for accounting,
+  // drop what is only needed for delivery
+  await Order.updateMany(
+    { customer: userId },
+    { $unset: { shippingAddress: '', notes: '' } }
+  );
+
+  // Reviews stay (they describe the design), only the user's votes on other reviews go
+  await Review.updateMany(
+    { 'helpful.user': userId },
+    { $pull: { helpful: { user: userId } } }
+  );
+
+  // Blog comments and likes are removed outright
+  const posts = await Blog.find({ $or: [{ 'comments.user': userId }, { likes: userId }] });
+  for (const post of posts) {
+    post.comments = post.comments.filter(comment => !comment.user || comment.user.toString() !== userId.toString());
+    post.commentCount = post.comments.length;
+    post.likes = post.likes.filter(id => id.toString() !== userId.toString());
+    post.likeCount = post.likes.length;
+    await post.save();
+  }
+
+  // Open custom requests can no longer be worked on; finished ones are kept with their quotes
+  await CustomRequest.updateMany(
+    { client: userId, status: { $nin: ['completed', 'cancelled'] } },
+    { status: 'cancelled' }
+  );
+
+  // Content authored or handled by a staff member moves to a colleague when one was chosen
+  if (reassignTo) {
+    await Design.updateMany({ author: userId }, { author: reassignTo });
+    await Blog.updateMany({ author: userId }, { author: reassignTo });
+    await CustomRequest.updateMany({ assignedTo: userId }, { assignedTo: reassignTo });
+  } else {
+    await CustomRequest.updateMany({ assignedTo: userId }, { $unset: { assignedTo: '' } });
+  }
+
+  await Board.deleteMany({ owner: userId });
+  await Notification.deleteMany({ user: userId });
+
+  // Organizations the user owned go to an admin, or are deleted when nobody else is in them
+  const owned = await Organization.find({ owner: userId });
+  for (const organization of owned) {
+    if (organization.getSuccessor()) {
+      await organization.transferToSuccessor();
+    } else {
+      await Organization.deleteOne({ _id: organization._id });
+    }
+  }
+
+  // Free the seats the user held in organizations they did not own
+  await Organization.updateMany(
+    { members: { $elemMatch: { user: userId, role: { $ne: 'owner' } } } },
+    { $pull: { members: { user: userId, role: { $ne: 'owner' } } } }
+  );
+
+  await Session.deleteMany({ user: userId });
+  await ApiKey.updateMany({ createdBy: userId, revokedAt: null }, { revokedAt: new Date() });
+  await LoginThrottle.reset(LoginThrottle.accountKey(originalEmail));
+
+  user.name = 'Deleted User';
+  user.email = `deleted-${user._id}@deleted.invalid`;
+  user.password = crypto.randomBytes(32).toString('hex');
+  user.role = 'user';
+  user.avatar = '';
+  user.phone = undefined;
+  user.address = undefined;
+  user.isVerified = false;
+  user.preferences = { newsletter: false, notifications: false };
+  user.favorites = [];
+  user.emailVerificationToken = undefined;
+  user.emailVerificationExpires = undefined;
+  user.twoFactor = { enabled: false };
+  user.lockoutNotices = [];
+  user.deletedAt = new Date();
+  await user.save();
+
+  return user;
+};
+
+// Carry out every deletion whose grace period has ended
+const processScheduledDeletions = async () => {
+  const users = await User.find({
+    deletedAt: null,
+    'deletion.scheduledFor': { $lte: new Date() }
+  }).select('_id');
+
+  for (const { _id } of users) {
+    try {
+      await anonymizeUser(_id);
+    } catch (error) {
+      console.error(`Account deletion error for user ${_id}:`, error);
+    }
+  }
+  return users.length;
+};
+
+module.exports = {
+  GRACE_PERIOD_DAYS,
+  getScheduledDeletionDate,
+  getBlockingOrganizations,
+  anonymizeUser,
+  processScheduledDeletions
+};
@@ -0,0 +1,57 @@
+const AuditLog = require('../models/AuditLog');
+
+// Turn a document (or plain object) into a plain object suitable for diffing.
+// Documents go through toJSON so models that hide secrets (User, ApiKey) keep them out of the log.
+const toPlain = (value) => {
+  if (!value) return {};
+  return JSON.parse(JSON.stringify(value));
+};
+
+// Flatten nested objects into dot-separated paths; arrays are compared as a whole
+const flatten = (object, prefix = '', result = {}) => {
+  for (const [key, value] of Object.entries(object)) {
+    if (['_id', '__v', 'createdAt', 'updatedAt'].includes(key) && !prefix) continue;
+    const path = prefix ? `${prefix}.${key}` : key;
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+      flatten(value, path, result);
+    } else {
+      result[path] = value;
+    }
+  }
+  return result;
+};
+
+// Compute the fields that differ between two snapshots, as [{ path, before, after }]
+const diff = (before, after) => {
+  const flatBefore = flatten(toPlain(before));
+  const flatAfter = flatten(toPlain(after));
+  const paths = new Set([...Object.keys(flatBefore), ...Object.keys(flatAfter)]);
+
+  return [...paths]
+    .filter(path => JSON.stringify(flatBefore[path]) !== JSON.stringify(flatAfter[path]))
+    .map(path => ({ path, before: flatBefore[path], after: flatAfter[path] }));
+};
+
+// Record a privileged action. Failures are logged rather than failing the request that was audited.
+const recordAudit = async (req, { action, targetModel, targetId, before, after }) => {
+  try {
+    await AuditLog.create({
+      actor: req.user && req.user._id,
+      impersonator: req.authSession && req.authSession.impersonator,
+      apiKey: req.apiKey && req.apiKey._id,
+      action,
+      targetModel,
+      targetId,
+      changes: diff(before, after),
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+  } catch (error) {
+    console.error('Audit log error:', error);
+  }
+};
+
+module.exports = {
+  recordAudit,
+  diff
+};
@@ -0,0 +1,64 @@
+const User = require('../models/User');
+const Order = require('../models/Order');
+const Review = require('../models/Review');
+const Blog = require('../models/Blog');
+const CustomRequest = require('../models/CustomRequest');
+const Board = require('../models/Board');
+
+// Assemble everything stored about a user into one plain object (data-subject access requests)
+const buildUserExport = async (userId) => {
+  const user = await User.findById(userId)
+    .populate('favorites', 'title category style price');
+  if (!user) return null;
+
+  const [orders, reviews, posts, customRequests, boards] = await Promise.all([
+    Order.find({ customer: userId })
+      .populate('items.design', 'title')
+      .sort({ createdAt: -1 }),
+    Review.find({ user: userId })
+      .populate('design', 'title')
+      .sort({ createdAt: -1 }),
+    Blog.find({ 'comments.user': userId }).select('title slug comments'),
+    CustomRequest.find({ client: userId }).sort({ createdAt: -1 }),
+    Board.find({ owner: userId })
+      .select('-shareToken')
+      .populate('items.design', 'title')
+  ]);
+
+  const profile = user.toJSON();
+  const favorites = profile.favorites;
+  delete profile.favorites;
+
+  // Only the user's own comments, not the rest of the thread
+  const blogComments = posts.flatMap(post => post.comments
+    .filter(comment => comment.user && comment.user.toString() === userId.toString())
+    .map(comment => ({
+      post: { id: post._id, title: post.title, slug: post.slug },
+      content: comment.content,
+      createdAt: comment.createdAt,
+      isApproved: comment.isApproved
+    })));
+
+  // Staff-only communications and notes are not part of the user's data
+  const requests = customRequests.map(customRequest => {
+    const request = customRequest.toObject();
+    request.communications = request.communications.filter(communication => !communication.isInternal);
+    delete request.notes;
+    return request;
+  });
+
+  return {
+    exportedAt: new Date(),
+    profile,
+    favorites,
+    boards: boards.map(board => board.toObject()),
+    orders: orders.map(order => order.toObject()),
+    reviews: reviews.map(review => review.toObject()),
+    blogComments,
+    customRequests: requests
+  };
+};
+
+module.exports = {
+  buildUserExport
+};
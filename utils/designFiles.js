@@ -0,0 +1,95 @@
+const path = require('path');
+const DesignRevision = require('../models/DesignRevision');
+const { storeUpload, storeBuffer, removeUploads, getDesignUploads, getStorageKey } = require('./uploads');
+const { getDriver } = require('./storage');
+const { getPreviewSize, generateImageVariants } = require('./imageVariants');
+const { getDesignWatermark } = require('./watermark');
+
+// Storage prefixes a design's files live under (public files and private originals)
+const getDesignPrefixes = (design) => [`designs/${design._id}/`, `private/designs/${design._id}/`];
+
+// Storage key of a file reference when it belongs to the design; null for external URLs and for
+// keys under any other record, which must never be signed or served on the design's behalf
+const getOwnStorageKey = (design, reference) => {
+  const key = getStorageKey(reference);
+  return key && getDesignPrefixes(design).some(prefix => key.startsWith(prefix)) ? key : null;
+};
+
+// Store an image and its variants for a design, returns the image entry's fields.
+// With a watermark the public variants are marked and the clean image is stored privately.
+// `file` is the multer upload the buffer came from, if any.
+const storeDesignImage = async (design, buffer, filename, watermark, file) => {
+  const folder = `designs/${design._id}/images`;
+  const generated = await generateImageVariants(buffer, folder, filename, { watermark });
+  const options = { isPrivate: Boolean(watermark) };
+  const stored = file
+    ? await storeUpload(file, folder, options)
+    : await storeBuffer(buffer, folder, filename, { ...options, contentType: `image/${generated.format}` });
+
+  if (watermark) {
+    // The largest watermarked variant stands in for the image itself
+    const preview = generated.variants.large;
+    return {
+      url: preview.url,
+      webpUrl: preview.webpUrl,
+      width: preview.width,
+      height: preview.height,
+      variants: generated.variants,
+      watermarked: true,
+      original: { key: stored.key, width: generated.width, height: generated.height }
+    };
+  }
+  return {
+    url: stored.url,
+    webpUrl: generated.webpUrl,
+    width: generated.width,
+    height: generated.height,
+    variants: generated.variants,
+    watermarked: false,
+    original: undefined
+  };
+};
+
+// Re-render the previews of every stored image with the design's current watermark
+// (after its price or the watermark settings changed). Externally hosted images are left alone.
+// Returns the ids of images that could not be processed.
+const regenerateImages = async (design) => {
+  const watermark = await getDesignWatermark(design);
+  const failed = [];
+  for (const image of design.images) {
+    const key = getOwnStorageKey(design, (image.original && image.original.key) || image.url);
+    if (!key) continue;
+    try {
+      image.set(await storeDesignImage(design, await getDriver().read(key), path.basename(key), watermark));
+    } catch (error) {
+      console.error('Regenerate design image error:', error);
+      failed.push(image._id);
+    }
+  }
+  return failed;
+};
+
+// Whether a design's stored images do not match how they would be rendered now: clean or larger
+// than the preview size while a watermark applies (images stored before either rule existed, or
+// restored from a version at another price), or watermarked while none applies
+const hasOutdatedImages = (design, watermark) => design.images.some((image) => {
+  if (!getOwnStorageKey(design, (image.original && image.original.key) || image.url)) return false;
+  if (!watermark) return Boolean(image.watermarked);
+  if (!image.watermarked || !image.original || !image.original.width) return true;
+  return Math.max(image.width, image.height) > getPreviewSize(image.original.width, image.original.height);
+});
+
+// Remove uploaded files that neither the design nor any of its revisions references
+const removeOrphanedUploads = async (before, design) => {
+  const kept = new Set([...getDesignUploads(design), ...(await DesignRevision.getReferencedUploads(design._id))]);
+  await removeUploads(getDesignUploads(before).filter(url => !kept.has(url)), getDesignPrefixes(design));
+};
+
+module.exports = {
+  getDesignPrefixes,
+  getOwnStorageKey,
+  storeDesignImage,
+  regenerateImages,
+  hasOutdatedImages,
+  removeOrphanedUploads
+};
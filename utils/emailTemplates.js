@@ -0,0 +1,128 @@
+// Transactional email templates. Each template receives a data object and returns
+// { subject, text, html }. Essential templates are sent regardless of the user's
+// notification preference; the rest are skipped when preferences.notifications is off.
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const formatMoney = (amount, currency = 'USD') => `${currency} ${Number(amount || 0).toFixed(2)}`;
+
+const clientUrl = (path) => `${process.env.CLIENT_URL || 'http://localhost:3000'}${path}`;
+
+// Wrap template content in the shared HTML layout
+const layout = (title, bodyHtml) => `<!DOCTYPE html>
+<html>
+  <body style="margin:0;padding:24px;background:#f5f5f4;font-family:Arial,Helvetica,sans-serif;color:#1c1917;">
+    <table role="presentation" width="100%" style="max-width:600px;margin:0 auto;background:#ffffff;border-radius:6px;">
+      <tr><td style="padding:24px;">
+        <h1 style="font-size:20px;margin:0 0 16px;">${escapeHtml(title)}</h1>
+        ${bodyHtml}
+        <p style="margin-top:32px;font-size:12px;color:#78716c;">Architecture Design Portal</p>
+      </td></tr>
+    </table>
+  </body>
+</html>`;
+
+const button = (url, label) =>
+  `<p><a href="${escapeHtml(url)}" style="display:inline-block;padding:10px 18px;background:#1c1917;color:#ffffff;text-decoration:none;border-radius:4px;">${escapeHtml(label)}</a></p>`;
+
+const templates = {
+  // Sent on registration (welcome) and whenever the address needs confirming again
+  verifyEmail: {
+    essential: true,
+    render: ({ name, verifyUrl, welcome }) => ({
+      subject: welcome ? 'Welcome! Please verify your email address' : 'Verify your email address',
+      text: `Hi ${name},\n\n${welcome ? 'Thanks for registering. ' : ''}Please confirm your email address by opening the link below. It expires in 24 hours.\n\n${verifyUrl}`,
+      html: layout(welcome ? 'Welcome to Architecture Design Portal' : 'Verify your email address', `
+        <p>Hi ${escapeHtml(name)},</p>
+        <p>${welcome ? 'Thanks for registering. ' : ''}Please confirm your email address. The link expires in 24 hours.</p>
+        ${button(verifyUrl, 'Verify email address')}`)
+    })
+  },
+
+  passwordReset: {
+    essential: true,
+    render: ({ name, resetUrl }) => ({
+      subject: 'Reset your password',
+      text: `Hi ${name},\n\nWe received a request to reset your password. Open the link below to choose a new one. It expires in 1 hour and can only be used once.\n\n${resetUrl}\n\nIf you did not request this, you can ignore this email.`,
+      html: layout('Reset your password', `
+        <p>Hi ${escapeHtml(name)},</p>
+        <p>We received a request to reset your password. The link expires in 1 hour and can only be used once.</p>
+        ${button(resetUrl, 'Choose a new password')}
+        <p>If you did not request this, you can ignore this email.</p>`)
+    })
+  },
+
+  orderConfirmation: {
+    essential: true,
+    render: ({ name, order }) => {
+      const lines = order.items.map(item =>
+        `${item.design && item.design.title ? item.design.title : 'Design'} (${item.license}) x${item.quantity} - ${formatMoney(item.price * item.quantity, order.currency)}`);
+      return {
+        subject: `Order confirmation ${order.orderNumber}`,
+        text: `Hi ${name},\n\nThank you for your order ${order.orderNumber}.\n\n${lines.join('\n')}\n\nSubtotal: ${formatMoney(order.subtotal, order.currency)}\nTax: ${formatMoney(order.tax, order.currency)}\nTotal: ${formatMoney(order.total, order.currency)}\n\n${clientUrl(`/orders/${order._id}`)}`,
+        html: layout(`Thank you for your order ${order.orderNumber}`, `
+          <p>Hi ${escapeHtml(name)},</p>
+          <ul>${lines.map(line => `<li>${escapeHtml(line)}</li>`).join('')}</ul>
+          <p>Subtotal: ${escapeHtml(formatMoney(order.subtotal, order.currency))}<br>
+          Tax: ${escapeHtml(formatMoney(order.tax, order.currency))}<br>
+          <strong>Total: ${escapeHtml(formatMoney(order.total, order.currency))}</strong></p>
+          ${button(clientUrl(`/orders/${order._id}`), 'View order')}`)
+      };
+    }
+  },
+
+  orderStatusChanged: {
+    essential: false,
+    render: ({ name, order, previousStatus }) => ({
+      subject: `Order ${order.orderNumber} is now ${order.status}`,
+      text: `Hi ${name},\n\nThe status of your order ${order.orderNumber} changed from ${previousStatus} to ${order.status}.\n\n${clientUrl(`/orders/${order._id}`)}`,
+      html: layout(`Order ${order.orderNumber} is now ${order.status}`, `
+        <p>Hi ${escapeHtml(name)},</p>
+        <p>The status of your order changed from <strong>${escapeHtml(previousStatus)}</strong> to <strong>${escapeHtml(order.status)}</strong>.</p>
+        ${button(clientUrl(`/orders/${order._id}`), 'View order')}`)
+    })
+  },
+
+  refundProcessed: {
+    essential: true,
+    render: ({ name, order }) => ({
+      subject: `Refund processed for order ${order.orderNumber}`,
+      text: `Hi ${name},\n\nA refund of ${formatMoney(order.refund.amount, order.currency)} for order ${order.orderNumber} has been processed.\n\nReason: ${order.refund.reason}\n\nDepending on your payment method it may take a few days to appear.`,
+      html: layout(`Refund processed for order ${order.orderNumber}`, `
+        <p>Hi ${escapeHtml(name)},</p>
+        <p>A refund of <strong>${escapeHtml(formatMoney(order.refund.amount, order.currency))}</strong> has been processed.</p>
+        <p>Reason: ${escapeHtml(order.refund.reason)}</p>
+        <p>Depending on your payment method it may take a few days to appear.</p>`)
+    })
+  },
+
+  customRequestQuote: {
+    essential: false,
+    render: ({ name, customRequest }) => {
+      const { quote } = customRequest;
+      const currency = quote.currency || customRequest.budget.currency;
+      const lines = (quote.breakdown || []).map(entry => `${entry.item}: ${formatMoney(entry.cost, currency)}`);
+      const validUntil = quote.validUntil ? new Date(quote.validUntil).toDateString() : null;
+      return {
+        subject: `Your quote for "${customRequest.title}"`,
+        text: `Hi ${name},\n\nWe have prepared a quote for your request "${customRequest.title}".\n\n${lines.join('\n')}${lines.length ? '\n\n' : ''}Total: ${formatMoney(quote.amount, currency)}${validUntil ? `\nValid until: ${validUntil}` : ''}${quote.terms ? `\n\nTerms: ${quote.terms}` : ''}\n\n${clientUrl(`/custom-requests/${customRequest._id}`)}`,
+        html: layout(`Your quote for "${customRequest.title}"`, `
+          <p>Hi ${escapeHtml(name)},</p>
+          ${lines.length ? `<ul>${lines.map(line => `<li>${escapeHtml(line)}</li>`).join('')}</ul>` : ''}
+          <p><strong>Total: ${escapeHtml(formatMoney(quote.amount, currency))}</strong>${validUntil ? `<br>Valid until: ${escapeHtml(validUntil)}` : ''}</p>
+          ${quote.terms ? `<p>Terms: ${escapeHtml(quote.terms)}</p>` : ''}
+          ${button(clientUrl(`/custom-requests/${customRequest._id}`), 'Review quote')}`)
+      };
+    }
+  }
+};
+
+module.exports = {
+  templates,
+  escapeHtml
+};
@@ -0,0 +1,108 @@
+const path = require('path');
+const crypto = require('crypto');
+const sharp = require('sharp');
+const { storeBuffer } = require('./uploads');
+const { applyWatermark } = require('./watermark');
+
+// Longest edge in pixels for each variant (images are never enlarged)
+const IMAGE_SIZES = {
+  thumbnail: 320,
+  medium: 800,
+  large: 1600
+};
+
+// Watermarked previews are at most this fraction of the original's size, so a preview is never
+// a usable substitute for the purchased image however small the original is
+const PREVIEW_SCALE = 0.5;
+
+// Longest edge of the public previews of a width x height original that gets watermarked
+const getPreviewSize = (width, height) => Math.max(1, Math.round(Math.max(width, height) * PREVIEW_SCALE));
+
+// Variants keep the original's format, GIFs become PNG since only their first frame is used
+const OUTPUT_FORMATS = {
+  jpeg: { format: 'jpeg', extension: 'jpg', contentType: 'image/jpeg', options: { quality: 82, mozjpeg: true } },
+  png: { format: 'png', extension: 'png', contentType: 'image/png', options: { compressionLevel: 9 } },
+  webp: { format: 'webp', extension: 'webp', contentType: 'image/webp', options: { quality: 80 } }
+};
+
+const getOutputFormat = (format) => OUTPUT_FORMATS[format] || OUTPUT_FORMATS.png;
+
+// Resize an image (watermarking it if given) and store it as both its own format and WebP
+const storeVariant = async (buffer, folder, name, maxSize, format, watermark) => {
+  let resized = sharp(buffer).rotate().resize({
+    width: maxSize,
+    height: maxSize,
+    fit: 'inside',
+    withoutEnlargement: true
+  });
+  if (watermark) {
+    resized = await applyWatermark(resized, watermark);
+  }
+  const output = getOutputFormat(format);
+
+  const [main, webp] = await Promise.all([
+    resized.clone().toFormat(output.format, output.options).toBuffer({ resolveWithObject: true }),
+    resized.clone().webp(OUTPUT_FORMATS.webp.options).toBuffer()
+  ]);
+  const [stored, storedWebp] = await Promise.all([
+    storeBuffer(main.data, folder, `${name}.${output.extension}`, { contentType: output.contentType }),
+    storeBuffer(webp, folder, `${name}.webp`, { contentType: OUTPUT_FORMATS.webp.contentType })
+  ]);
+
+  return {
+    url: stored.url,
+    webpUrl: storedWebp.url,
+    width: main.info.width,
+    height: main.info.height
+  };
+};
+
+// Generate every size variant for an image. Clean images also get a full-size WebP;
+// watermarked ones do not, since their full-size image is kept private, and their variants are
+// capped at the preview size.
+// Variant names carry a random token so regenerated files never reuse a cached URL.
+const generateImageVariants = async (buffer, folder, filename, { watermark } = {}) => {
+  const base = `${path.parse(filename).name}-${crypto.randomBytes(4).toString('hex')}`;
+  const metadata = await sharp(buffer).metadata();
+  // EXIF orientations 5-8 swap width and height once rotated
+  const rotated = metadata.orientation >= 5;
+  const width = rotated ? metadata.height : metadata.width;
+  const height = rotated ? metadata.width : metadata.height;
+
+  const variants = {};
+  const previewSize = watermark ? getPreviewSize(width, height) : Infinity;
+  for (const [size, maxSize] of Object.entries(IMAGE_SIZES)) {
+    variants[size] = await storeVariant(buffer, folder, `${base}-${size}`, Math.min(maxSize, previewSize), metadata.format, watermark);
+  }
+  if (watermark) {
+    return { format: metadata.format, width, height, variants };
+  }
+
+  const webp = await sharp(buffer).rotate().webp(OUTPUT_FORMATS.webp.options).toBuffer();
+  const storedWebp = await storeBuffer(webp, folder, `${base}.webp`, { contentType: OUTPUT_FORMATS.webp.contentType });
+
+  return { format: metadata.format, width, height, webpUrl: storedWebp.url, variants };
+};
+
+// Reduce an image entry to a single size ('original' or a key of IMAGE_SIZES), optionally as WebP.
+// Images without generated variants fall back to the original.
+const pickImageVariant = (image, size = 'original', { webp = false } = {}) => {
+  const source = size !== 'original' && image.variants && image.variants[size] && image.variants[size].url
+    ? image.variants[size]
+    : image;
+  return {
+    _id: image._id,
+    url: (webp && source.webpUrl) || source.url,
+    alt: image.alt,
+    isPrimary: image.isPrimary,
+    width: source.width,
+    height: source.height
+  };
+};
+
+module.exports = {
+  IMAGE_SIZES,
+  getPreviewSize,
+  generateImageVariants,
+  pickImageVariant
+};
@@ -0,0 +1,105 @@
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+const { templates } = require('./emailTemplates');
+
+// Console transport: prints messages instead of sending them (development only, the log would
+// otherwise hold the verification and password reset links)
+const consoleTransport = {
+  name: 'console',
+  send: async (message) => {
+    console.log(`[mail] To: ${message.to} | Subject: ${message.subject}\n${message.text}`);
+    return { messageId: `console-${Date.now()}` };
+  }
+};
+
+// File transport: writes each message as a JSON file (local development and tests)
+const createFileTransport = (directory) => ({
+  name: 'file',
+  send: async (message) => {
+    await fs.promises.mkdir(directory, { recursive: true });
+    const messageId = `${Date.now()}-${Math.random().toString(36).slice(2, 10)}`;
+    await fs.promises.writeFile(
+      path.join(directory, `${messageId}.json`),
+      JSON.stringify({ ...message, messageId, sentAt: new Date() }, null, 2)
+    );
+    return { messageId };
+  }
+});
+
+// SMTP transport backed by nodemailer
+const createSmtpTransport = () => {
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT) || 587,
+    secure: parseInt(process.env.SMTP_PORT) === 465,
+    auth: process.env.SMTP_USER ? {
+      user: process.env.SMTP_USER,
+      pass: process.env.SMTP_PASS
+    } : undefined
+  });
+  return {
+    name: 'smtp',
+    send: (message) => transporter.sendMail(message)
+  };
+};
+
+// Create the transport named by MAIL_TRANSPORT, the console when unset outside production
+const createTransport = (type = process.env.MAIL_TRANSPORT) => {
+  if (process.env.NODE_ENV === 'production' && (!type || type === 'console')) {
+    throw new Error('MAIL_TRANSPORT must be set to smtp or file in production');
+  }
+  switch (type || 'console') {
+    case 'smtp':
+      return createSmtpTransport();
+    case 'file':
+      return createFileTransport(path.resolve(process.env.MAIL_FILE_DIR || './mail'));
+    case 'console':
+      return consoleTransport;
+    default:
+      throw new Error(`Unknown mail transport: ${type}`);
+  }
+};
+
+let transport = null;
+
+// Replace the active transport (any object with an async send(message) method)
+const setTransport = (newTransport) => {
+  transport = newTransport;
+};
+
+const getTransport = () => {
+  if (!transport) {
+    transport = createTransport();
+  }
+  return transport;
+};
+
+// Send an email through the active transport
+const sendMail = ({ to, subject, text, html }) => {
+  return getTransport().send({
+    from: process.env.MAIL_FROM || 'Architecture Design Portal <no-reply@localhost>',
+    to,
+    subject,
+    text,
+    html
+  });
+};
+
+// Render a named template and send it
+const sendTemplate = (to, templateName, data = {}) => {
+  const template = templates[templateName];
+  if (!template) {
+    throw new Error(`Unknown email template: ${templateName}`);
+  }
+  return sendMail({ to, ...template.render(data) });
+};
+
+module.exports = {
+  sendMail,
+  sendTemplate,
+  setTransport,
+  getTransport,
+  createTransport,
+  createFileTransport
+};
@@ -0,0 +1,73 @@
+const { DOMParser, XMLSerializer } = require('@xmldom/xmldom');
+const { loadThree, createNodeLoadingManager, toArrayBuffer } = require('./three');
+
+// Formats converted to GLB for the web viewer (GLB needs no conversion, FBX is kept as uploaded)
+const CONVERTIBLE_FORMATS = ['obj', 'gltf', 'dae'];
+
+// Collada files reference textures by path, which cannot be resolved for a single upload;
+// drop the image library so the loader falls back to plain materials
+const stripColladaImages = (text) => {
+  const xml = new DOMParser().parseFromString(text, 'application/xml');
+  Array.from(xml.getElementsByTagName('library_images'))
+    .forEach(node => node.parentNode.removeChild(node));
+  return new XMLSerializer().serializeToString(xml);
+};
+
+// Parse a model into a three.js scene
+const loadModel = async (buffer, format) => {
+  const { THREE, GLTFLoader, OBJLoader, ColladaLoader } = await loadThree();
+  const manager = createNodeLoadingManager(THREE);
+
+  switch (format) {
+    case 'gltf': {
+      const gltf = await new GLTFLoader(manager).parseAsync(toArrayBuffer(buffer), '');
+      return { scene: gltf.scene, animations: gltf.animations };
+    }
+    case 'obj':
+      return { scene: new OBJLoader(manager).parse(buffer.toString('utf8')), animations: [] };
+    case 'dae': {
+      const collada = new ColladaLoader(manager).parse(stripColladaImages(buffer.toString('utf8')), '');
+      if (!collada) {
+        throw new Error('Invalid Collada file');
+      }
+      return { scene: collada.scene, animations: collada.scene.animations || [] };
+    }
+    default:
+      throw new Error(`Cannot convert ${format} models`);
+  }
+};
+
+// Texture images cannot be re-encoded without a canvas, so converted models keep their
+// materials but not their texture maps
+const stripTextures = (scene) => {
+  scene.traverse((object) => {
+    if (!object.material) return;
+    (Array.isArray(object.material) ? object.material : [object.material]).forEach((material) => {
+      Object.keys(material).forEach((property) => {
+        if (material[property] && material[property].isTexture) {
+          material[property] = null;
+        }
+      });
+    });
+  });
+};
+
+// Convert an OBJ, glTF or Collada model to a single binary GLB
+const convertToGlb = async (buffer, format) => {
+  const { GLTFExporter } = await loadThree();
+  const { scene, animations } = await loadModel(buffer, format);
+
+  scene.updateMatrixWorld(true);
+  stripTextures(scene);
+  if (!scene.children.length) {
+    throw new Error('Model contains no objects');
+  }
+
+  const glb = await new GLTFExporter().parseAsync(scene, { binary: true, animations });
+  return Buffer.from(glb);
+};
+
+module.exports = {
+  CONVERTIBLE_FORMATS,
+  convertToGlb
+};
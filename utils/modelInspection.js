@@ -0,0 +1,125 @@
+const { loadThree, createNodeLoadingManager, toArrayBuffer } = require('./three');
+const { getDriver } = require('./storage');
+const { getStorageKey } = require('./uploads');
+const { UNIT_SCALE } = require('./units');
+
+// Formats the inspector can parse
+const INSPECTABLE_FORMATS = ['glb', 'gltf'];
+
+// Relative difference allowed between the model's bounding box and the listed dimensions
+const DIMENSION_TOLERANCE = parseFloat(process.env.MODEL_DIMENSION_TOLERANCE) || 0.1;
+
+const round = (value) => Math.round(value * 1000) / 1000;
+const toPoint = (vector) => ({ x: round(vector.x), y: round(vector.y), z: round(vector.z) });
+
+// Parse a GLB/glTF buffer and collect geometry statistics (glTF units are metres)
+const inspectModel = async (buffer) => {
+  const { THREE, GLTFLoader } = await loadThree();
+  const loader = new GLTFLoader(createNodeLoadingManager(THREE));
+  const gltf = await loader.parseAsync(toArrayBuffer(buffer), '');
+
+  const scene = gltf.scene;
+  scene.updateMatrixWorld(true);
+
+  let meshes = 0;
+  let triangles = 0;
+  let vertices = 0;
+  const materials = new Set();
+
+  scene.traverse((object) => {
+    if (!object.isMesh) return;
+    const geometry = object.geometry;
+    const position = geometry.attributes.position;
+    if (!position) return;
+
+    const instances = object.isInstancedMesh ? object.count : 1;
+    meshes += 1;
+    vertices += position.count * instances;
+    triangles += Math.floor((geometry.index ? geometry.index.count : position.count) / 3) * instances;
+    (Array.isArray(object.material) ? object.material : [object.material])
+      .forEach(material => material && materials.add(material.uuid));
+  });
+
+  const box = new THREE.Box3().setFromObject(scene);
+  const empty = box.isEmpty();
+
+  return {
+    triangles,
+    vertices,
+    meshes,
+    materials: materials.size,
+    boundingBox: empty ? undefined : {
+      min: toPoint(box.min),
+      max: toPoint(box.max),
+      size: toPoint(box.getSize(new THREE.Vector3()))
+    }
+  };
+};
+
+// Compare a model's bounding box with the listed dimensions. Axes are compared after sorting,
+// since exporters disagree on which axis is up; a wrong scale shows up either way.
+const compareDimensions = (size, dimensions = {}) => {
+  const scale = UNIT_SCALE[String(dimensions.unit || 'meters').toLowerCase()];
+  const listed = [dimensions.width, dimensions.depth, dimensions.height];
+
+  if (!size || !(size.x >= 0) || !scale || listed.some(value => !(value > 0))) {
+    return { status: 'unknown', message: 'Model bounding box or listed dimensions are incomplete' };
+  }
+
+  const expected = listed.map(value => value * scale).sort((a, b) => a - b);
+  const actual = [size.x, size.y, size.z].sort((a, b) => a - b);
+  const ratios = actual.map((value, index) => value / expected[index]);
+  const worst = ratios.reduce((a, b) => (Math.abs(Math.log(b)) > Math.abs(Math.log(a)) ? b : a));
+
+  if (Math.abs(worst - 1) <= DIMENSION_TOLERANCE) {
+    return { status: 'ok', ratio: round(worst) };
+  }
+  return {
+    status: 'mismatch',
+    ratio: round(worst),
+    message: `Model is ${actual.map(round).join(' x ')} m but the listed dimensions are ${expected.map(round).join(' x ')} m`
+  };
+};
+
+// Refresh the dimension check stored on a design from its inspection results
+const applyDimensionCheck = (design) => {
+  const inspection = design.model3d && design.model3d.inspection;
+  if (!inspection || !inspection.inspectedAt || inspection.error) return design;
+  const check = compareDimensions(
+    inspection.boundingBox && inspection.boundingBox.size,
+    design.specifications && design.specifications.dimensions
+  );
+  design.set('model3d.dimensionCheck', { ...check, checkedAt: new Date() });
+  return design;
+};
+
+// Inspect a design's stored model file and record the results on the design (not saved).
+// Models that cannot be read or parsed record the error instead of failing the request.
+const inspectDesignModel = async (design) => {
+  const { file, format } = design.model3d || {};
+  const key = getStorageKey(file);
+  if (!key || !INSPECTABLE_FORMATS.includes(format)) {
+    design.set('model3d.inspection', undefined);
+    design.set('model3d.dimensionCheck', undefined);
+    return design;
+  }
+
+  try {
+    const stats = await inspectModel(await getDriver().read(key));
+    design.set('model3d.inspection', { ...stats, inspectedAt: new Date() });
+  } catch (error) {
+    console.error('Model inspection error:', error);
+    design.set('model3d.inspection', { inspectedAt: new Date(), error: error.message });
+    design.set('model3d.dimensionCheck', { status: 'unknown', message: 'Model could not be inspected', checkedAt: new Date() });
+    return design;
+  }
+  return applyDimensionCheck(design);
+};
+
+module.exports = {
+  INSPECTABLE_FORMATS,
+  inspectModel,
+  compareDimensions,
+  applyDimensionCheck,
+  inspectDesignModel
+};
@@ -0,0 +1,40 @@
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const { sendTemplate } = require('./mailer');
+const { templates } = require('./emailTemplates');
+
+// Create an in-app notification unless the user turned notifications off.
+// Never rejects: failures are logged, so routes call it without awaiting and respond right away.
+const notify = async (userId, { type, title, message, link, data }) => {
+  try {
+    if (!userId) return null;
+    const user = await User.findById(userId).select('preferences deletedAt');
+    if (!user || user.deletedAt || user.preferences.notifications === false) return null;
+
+    return await Notification.create({ user: userId, type, title, message, link, data });
+  } catch (error) {
+    console.error('Create notification error:', error);
+    return null;
+  }
+};
+
+// Email a user from a template. Non-essential templates honor preferences.notifications.
+// Like notify, never rejects and is not awaited by routes, so a slow mail server does not hold up responses.
+const emailUser = async (userId, templateName, data = {}) => {
+  try {
+    if (!userId) return null;
+    const user = await User.findById(userId).select('name email preferences deletedAt');
+    if (!user || user.deletedAt) return null;
+    if (!templates[templateName].essential && user.preferences.notifications === false) return null;
+
+    return await sendTemplate(user.email, templateName, { name: user.name, ...data });
+  } catch (error) {
+    console.error(`Email (${templateName}) error:`, error);
+    return null;
+  }
+};
+
+module.exports = {
+  notify,
+  emailUser
+};
@@ -0,0 +1,185 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  DeleteObjectCommand
+} = require('@aws-sdk/client-s3');
+const { getSignedUrl: presign } = require('@aws-sdk/s3-request-presigner');
+
+// Storage drivers share one interface:
+//   save(key, sourcePath, { contentType })  move a local file into storage
+//   read(key)                               file contents as a Buffer
+//   remove(key)                             delete (missing files are ignored)
+//   getPublicUrl(key)                       permanent URL for public files
+//   getSignedUrl(key, { expiresIn, filename })  expiring URL, works for private files
+//   keyFromUrl(url)                         key for a URL this driver produced, else null
+// Keys under "private/" are never served publicly.
+
+const PRIVATE_PREFIX = 'private/';
+const SIGNED_URL_SECONDS = parseInt(process.env.SIGNED_URL_EXPIRES_SECONDS) || 15 * 60;
+
+const getSigningSecret = () => process.env.STORAGE_SIGNING_SECRET || process.env.JWT_SECRET || 'your-secret-key';
+
+// Signature for a local signed URL
+const signLocalKey = (key, expires) =>
+  crypto.createHmac('sha256', getSigningSecret()).update(`${key}:${expires}`).digest('hex');
+
+// Local disk driver. Public files are served by index.js under /uploads,
+// everything else through signed /api/files URLs.
+const createLocalDriver = (root) => {
+  // Resolve a key to a path, never leaving the storage root
+  const resolveKey = (key) => {
+    const filePath = path.resolve(root, key);
+    if (!filePath.startsWith(root + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  };
+
+  return {
+    name: 'local',
+    root,
+    resolveKey,
+    save: async (key, sourcePath) => {
+      const filePath = resolveKey(key);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      try {
+        await fs.promises.rename(sourcePath, filePath);
+      } catch (error) {
+        // Temp directory on another device
+        if (error.code !== 'EXDEV') throw error;
+        await fs.promises.copyFile(sourcePath, filePath);
+        await fs.promises.unlink(sourcePath);
+      }
+    },
+    read: (key) => fs.promises.readFile(resolveKey(key)),
+    remove: async (key) => {
+      try {
+        await fs.promises.unlink(resolveKey(key));
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+    },
+    getPublicUrl: (key) => `/uploads/${key}`,
+    getSignedUrl: async (key, { expiresIn = SIGNED_URL_SECONDS, filename } = {}) => {
+      const expires = Math.floor(Date.now() / 1000) + expiresIn;
+      const params = new URLSearchParams({ expires, signature: signLocalKey(key, expires) });
+      if (filename) params.set('filename', filename);
+      return `/api/files/${key}?${params}`;
+    },
+    keyFromUrl: (url) => {
+      if (typeof url !== 'string' || !url.startsWith('/uploads/')) return null;
+      const key = url.slice('/uploads/'.length);
+      try {
+        resolveKey(key);
+        return key;
+      } catch (error) {
+        return null;
+      }
+    }
+  };
+};
+
+// S3-compatible driver (AWS S3, or MinIO and friends via AWS_S3_ENDPOINT)
+const createS3Driver = () => {
+  const bucket = process.env.AWS_S3_BUCKET;
+  const region = process.env.AWS_REGION || 'us-east-1';
+  const endpoint = process.env.AWS_S3_ENDPOINT;
+  const client = new S3Client({
+    region,
+    endpoint,
+    forcePathStyle: process.env.AWS_S3_FORCE_PATH_STYLE === 'true',
+    credentials: process.env.AWS_ACCESS_KEY_ID ? {
+      accessKeyId: process.env.AWS_ACCESS_KEY_ID,
+      secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY
+    } : undefined
+  });
+  const publicBase = (process.env.AWS_S3_PUBLIC_URL ||
+    (endpoint ? `${endpoint}/${bucket}` : `https://${bucket}.s3.${region}.amazonaws.com`)).replace(/\/$/, '');
+
+  return {
+    name: 's3',
+    client,
+    save: async (key, sourcePath, { contentType } = {}) => {
+      const { size } = await fs.promises.stat(sourcePath);
+      await client.send(new PutObjectCommand({
+        Bucket: bucket,
+        Key: key,
+        Body: fs.createReadStream(sourcePath),
+        ContentLength: size,
+        ContentType: contentType
+      }));
+      await fs.promises.unlink(sourcePath);
+    },
+    read: async (key) => {
+      const response = await client.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+      return Buffer.from(await response.Body.transformToByteArray());
+    },
+    remove: async (key) => {
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+    },
+    getPublicUrl: (key) => `${publicBase}/${key}`,
+    getSignedUrl: (key, { expiresIn = SIGNED_URL_SECONDS, filename } = {}) => presign(
+      client,
+      new GetObjectCommand({
+        Bucket: bucket,
+        Key: key,
+        ResponseContentDisposition: filename ? `attachment; filename="${filename.replace(/"/g, '')}"` : undefined
+      }),
+      { expiresIn }
+    ),
+    keyFromUrl: (url) => {
+      if (typeof url !== 'string' || !url.startsWith(`${publicBase}/`)) return null;
+      return url.slice(publicBase.length + 1) || null;
+    }
+  };
+};
+
+const createDriver = (type = process.env.STORAGE_DRIVER || 'local') => {
+  switch (type) {
+    case 'local':
+      return createLocalDriver(path.resolve(process.env.UPLOAD_PATH || './uploads'));
+    case 's3':
+      return createS3Driver();
+    default:
+      throw new Error(`Unknown storage driver: ${type}`);
+  }
+};
+
+let driver = null;
+
+// Replace the active driver (any object implementing the interface above)
+const setDriver = (newDriver) => {
+  driver = newDriver;
+};
+
+const getDriver = () => {
+  if (!driver) {
+    driver = createDriver();
+  }
+  return driver;
+};
+
+// Check a local signed URL's expiry and signature
+const verifyLocalSignature = (key, expires, signature) => {
+  if (!expires || !signature || Number(expires) < Date.now() / 1000) return false;
+  const expected = Buffer.from(signLocalKey(key, expires));
+  const given = Buffer.from(String(signature));
+  return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+};
+
+const isPrivateKey = (key) => key.startsWith(PRIVATE_PREFIX);
+
+module.exports = {
+  PRIVATE_PREFIX,
+  createDriver,
+  createLocalDriver,
+  createS3Driver,
+  setDriver,
+  getDriver,
+  verifyLocalSignature,
+  isPrivateKey
+};
@@ -0,0 +1,89 @@
+const { DOMParser } = require('@xmldom/xmldom');
+
+// three.js ships its loaders as ES modules and expects a browser. This loads them once from
+// CommonJS and fills in the few browser APIs they need under Node.
+
+// FileReader, used by GLTFExporter to turn Blobs into buffers and data URIs
+class NodeFileReader {
+  readAsArrayBuffer(blob) {
+    this.read(blob, buffer => buffer);
+  }
+
+  readAsDataURL(blob) {
+    this.read(blob, buffer =>
+      `data:${blob.type || 'application/octet-stream'};base64,${Buffer.from(buffer).toString('base64')}`);
+  }
+
+  read(blob, convert) {
+    blob.arrayBuffer()
+      .then((buffer) => {
+        this.result = convert(buffer);
+        if (this.onload) this.onload({ target: this });
+        if (this.onloadend) this.onloadend({ target: this });
+      })
+      .catch((error) => {
+        this.error = error;
+        if (this.onerror) this.onerror({ target: this });
+      });
+  }
+}
+
+// ProgressEvent, dispatched by FileLoader while it fetches buffers (glTF data URIs)
+class NodeProgressEvent extends Event {
+  constructor(type, { lengthComputable = false, loaded = 0, total = 0 } = {}) {
+    super(type);
+    this.lengthComputable = lengthComputable;
+    this.loaded = loaded;
+    this.total = total;
+  }
+}
+
+let modules = null;
+
+const loadThree = async () => {
+  if (!modules) {
+    if (typeof globalThis.FileReader === 'undefined') {
+      globalThis.FileReader = NodeFileReader;
+    }
+    if (typeof globalThis.ProgressEvent === 'undefined') {
+      globalThis.ProgressEvent = NodeProgressEvent;
+    }
+    // ColladaLoader parses XML with DOMParser
+    if (typeof globalThis.DOMParser === 'undefined') {
+      globalThis.DOMParser = DOMParser;
+    }
+    const [THREE, { GLTFLoader }, { OBJLoader }, { ColladaLoader }, { GLTFExporter }] = await Promise.all([
+      import('three'),
+      import('three/addons/loaders/GLTFLoader.js'),
+      import('three/addons/loaders/OBJLoader.js'),
+      import('three/addons/loaders/ColladaLoader.js'),
+      import('three/addons/exporters/GLTFExporter.js')
+    ]);
+    modules = { THREE, GLTFLoader, OBJLoader, ColladaLoader, GLTFExporter };
+  }
+  return modules;
+};
+
+// Loading manager that hands out empty textures, since images cannot be decoded without a DOM.
+// Geometry and materials still load; texture maps are placeholders.
+const createNodeLoadingManager = (THREE) => {
+  const manager = new THREE.LoadingManager();
+  manager.addHandler(/.*/, {
+    load: (url, onLoad) => {
+      const texture = new THREE.Texture();
+      setTimeout(() => onLoad(texture));
+      return texture;
+    }
+  });
+  return manager;
+};
+
+// Convert a Node Buffer to the ArrayBuffer three.js loaders expect
+const toArrayBuffer = (buffer) =>
+  buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.byteLength);
+
+module.exports = {
+  loadThree,
+  createNodeLoadingManager,
+  toArrayBuffer
+};
@@ -0,0 +1,12 @@
+// Metres per unit for Design.specifications.dimensions.unit
+const UNIT_SCALE = {
+  meters: 1, meter: 1, m: 1,
+  centimeters: 0.01, centimeter: 0.01, cm: 0.01,
+  millimeters: 0.001, millimeter: 0.001, mm: 0.001,
+  feet: 0.3048, foot: 0.3048, ft: 0.3048,
+  inches: 0.0254, inch: 0.0254, in: 0.0254
+};
+
+module.exports = {
+  UNIT_SCALE
+};
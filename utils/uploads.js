@@ -0,0 +1,108 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { getDriver, PRIVATE_PREFIX } = require('./storage');
+
+// Multer writes incoming files here; routes move them into storage once the request is valid
+const TEMP_DIR = path.join(os.tmpdir(), 'adp-uploads');
+
+// Move a multer file into storage under a folder.
+// Public files get a permanent URL, private ones only a key (see signFiles).
+const storeUpload = async (file, folder, { isPrivate = false } = {}) => {
+  const driver = getDriver();
+  const key = `${isPrivate ? PRIVATE_PREFIX : ''}${folder}/${file.filename}`;
+  await driver.save(key, file.path, { contentType: file.mimetype });
+  return {
+    key,
+    url: isPrivate ? undefined : driver.getPublicUrl(key),
+    filename: file.originalname,
+    size: file.size,
+    type: file.mimetype
+  };
+};
+
+const storeUploads = (files = [], folder, options) =>
+  Promise.all(files.map(file => storeUpload(file, folder, options)));
+
+// Store generated content (e.g. a converted model) the same way as an upload
+const storeBuffer = async (buffer, folder, filename, { contentType, isPrivate = false } = {}) => {
+  await fs.promises.mkdir(TEMP_DIR, { recursive: true });
+  const tempPath = path.join(TEMP_DIR, crypto.randomBytes(16).toString('hex'));
+  await fs.promises.writeFile(tempPath, buffer);
+  try {
+    return await storeUpload({
+      filename,
+      path: tempPath,
+      originalname: filename,
+      size: buffer.length,
+      mimetype: contentType
+    }, folder, { isPrivate });
+  } finally {
+    await fs.promises.unlink(tempPath).catch(() => {});
+  }
+};
+
+// Storage key for a stored file reference (a storage key or a URL the driver produced),
+// null for external URLs
+const getStorageKey = (reference) => {
+  if (typeof reference !== 'string' || !reference) return null;
+  const key = getDriver().keyFromUrl(reference);
+  if (key) return key;
+  return /^[a-z0-9-]+\//i.test(reference) && !/^[a-z]+:/i.test(reference) ? reference : null;
+};
+
+// Delete stored files. Only keys under the owning record's prefix(es) are touched, so a
+// reference copied from another record can never delete that record's file.
+const removeUploads = (references = [], prefix) => Promise.all(references.map(async (reference) => {
+  const key = getStorageKey(reference);
+  if (!key || ![].concat(prefix).some(allowed => key.startsWith(allowed))) return;
+  try {
+    await getDriver().remove(key);
+  } catch (error) {
+    console.error('Remove upload error:', error);
+  }
+}));
+
+// Delete the temp files multer stored for a request that is not going to use them
+const removeRequestFiles = async (req) => {
+  const files = [];
+  if (req.file) files.push(req.file);
+  if (Array.isArray(req.files)) files.push(...req.files);
+  else if (req.files) Object.values(req.files).forEach(list => files.push(...list));
+  await Promise.all(files.map(file => fs.promises.unlink(file.path).catch(() => {})));
+};
+
+// Every stored file a design references
+const getDesignUploads = (design) => [
+  ...(design.images || []).flatMap(image => [
+    image.url,
+    image.webpUrl,
+    image.original && image.original.key,
+    ...Object.values(image.variants || {}).flatMap(variant => [variant && variant.url, variant && variant.webpUrl])
+  ]),
+  design.model3d && design.model3d.file,
+  design.model3d && design.model3d.previewUrl,
+  design.model3d && design.model3d.original && design.model3d.original.key
+].filter(url => getStorageKey(url));
+
+// Copy of a file list with signed download URLs for the private entries under prefix
+const signFiles = (files = [], prefix) => Promise.all(files.map(async (file) => {
+  const plain = typeof file.toObject === 'function' ? file.toObject() : { ...file };
+  if (plain.key && plain.key.startsWith(prefix)) {
+    plain.url = await getDriver().getSignedUrl(plain.key, { filename: plain.filename });
+  }
+  return plain;
+}));
+
+module.exports = {
+  TEMP_DIR,
+  storeUpload,
+  storeUploads,
+  storeBuffer,
+  getStorageKey,
+  removeUploads,
+  removeRequestFiles,
+  getDesignUploads,
+  signFiles
+};
@@ -0,0 +1,109 @@
+const sharp = require('sharp');
+const Setting = require('../models/Setting');
+const { getDriver } = require('./storage');
+const { escapeHtml } = require('./emailTemplates');
+
+const WATERMARK_POSITIONS = ['tiled', 'center', 'bottom-right'];
+
+// Used until an admin saves the 'watermark' setting
+const WATERMARK_DEFAULTS = {
+  enabled: true,
+  text: 'PREVIEW',
+  logoKey: null,
+  opacity: 0.35,
+  position: 'tiled'
+};
+
+// Stored logos are normalised to PNGs no larger than this
+const LOGO_MAX_SIZE = 512;
+
+const getWatermarkSettings = () => Setting.getValue('watermark', WATERMARK_DEFAULTS);
+
+// Watermark to apply to a design's preview images, or null when previews stay clean.
+// Only paid designs are watermarked; free ones have nothing to protect.
+const getDesignWatermark = async (design) => {
+  if (!(design.price > 0)) return null;
+  const settings = await getWatermarkSettings();
+  if (!settings.enabled) return null;
+
+  let logo = null;
+  if (settings.logoKey) {
+    try {
+      logo = await getDriver().read(settings.logoKey);
+    } catch (error) {
+      console.error('Watermark logo error:', error);
+    }
+  }
+  if (!settings.text && !logo) return null;
+  return { text: settings.text, logo, opacity: settings.opacity, position: settings.position };
+};
+
+// Resize an uploaded logo for storage
+const normalizeLogo = (buffer) => sharp(buffer)
+  .resize({ width: LOGO_MAX_SIZE, height: LOGO_MAX_SIZE, fit: 'inside', withoutEnlargement: true })
+  .png()
+  .toBuffer();
+
+// SVG overlay covering a width x height image
+const createOverlay = async ({ text, logo, opacity, position }, width, height) => {
+  const fontSize = Math.max(12, Math.round(Math.min(width, height) / (position === 'tiled' ? 12 : 8)));
+  const label = text ? escapeHtml(text) : '';
+  let logoImage = '';
+  let logoSize = null;
+
+  if (logo) {
+    const box = Math.round(Math.min(width, height) * (position === 'center' ? 0.4 : 0.2));
+    const { data, info } = await sharp(logo)
+      .resize({ width: box, height: box, fit: 'inside' })
+      .png()
+      .toBuffer({ resolveWithObject: true });
+    logoSize = info;
+    logoImage = `href="data:image/png;base64,${data.toString('base64')}" width="${info.width}" height="${info.height}"`;
+  }
+
+  const textStyle = `font-family="sans-serif" font-weight="bold" font-size="${fontSize}" fill="#ffffff" stroke="#000000" stroke-opacity="0.5" stroke-width="${Math.max(1, Math.round(fontSize / 24))}"`;
+  let content;
+
+  if (position === 'tiled') {
+    // Repeat the mark diagonally across the whole image so it cannot simply be cropped off
+    const tileWidth = Math.max(label.length * fontSize * 0.7, logoSize ? logoSize.width : 0) + fontSize * 2;
+    const tileHeight = fontSize * 4 + (logoSize ? logoSize.height : 0);
+    content = `<defs><pattern id="mark" width="${tileWidth}" height="${tileHeight}" patternUnits="userSpaceOnUse" patternTransform="rotate(-30)">`
+      + (logoSize ? `<image x="${fontSize}" y="${fontSize}" ${logoImage}/>` : '')
+      + (label ? `<text x="${fontSize}" y="${fontSize * 2 + (logoSize ? logoSize.height : 0)}" ${textStyle}>${label}</text>` : '')
+      + '</pattern></defs><rect width="100%" height="100%" fill="url(#mark)"/>';
+  } else if (position === 'center') {
+    const top = (height - (logoSize ? logoSize.height : 0) - (label ? fontSize : 0)) / 2;
+    content = (logoSize ? `<image x="${(width - logoSize.width) / 2}" y="${top}" ${logoImage}/>` : '')
+      + (label ? `<text x="50%" y="${top + (logoSize ? logoSize.height : 0) + fontSize}" text-anchor="middle" ${textStyle}>${label}</text>` : '');
+  } else {
+    const margin = Math.round(fontSize / 2);
+    const textTop = height - margin;
+    content = (logoSize ? `<image x="${width - logoSize.width - margin}" y="${textTop - (label ? fontSize * 1.2 : 0) - logoSize.height}" ${logoImage}/>` : '')
+      + (label ? `<text x="${width - margin}" y="${textTop}" text-anchor="end" ${textStyle}>${label}</text>` : '');
+  }
+
+  return Buffer.from(
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}"><g opacity="${opacity}">${content}</g></svg>`
+  );
+};
+
+// Draw the watermark over a sharp pipeline, returns a new pipeline with the marked pixels
+const applyWatermark = async (image, watermark) => {
+  const { data, info } = await image.raw().toBuffer({ resolveWithObject: true });
+  const overlay = await createOverlay(watermark, info.width, info.height);
+  const marked = await sharp(data, { raw: info })
+    .composite([{ input: overlay, top: 0, left: 0 }])
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+  return sharp(marked.data, { raw: marked.info });
+};
+
+module.exports = {
+  WATERMARK_POSITIONS,
+  WATERMARK_DEFAULTS,
+  getWatermarkSettings,
+  getDesignWatermark,
+  normalizeLogo,
+  applyWatermark
+};